@@ -0,0 +1,142 @@
+/**
+ * Client-side response budgets for prior_search.
+ *
+ * maxTokens only bounds each result on the server; the response an agent
+ * receives (text plus structured content) can still be far larger. With a
+ * responseBudget, results are trimmed in steps until an estimate of the whole
+ * response fits: lists are collapsed to their first item, long text is
+ * shortened, then the least relevant results are cut down to their ID and
+ * title. IDs — and so feedbackActions — always survive.
+ */
+
+/** Smallest accepted budget; below this not even the result stubs fit */
+export const MIN_RESPONSE_BUDGET = 100;
+
+/** Lengths long text fields are cut to, one step at a time */
+const TRIM_STEPS = [1000, 500, 250, 120];
+
+const TEXT_FIELDS = ["content", "problem", "solution"] as const;
+const LIST_FIELDS = ["failedApproaches", "errorMessages"] as const;
+
+/**
+ * Rough token count: about 4 characters per token for English text and
+ * code, and one per character for everything else. Good enough to budget
+ * against without shipping a tokenizer.
+ */
+export function estimateTokens(text: string): number {
+  let ascii = 0;
+  let other = 0;
+  for (const ch of text) {
+    if (ch.charCodeAt(0) < 128) ascii++;
+    else other++;
+  }
+  return Math.ceil(ascii / 4) + other;
+}
+
+export interface Elision {
+  budget: number;
+  /** Estimated tokens of the trimmed response */
+  estimatedTokens: number;
+  /** List items removed from failedApproaches and errorMessages */
+  collapsedItems: number;
+  /** Results whose content, problem or solution was shortened */
+  trimmed: string[];
+  /** Results cut down to their ID and title */
+  dropped: string[];
+  /** True if the response is still over budget after every step */
+  overBudget?: boolean;
+}
+
+export interface FitResult<T> {
+  results: T[];
+  /** Undefined when the response already fit */
+  elided?: Elision;
+}
+
+/** Cut `text` to about `limit` chars, at a word boundary when one is close */
+function shorten(text: string, limit: number): string {
+  if (text.length <= limit) return text;
+  const cut = text.slice(0, limit);
+  const space = cut.lastIndexOf(" ");
+  return `${(space > limit * 0.8 ? cut.slice(0, space) : cut).trimEnd()}…`;
+}
+
+/** Indexes from least to most relevant; results without a score rank by position */
+function byRelevanceAscending(results: any[]): number[] {
+  return results
+    .map((r, i) => ({ i, score: typeof r?.relevanceScore === "number" ? r.relevanceScore : -i / results.length }))
+    .sort((a, b) => a.score - b.score || b.i - a.i)
+    .map(({ i }) => i);
+}
+
+/**
+ * Trim search results until `measure(results)` — the estimated tokens of the
+ * whole response built from them — is within `budget`. The input is not
+ * modified. The most relevant result is never dropped.
+ */
+export function fitToBudget<T extends Record<string, any>>(results: T[], budget: number, measure: (results: T[]) => number): FitResult<T> {
+  let tokens = measure(results);
+  if (tokens <= budget) return { results };
+
+  const current = results.map(r => ({ ...r }));
+  const elided: Elision = { budget, estimatedTokens: tokens, collapsedItems: 0, trimmed: [], dropped: [] };
+  const done = () => {
+    elided.estimatedTokens = tokens;
+    return { results: current, elided };
+  };
+
+  for (const r of current) {
+    for (const field of LIST_FIELDS) {
+      const list = r[field];
+      if (Array.isArray(list) && list.length > 1) {
+        elided.collapsedItems += list.length - 1;
+        (r as any)[field] = list.slice(0, 1);
+      }
+    }
+  }
+  tokens = measure(current);
+  if (tokens <= budget) return done();
+
+  for (const limit of TRIM_STEPS) {
+    for (const r of current) {
+      for (const field of TEXT_FIELDS) {
+        const value = r[field];
+        if (typeof value !== "string" || value.length <= limit) continue;
+        (r as any)[field] = shorten(value, limit);
+        if (!elided.trimmed.includes(r.id)) elided.trimmed.push(r.id);
+      }
+    }
+    tokens = measure(current);
+    if (tokens <= budget) return done();
+  }
+
+  const order = byRelevanceAscending(current);
+  for (const i of order.slice(0, -1)) {
+    const r = current[i];
+    current[i] = { id: r.id, title: r.title, qualityScore: r.qualityScore, relevanceScore: r.relevanceScore } as unknown as T;
+    elided.dropped.push(r.id);
+    tokens = measure(current);
+    if (tokens <= budget) return done();
+  }
+
+  elided.overBudget = true;
+  return done();
+}
+
+/** One-line summary of an elision for the tool's text output */
+export function describeElision(elided: Elision): string {
+  const parts: string[] = [];
+  if (elided.trimmed.length) parts.push(`shortened ${elided.trimmed.join(", ")}`);
+  if (elided.dropped.length) parts.push(`cut ${elided.dropped.join(", ")} to ID and title (least relevant; fetch in full with prior_get_entry)`);
+  if (elided.collapsedItems) parts.push(`kept only the first failed approach and error message (${elided.collapsedItems} item(s) removed)`);
+  const fit = elided.overBudget
+    ? `still ~${elided.estimatedTokens} tokens, over the budget of ${elided.budget}`
+    : `~${elided.estimatedTokens} of ${elided.budget} tokens`;
+  return `Trimmed to fit responseBudget (${fit}): ${parts.length ? parts.join("; ") : "nothing left to trim"}.`;
+}
+
+/** PRIOR_RESPONSE_BUDGET as a number of tokens, or undefined if unset or invalid */
+export function responseBudgetFromEnv(env: NodeJS.ProcessEnv = process.env): number | undefined {
+  const budget = Number(env.PRIOR_RESPONSE_BUDGET);
+  return Number.isInteger(budget) && budget >= MIN_RESPONSE_BUDGET ? budget : undefined;
+}
@@ -0,0 +1,154 @@
+/**
+ * Opt-in on-disk cache of prior_search responses.
+ *
+ * Repeating an identical search in a session would otherwise cost another
+ * credit. Entries are keyed by the normalized query, context, limits and the
+ * API key that searched, and stored in a single JSON file under ~/.prior/.
+ *
+ * Enable with PRIOR_CACHE=1 (see createSearchCacheFromEnv).
+ */
+
+import * as fs from "fs";
+import * as path from "path";
+import * as os from "os";
+import { createHash } from "crypto";
+
+export const CACHE_PATH = path.join(os.homedir(), ".prior", "cache", "search.json");
+
+export type CacheMode = "prefer" | "bypass" | "only";
+
+export interface SearchCacheOptions {
+  /** Cache file location (default: ~/.prior/cache/search.json) */
+  path?: string;
+  /** Time to live per entry in ms (default: 1 hour) */
+  ttlMs?: number;
+  /** Max entries kept; oldest are evicted first (default: 100) */
+  maxEntries?: number;
+}
+
+export interface SearchCacheKeyInput {
+  query: string;
+  context?: Record<string, unknown>;
+  maxResults?: number;
+  maxTokens?: number;
+  minQuality?: number;
+  filters?: Record<string, unknown>;
+  /**
+   * Who searched, e.g. the API key. Results depend on the agent and profiles
+   * share the cache file; only the hash of the whole key input is stored.
+   */
+  identity?: string;
+}
+
+export interface CachedSearch {
+  storedAt: number;
+  data: unknown;
+}
+
+type CacheFile = Record<string, CachedSearch>;
+
+// Stable JSON with sorted object keys, so {a, b} and {b, a} hash the same
+function canonicalize(value: unknown): unknown {
+  if (Array.isArray(value)) return value.map(canonicalize);
+  if (value && typeof value === "object") {
+    const out: Record<string, unknown> = {};
+    for (const k of Object.keys(value).sort()) {
+      const v = (value as Record<string, unknown>)[k];
+      if (v !== undefined) out[k] = canonicalize(v);
+    }
+    return out;
+  }
+  return value;
+}
+
+export function normalizeQuery(query: string): string {
+  return query.trim().replace(/\s+/g, " ").toLowerCase();
+}
+
+export function searchCacheKey(input: SearchCacheKeyInput): string {
+  const normalized = canonicalize({
+    query: normalizeQuery(input.query),
+    context: input.context,
+    maxResults: input.maxResults,
+    maxTokens: input.maxTokens,
+    minQuality: input.minQuality,
+    filters: input.filters,
+    identity: input.identity,
+  });
+  return createHash("sha256").update(JSON.stringify(normalized)).digest("hex");
+}
+
+export class SearchCache {
+  readonly path: string;
+  readonly ttlMs: number;
+  readonly maxEntries: number;
+
+  constructor(options: SearchCacheOptions = {}) {
+    this.path = options.path || CACHE_PATH;
+    this.ttlMs = options.ttlMs ?? 60 * 60 * 1000;
+    this.maxEntries = options.maxEntries ?? 100;
+  }
+
+  get(key: string, now: number = Date.now()): CachedSearch | undefined {
+    const entry = this.read()[key];
+    if (!entry || now - entry.storedAt > this.ttlMs) return undefined;
+    return entry;
+  }
+
+  set(key: string, data: unknown, now: number = Date.now()): void {
+    const entries = this.read();
+    // Drop expired entries while we're rewriting the file anyway
+    for (const [k, v] of Object.entries(entries)) {
+      if (now - v.storedAt > this.ttlMs) delete entries[k];
+    }
+    entries[key] = { storedAt: now, data };
+
+    const keys = Object.keys(entries).sort((a, b) => entries[a].storedAt - entries[b].storedAt);
+    for (const k of keys.slice(0, Math.max(0, keys.length - this.maxEntries))) delete entries[k];
+
+    this.write(entries);
+  }
+
+  clear(): void {
+    try {
+      fs.unlinkSync(this.path);
+    } catch {
+      // Nothing cached yet
+    }
+  }
+
+  private read(): CacheFile {
+    try {
+      const parsed = JSON.parse(fs.readFileSync(this.path, "utf-8"));
+      return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : {};
+    } catch {
+      return {};
+    }
+  }
+
+  private write(entries: CacheFile): void {
+    try {
+      fs.mkdirSync(path.dirname(this.path), { recursive: true });
+      const tmp = `${this.path}.${process.pid}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(entries), { mode: 0o600 });
+      fs.renameSync(tmp, this.path);
+    } catch {
+      // Caching is best-effort — a read-only home dir must not break search
+    }
+  }
+}
+
+/**
+ * Build a SearchCache from PRIOR_CACHE, PRIOR_CACHE_TTL_SECONDS and
+ * PRIOR_CACHE_MAX_ENTRIES. Returns undefined unless PRIOR_CACHE is enabled.
+ */
+export function createSearchCacheFromEnv(env: NodeJS.ProcessEnv = process.env): SearchCache | undefined {
+  const flag = (env.PRIOR_CACHE || "").toLowerCase();
+  if (!["1", "true", "yes", "on"].includes(flag)) return undefined;
+  const ttl = Number(env.PRIOR_CACHE_TTL_SECONDS);
+  const max = Number(env.PRIOR_CACHE_MAX_ENTRIES);
+  return new SearchCache({
+    ttlMs: Number.isFinite(ttl) && ttl > 0 ? ttl * 1000 : undefined,
+    maxEntries: Number.isFinite(max) && max > 0 ? Math.floor(max) : undefined,
+  });
+}
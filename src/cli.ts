@@ -0,0 +1,328 @@
+/**
+ * Command-line subcommands for using Prior outside an MCP client:
+ *
+ *   prior-mcp login [--key ask_...]      verify a key and save it to ~/.prior/config.json
+ *   prior-mcp search "<query>"           search and print results like prior_search
+ *   prior-mcp status                     show credits and tier like prior_status
+ *   prior-mcp contribute --file entry.md contribute a markdown or JSON file
+ *   prior-mcp doctor                     check config, connectivity and key
+ *
+ * search, status and contribute run the real tools against an in-process
+ * server, so validation, scrubbing and output match what agents see.
+ */
+
+import * as fs from "fs";
+import * as path from "path";
+import * as readline from "readline";
+import { parseArgs } from "util";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { InMemoryTransport } from "@modelcontextprotocol/sdk/inMemory.js";
+import { CONFIG_PATH, PriorApiClient, PriorClientOptions, createCredentialStoreFromEnv, insecurePermissions } from "./client.js";
+import { createPriorServer, SERVER_VERSION } from "./server.js";
+import { PriorApiError } from "./errors.js";
+import { ChecklistItem, ContributionInput, formatChecklist } from "./contribution.js";
+import { RENDER_FORMATS, isRenderFormat } from "./utils.js";
+import { createSearchCacheFromEnv } from "./cache.js";
+
+export const CLI_COMMANDS = ["login", "search", "status", "contribute", "doctor", "help"] as const;
+
+export interface CliOptions {
+  /** Extra client options, e.g. a config path or API URL for tests */
+  clientOptions?: PriorClientOptions;
+  stdout?: (text: string) => void;
+  stderr?: (text: string) => void;
+  /** Reads the API key interactively when login is run without --key */
+  prompt?: (question: string) => Promise<string>;
+}
+
+const USAGE = `Usage: prior-mcp <command> [options]
+
+Commands:
+  login [--key <key>]           Verify an API key and save it to ~/.prior/config.json
+  search <query>                Search Prior (--max-results <n>, --min-quality <0-1>, --runtime <name>)
+  status                        Show credits, tier and contributions
+  contribute --file <path>      Contribute a markdown (with front matter) or JSON file (--dry-run to preview)
+  doctor                        Check config, connectivity and API key
+
+Global options:
+  --profile <name>              Config profile to use (default: PRIOR_PROFILE or the file's defaultProfile)
+  --json                        Print structured output as JSON
+  --format <mode>               Text output: markdown (default), compact or json
+  --http [--port <n>] [--host <addr>]   Run the MCP server over HTTP instead of stdio`;
+
+export function isCliCommand(arg: string | undefined): boolean {
+  return !!arg && (CLI_COMMANDS as readonly string[]).includes(arg);
+}
+
+/** Global options that take a value, so the value isn't mistaken for the subcommand */
+const VALUE_OPTIONS = new Set(["--profile", "--format", "--port", "--host"]);
+
+/**
+ * The subcommand in `args`, found at the first positional after any global
+ * options (`--profile team search "x"`). `--help` / `-h` count as "help".
+ * Undefined means run the MCP server.
+ */
+export function findCliCommand(args: string[]): string | undefined {
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === "--help" || arg === "-h") return "help";
+    if (arg === "--") return isCliCommand(args[i + 1]) ? args[i + 1] : undefined;
+    if (arg.startsWith("-")) {
+      if (VALUE_OPTIONS.has(arg)) i++;
+      continue;
+    }
+    return isCliCommand(arg) ? arg : undefined;
+  }
+  return undefined;
+}
+
+function promptLine(question: string): Promise<string> {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+  return new Promise((resolve) => rl.question(question, (answer) => {
+    rl.close();
+    resolve(answer.trim());
+  }));
+}
+
+/** Call a tool on a throwaway in-process server bound to `client`. */
+async function callTool(client: PriorApiClient, name: string, args: Record<string, unknown>) {
+  const server = createPriorServer(client, { cache: createSearchCacheFromEnv() });
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  const mcp = new Client({ name: "prior-cli", version: SERVER_VERSION });
+  await Promise.all([server.connect(serverTransport), mcp.connect(clientTransport)]);
+  try {
+    return await mcp.callTool({ name, arguments: args });
+  } finally {
+    await mcp.close();
+  }
+}
+
+function splitList(value: string): string[] {
+  return value.replace(/^\[|\]$/g, "").split(",").map(s => s.trim().replace(/^["']|["']$/g, "")).filter(Boolean);
+}
+
+function sectionItems(text: string): string[] {
+  const items = text.split("\n").filter(l => /^\s*[-*]\s+/.test(l)).map(l => l.replace(/^\s*[-*]\s+/, "").trim());
+  return items.length ? items : [text.trim()].filter(Boolean);
+}
+
+/**
+ * Parse a contribution file. JSON files are taken as prior_contribute
+ * arguments. Markdown files use front matter for title/tags/ttl/model (the
+ * first `# heading` is the title fallback) and the body as content; optional
+ * `## Problem`, `## Solution`, `## Error Messages` and `## Failed Approaches`
+ * sections also fill the structured fields.
+ */
+export function parseContributionFile(text: string, filename = ""): ContributionInput {
+  if (filename.endsWith(".json")) return JSON.parse(text) as ContributionInput;
+
+  const meta: Record<string, string> = {};
+  let body = text.replace(/^\uFEFF/, "");
+  const front = body.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  if (front) {
+    for (const line of front[1].split(/\r?\n/)) {
+      const m = line.match(/^(\w+)\s*:\s*(.*)$/);
+      if (m) meta[m[1].toLowerCase()] = m[2].trim().replace(/^["'](.*)["']$/, "$1");
+    }
+    body = body.slice(front[0].length);
+  }
+
+  let title = meta.title;
+  if (!title) {
+    const heading = body.match(/^#\s+(.+)\r?\n?/m);
+    if (heading) {
+      title = heading[1].trim();
+      body = body.replace(heading[0], "");
+    }
+  }
+
+  const input: ContributionInput = {
+    title: title || "",
+    content: body.trim(),
+    tags: meta.tags ? splitList(meta.tags) : [],
+  };
+  if (meta.model) input.model = meta.model;
+  if (meta.ttl) input.ttl = meta.ttl;
+
+  const sections = body.split(/^##\s+/m).slice(1);
+  for (const section of sections) {
+    const [heading, ...rest] = section.split("\n");
+    const content = rest.join("\n").trim();
+    switch (heading.trim().toLowerCase()) {
+      case "problem": input.problem = content; break;
+      case "solution": input.solution = content; break;
+      case "error messages": input.errorMessages = sectionItems(content); break;
+      case "failed approaches": input.failedApproaches = sectionItems(content); break;
+    }
+  }
+  return input;
+}
+
+/**
+ * Run a CLI subcommand and return the process exit code.
+ */
+export async function runCli(argv: string[], options: CliOptions = {}): Promise<number> {
+  const out = options.stdout || ((text: string) => process.stdout.write(text + "\n"));
+  const err = options.stderr || ((text: string) => process.stderr.write(text + "\n"));
+
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        profile: { type: "string" },
+        json: { type: "boolean" },
+        format: { type: "string" },
+        key: { type: "string" },
+        file: { type: "string" },
+        "dry-run": { type: "boolean" },
+        "max-results": { type: "string" },
+        "min-quality": { type: "string" },
+        runtime: { type: "string" },
+        help: { type: "boolean", short: "h" },
+        // Server options from USAGE; accepted here so they can precede a subcommand, then ignored
+        http: { type: "boolean" },
+        port: { type: "string" },
+        host: { type: "string" },
+      },
+    });
+  } catch (e: any) {
+    err(`${e.message}\n\n${USAGE}`);
+    return 2;
+  }
+  const { values, positionals } = parsed;
+  const [command, ...rest] = positionals;
+  const clientOptions: PriorClientOptions = { ...options.clientOptions, profile: values.profile ?? options.clientOptions?.profile };
+
+  if (!command || command === "help" || values.help) {
+    out(USAGE);
+    return 0;
+  }
+
+  if (command === "doctor") {
+    const checks = await doctor(clientOptions);
+    out(values.json ? JSON.stringify(checks, null, 2) : formatChecklist(checks));
+    return checks.every(c => c.ok) ? 0 : 1;
+  }
+
+  if (values.format !== undefined && !isRenderFormat(values.format)) {
+    err(`--format must be one of ${RENDER_FORMATS.join(", ")}`);
+    return 2;
+  }
+  const format = values.format;
+
+  try {
+    if (command === "login") return await login(clientOptions, values.key, options.prompt || promptLine, out, err);
+
+    const client = new PriorApiClient(clientOptions);
+    let result;
+    if (command === "search") {
+      const query = rest.join(" ").trim();
+      if (!query) {
+        err("Usage: prior-mcp search \"<query>\"");
+        return 2;
+      }
+      const args: Record<string, unknown> = { query, format };
+      if (values["max-results"]) args.maxResults = Number(values["max-results"]);
+      if (values["min-quality"]) args.minQuality = Number(values["min-quality"]);
+      if (values.runtime) args.context = { runtime: values.runtime };
+      result = await callTool(client, "prior_search", args);
+    } else if (command === "status") {
+      result = await callTool(client, "prior_status", { format });
+    } else if (command === "contribute") {
+      if (!values.file) {
+        err("Usage: prior-mcp contribute --file <entry.md|entry.json> [--dry-run]");
+        return 2;
+      }
+      const input = parseContributionFile(fs.readFileSync(values.file, "utf-8"), path.basename(values.file));
+      result = await callTool(client, "prior_contribute", { ...input, dryRun: values["dry-run"] || undefined, format });
+    } else {
+      err(`Unknown command: ${command}\n\n${USAGE}`);
+      return 2;
+    }
+
+    const text = (result.content as Array<{ type: string; text?: string }>).map(c => c.text || "").join("\n");
+    if (result.isError) {
+      err(text);
+      return 1;
+    }
+    out(values.json ? JSON.stringify(result.structuredContent, null, 2) : text);
+    return 0;
+  } catch (e: any) {
+    err(e instanceof PriorApiError ? `Error (${e.code}): ${e.message}` : `Error: ${e.message}`);
+    return 1;
+  }
+}
+
+async function login(
+  clientOptions: PriorClientOptions,
+  keyArg: string | undefined,
+  prompt: (question: string) => Promise<string>,
+  out: (text: string) => void,
+  err: (text: string) => void,
+): Promise<number> {
+  const apiKey = keyArg || await prompt("Prior API key (from https://prior.cg3.io/account): ");
+  if (!apiKey) {
+    err("No API key entered.");
+    return 1;
+  }
+  const client = new PriorApiClient({ ...clientOptions, apiKey, persistConfig: true });
+  // Verify before saving so a typo doesn't replace a working key
+  const data = await client.request("GET", "/v1/agents/me") as any;
+  const agent = data?.data || data;
+  const agentId = agent?.agentId || agent?.id || "";
+  client.saveConfig({ apiKey, agentId });
+  out(`Logged in${agentId ? ` as ${agentId}` : ""} — saved to profile "${client.profile}" in ${client.credentialStore.description}`);
+  return 0;
+}
+
+/**
+ * Diagnose a local setup: Node version, config file, key and API reachability.
+ */
+export async function doctor(clientOptions: PriorClientOptions = {}): Promise<ChecklistItem[]> {
+  const checks: ChecklistItem[] = [];
+  const major = Number(process.versions.node.split(".")[0]);
+  checks.push(major >= 18
+    ? { check: "node", ok: true, message: `Node.js ${process.versions.node}` }
+    : { check: "node", ok: false, message: `Node.js ${process.versions.node} is too old — Prior needs 18 or newer` });
+
+  const configPath = clientOptions.configPath || CONFIG_PATH;
+  const store = clientOptions.credentialStore || createCredentialStoreFromEnv(configPath);
+  if (!fs.existsSync(configPath)) {
+    checks.push({ check: "config", ok: true, message: `No config file at ${configPath} (fine if PRIOR_API_KEY is set)` });
+  } else {
+    try {
+      const file = store.read();
+      checks.push(file
+        ? { check: "config", ok: true, message: `Config: ${store.description} — profiles: ${Object.keys(file.profiles).join(", ") || "none"}` }
+        : { check: "config", ok: false, message: `Config file ${configPath} is not valid JSON` });
+    } catch (e: any) {
+      checks.push({ check: "config", ok: false, message: e.message });
+    }
+    const permissions = insecurePermissions(configPath);
+    if (permissions) checks.push({ check: "config-permissions", ok: false, message: permissions });
+  }
+
+  const client = new PriorApiClient({ ...clientOptions, maxRetries: 0, timeoutMs: clientOptions.timeoutMs ?? 10000 });
+  if (!(await client.refreshCredentials())) {
+    checks.push({ check: "api-key", ok: false, message: client.configurationError });
+    return checks;
+  }
+  checks.push({ check: "api-key", ok: true, message: `API key ${client.apiKey!.slice(0, 6)}… from ${client.keySource}` });
+
+  try {
+    const data = await client.request("GET", "/v1/agents/me") as any;
+    const agent = data?.data || data;
+    checks.push({ check: "connectivity", ok: true, message: "Prior API reachable" });
+    checks.push({ check: "auth", ok: true, message: `Key accepted — agent ${agent?.agentId || agent?.id || "?"}, ${agent?.credits ?? 0} credits` });
+  } catch (e: any) {
+    if (e instanceof PriorApiError && (e.code === "network_error" || e.code === "timeout")) {
+      checks.push({ check: "connectivity", ok: false, message: e.message });
+    } else {
+      checks.push({ check: "connectivity", ok: true, message: "Prior API reachable" });
+      checks.push({ check: "auth", ok: false, message: e.message });
+    }
+  }
+  return checks;
+}
@@ -3,20 +3,247 @@
  *
  * Requires an API key via PRIOR_API_KEY env var or ~/.prior/config.json.
  * Get your key at https://prior.cg3.io/account
+ *
+ * config.json holds named profiles:
+ *   { "defaultProfile": "personal",
+ *     "profiles": { "personal": { "apiKey": "ask_..." }, "team": { "apiKey": "ask_...", "apiUrl": "..." } } }
+ * The legacy flat { apiKey, agentId } format is read as a profile named "default"
+ * and rewritten in the new format on the next save.
  */
 
 import * as fs from "fs";
 import * as path from "path";
 import * as os from "os";
+import * as crypto from "crypto";
+import { exec } from "child_process";
+import { PriorConfigurationError, PriorNetworkError, errorFromResponse } from "./errors.js";
+import { RenderFormat } from "./utils.js";
 
 export const CONFIG_PATH = path.join(os.homedir(), ".prior", "config.json");
 const VERSION = "0.5.0";
 
+export const DEFAULT_PROFILE = "default";
+
 export interface PriorConfig {
   apiKey: string;
   agentId: string;
 }
 
+/** Per-profile defaults applied when a tool call leaves the value unset */
+export interface ProfileDefaults {
+  maxResults?: number;
+  maxTokens?: number;
+  minQuality?: number;
+  /** Text rendering for tool results when neither the call nor PRIOR_FORMAT sets one */
+  format?: RenderFormat;
+  /** Approximate token cap for prior_search responses when neither the call nor PRIOR_RESPONSE_BUDGET sets one */
+  responseBudget?: number;
+}
+
+export interface PriorProfile {
+  apiKey?: string;
+  /** Command that prints the key, used instead of storing apiKey */
+  apiKeyCommand?: string;
+  agentId?: string;
+  apiUrl?: string;
+  defaults?: ProfileDefaults;
+}
+
+export interface PriorConfigFile {
+  /** Profile used when neither PRIOR_PROFILE nor --profile is given */
+  defaultProfile?: string;
+  profiles: Record<string, PriorProfile>;
+}
+
+/**
+ * Normalize parsed config.json contents, converting the legacy flat
+ * { apiKey, agentId } format into a single "default" profile.
+ */
+export function migrateConfig(raw: unknown): PriorConfigFile {
+  if (!raw || typeof raw !== "object") return { profiles: {} };
+  const obj = raw as Record<string, any>;
+  if (obj.profiles && typeof obj.profiles === "object") {
+    return {
+      ...(typeof obj.defaultProfile === "string" ? { defaultProfile: obj.defaultProfile } : {}),
+      profiles: obj.profiles,
+    };
+  }
+  const legacy: PriorProfile = {};
+  if (obj.apiKey) legacy.apiKey = obj.apiKey;
+  if (obj.agentId) legacy.agentId = obj.agentId;
+  if (obj.apiUrl) legacy.apiUrl = obj.apiUrl;
+  if (!Object.keys(legacy).length) return { profiles: {} };
+  return { defaultProfile: DEFAULT_PROFILE, profiles: { [DEFAULT_PROFILE]: legacy } };
+}
+
+/** Write atomically with owner-only permissions — the file holds API keys. */
+function writeSecretFile(filePath: string, contents: string): void {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true, mode: 0o700 });
+  const tmp = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, contents, { mode: 0o600 });
+  fs.renameSync(tmp, filePath);
+  if (process.platform !== "win32") fs.chmodSync(filePath, 0o600);
+}
+
+/**
+ * Describe why a config file's permissions are unsafe, or undefined if they
+ * are fine (or can't be checked, e.g. on Windows).
+ */
+export function insecurePermissions(filePath: string): string | undefined {
+  if (process.platform === "win32") return undefined;
+  try {
+    const mode = fs.statSync(filePath).mode & 0o777;
+    if (mode & 0o077) {
+      return `${filePath} is readable by other users (mode ${mode.toString(8)}). Run: chmod 600 ${filePath}`;
+    }
+  } catch {
+    // Missing file — nothing to warn about
+  }
+  return undefined;
+}
+
+/**
+ * Where profiles (and their keys) are persisted. The client only ever goes
+ * through this interface, so keys can live somewhere other than plaintext JSON.
+ */
+export interface CredentialStore {
+  /** Short label for diagnostics, e.g. "file ~/.prior/config.json" */
+  readonly description: string;
+  read(): PriorConfigFile | null;
+  write(config: PriorConfigFile): void;
+}
+
+const warnedPaths = new Set<string>();
+
+interface EncryptedEnvelope {
+  cipher: "aes-256-gcm";
+  kdf: "scrypt";
+  salt: string;
+  iv: string;
+  tag: string;
+  data: string;
+}
+
+function isEncryptedEnvelope(raw: any): raw is EncryptedEnvelope {
+  return raw?.cipher === "aes-256-gcm" && typeof raw.data === "string";
+}
+
+/**
+ * Plaintext JSON file, written with 0600 permissions. Warns once per process
+ * if an existing file is readable by group or others.
+ */
+export class FileCredentialStore implements CredentialStore {
+  readonly description: string;
+
+  constructor(readonly path: string = CONFIG_PATH) {
+    this.description = `file ${path}`;
+  }
+
+  read(): PriorConfigFile | null {
+    let raw: unknown;
+    try {
+      raw = JSON.parse(fs.readFileSync(this.path, "utf-8"));
+    } catch {
+      return null;
+    }
+    if (isEncryptedEnvelope(raw)) {
+      throw new Error(`${this.path} is encrypted — set PRIOR_CONFIG_PASSPHRASE to read it.`);
+    }
+    const warning = insecurePermissions(this.path);
+    if (warning && !warnedPaths.has(this.path)) {
+      warnedPaths.add(this.path);
+      console.error(`Warning: ${warning}`);
+    }
+    return migrateConfig(raw);
+  }
+
+  write(config: PriorConfigFile): void {
+    writeSecretFile(this.path, JSON.stringify(config, null, 2));
+  }
+}
+
+/**
+ * Config file encrypted with AES-256-GCM, keyed by scrypt from a passphrase
+ * (PRIOR_CONFIG_PASSPHRASE). A plaintext file is still read, and encrypted
+ * on the next write.
+ */
+export class EncryptedFileCredentialStore implements CredentialStore {
+  readonly description: string;
+
+  constructor(private passphrase: string, readonly path: string = CONFIG_PATH) {
+    if (!passphrase) throw new Error("EncryptedFileCredentialStore needs a non-empty passphrase");
+    this.description = `encrypted file ${path}`;
+  }
+
+  read(): PriorConfigFile | null {
+    let raw: unknown;
+    try {
+      raw = JSON.parse(fs.readFileSync(this.path, "utf-8"));
+    } catch {
+      return null;
+    }
+    if (!isEncryptedEnvelope(raw)) return migrateConfig(raw);
+
+    const key = crypto.scryptSync(this.passphrase, Buffer.from(raw.salt, "base64"), 32);
+    const decipher = crypto.createDecipheriv("aes-256-gcm", key, Buffer.from(raw.iv, "base64"));
+    decipher.setAuthTag(Buffer.from(raw.tag, "base64"));
+    let plaintext: string;
+    try {
+      plaintext = Buffer.concat([decipher.update(Buffer.from(raw.data, "base64")), decipher.final()]).toString("utf-8");
+    } catch {
+      throw new Error(`Could not decrypt ${this.path} — check PRIOR_CONFIG_PASSPHRASE.`);
+    }
+    return migrateConfig(JSON.parse(plaintext));
+  }
+
+  write(config: PriorConfigFile): void {
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const key = crypto.scryptSync(this.passphrase, salt, 32);
+    const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(config), "utf-8"), cipher.final()]);
+    const envelope: EncryptedEnvelope = {
+      cipher: "aes-256-gcm",
+      kdf: "scrypt",
+      salt: salt.toString("base64"),
+      iv: iv.toString("base64"),
+      tag: cipher.getAuthTag().toString("base64"),
+      data: data.toString("base64"),
+    };
+    writeSecretFile(this.path, JSON.stringify(envelope, null, 2));
+  }
+}
+
+/**
+ * Pick the credential store: encrypted when PRIOR_CONFIG_PASSPHRASE is set,
+ * plaintext (0600) otherwise.
+ */
+export function createCredentialStoreFromEnv(configPath: string = CONFIG_PATH, env: NodeJS.ProcessEnv = process.env): CredentialStore {
+  return env.PRIOR_CONFIG_PASSPHRASE
+    ? new EncryptedFileCredentialStore(env.PRIOR_CONFIG_PASSPHRASE, configPath)
+    : new FileCredentialStore(configPath);
+}
+
+/**
+ * Run a command (e.g. `pass show prior`) and return the first line of its
+ * output as the API key, so the key never has to be stored by Prior.
+ */
+export function runApiKeyCommand(command: string, timeoutMs = 10000): Promise<string> {
+  return new Promise((resolve, reject) => {
+    const child = exec(command, { encoding: "utf-8", timeout: timeoutMs }, (err, stdout, stderr) => {
+      if (err) {
+        reject(new Error(`apiKeyCommand failed (${command}): ${stderr.trim() || err.message}`));
+        return;
+      }
+      const key = stdout.split(/\r?\n/)[0].trim();
+      if (!key) reject(new Error(`apiKeyCommand printed nothing (${command})`));
+      else resolve(key);
+    });
+    // A command that reads stdin gets EOF rather than waiting out the timeout
+    child.stdin?.end();
+  });
+}
+
 export interface PriorClientOptions {
   /** Base URL for the Prior API */
   apiUrl?: string;
@@ -26,8 +253,95 @@ export interface PriorClientOptions {
   agentId?: string;
   /** Whether to persist config to ~/.prior/config.json (default: true) */
   persistConfig?: boolean;
+  /** Config file location (default: ~/.prior/config.json) */
+  configPath?: string;
+  /** Where profiles are read from and saved to (default: from PRIOR_CONFIG_PASSPHRASE, see createCredentialStoreFromEnv) */
+  credentialStore?: CredentialStore;
+  /** Command that prints the API key, e.g. `pass show prior` (default: PRIOR_API_KEY_COMMAND) */
+  apiKeyCommand?: string;
+  /** Named profile to load from the config file (default: PRIOR_PROFILE, then the file's defaultProfile) */
+  profile?: string;
   /** User-Agent string override */
   userAgent?: string;
+  /** Max retry attempts for 429/5xx/network failures (default: PRIOR_MAX_RETRIES or 2) */
+  maxRetries?: number;
+  /** Base delay in ms for exponential backoff (default: PRIOR_RETRY_BASE_DELAY_MS or 500) */
+  retryBaseDelayMs?: number;
+  /** Upper bound in ms for any single retry delay, including Retry-After (default: 30000) */
+  retryMaxDelayMs?: number;
+  /** Jitter fraction (0-1) applied to each backoff delay (default: PRIOR_RETRY_JITTER or 0.2) */
+  retryJitter?: number;
+  /** Per-attempt request timeout in ms; 0 disables (default: PRIOR_TIMEOUT_MS or 30000) */
+  timeoutMs?: number;
+}
+
+export interface RequestOptions {
+  /**
+   * Whether the call is safe to repeat after a 5xx or network failure.
+   * Defaults to true for GET/HEAD/PUT/DELETE/OPTIONS. 429s are always retried
+   * since the server rejected the request before processing it.
+   */
+  idempotent?: boolean;
+  /** Aborts the request (including pending retries), e.g. when the MCP client cancels a tool call */
+  signal?: AbortSignal;
+  /** Overrides the client's per-attempt timeout for this call */
+  timeoutMs?: number;
+  /**
+   * Sent as the Idempotency-Key header so the server can deduplicate replays.
+   * Requests carrying a key are treated as idempotent for retry purposes.
+   */
+  idempotencyKey?: string;
+}
+
+const NOT_CONFIGURED_MESSAGE =
+  "No Prior API key configured. Get your key at https://prior.cg3.io/account, then call prior_configure with it, " +
+  "set the PRIOR_API_KEY environment variable, or add it to ~/.prior/config.json. " +
+  "See prior://docs/api-keys for setup instructions.";
+
+const IDEMPOTENT_METHODS = new Set(["GET", "HEAD", "PUT", "DELETE", "OPTIONS"]);
+
+/** Wait before rerunning a failed apiKeyCommand, doubling per failure up to the max */
+const KEY_COMMAND_RETRY_MS = 5_000;
+const KEY_COMMAND_MAX_RETRY_MS = 5 * 60_000;
+
+function envNumber(name: string): number | undefined {
+  const raw = process.env[name];
+  if (raw === undefined || raw === "") return undefined;
+  const n = Number(raw);
+  return Number.isFinite(n) && n >= 0 ? n : undefined;
+}
+
+/**
+ * Parse a Retry-After header (delta-seconds or HTTP-date) into milliseconds.
+ */
+export function parseRetryAfter(header: string | null | undefined, now: number = Date.now()): number | undefined {
+  if (!header) return undefined;
+  const trimmed = header.trim();
+  if (/^\d+(\.\d+)?$/.test(trimmed)) return Math.round(Number(trimmed) * 1000);
+  const date = Date.parse(trimmed);
+  if (Number.isNaN(date)) return undefined;
+  return Math.max(0, date - now);
+}
+
+// undici reports "fetch failed" and hides the useful part (ECONNREFUSED etc.) in `cause`
+function describeFetchError(err: unknown): string {
+  const e = err as { message?: string; cause?: { message?: string; code?: string } };
+  return e?.cause?.code || e?.cause?.message || e?.message || String(err);
+}
+
+function sleep(ms: number, signal?: AbortSignal): Promise<void> {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal!.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
 }
 
 export class PriorApiClient {
@@ -35,72 +349,263 @@ export class PriorApiClient {
   private _apiKey: string | undefined;
   private _agentId: string | undefined;
   private persistConfig: boolean;
+  private options: PriorClientOptions;
+  private store: CredentialStore;
+  private _configError: string | undefined;
+  private _keySource: string | undefined;
+  private _profile: string | undefined;
+  private _defaults: ProfileDefaults = {};
   private userAgent: string;
+  private maxRetries: number;
+  private retryBaseDelayMs: number;
+  private retryMaxDelayMs: number;
+  private retryJitter: number;
+  private timeoutMs: number;
+  /** In-flight refreshCredentials run, shared so apiKeyCommand is spawned once */
+  private refreshing: Promise<boolean> | undefined;
+  /**
+   * Failed apiKeyCommand runs by command, so a broken one is not rerun (for
+   * up to its timeout) on every request.
+   */
+  private keyCommandFailures = new Map<string, { error: Error; retryAt: number; delayMs: number }>();
 
   constructor(options: PriorClientOptions = {}) {
-    this.apiUrl = options.apiUrl || process.env.PRIOR_API_URL || "https://api.cg3.io";
-    this._apiKey = options.apiKey || process.env.PRIOR_API_KEY;
-    this._agentId = options.agentId;
+    this.options = options;
     this.persistConfig = options.persistConfig ?? true;
+    this.store = options.credentialStore || createCredentialStoreFromEnv(options.configPath || CONFIG_PATH);
+    this.apiUrl = options.apiUrl || process.env.PRIOR_API_URL || "https://api.cg3.io";
     this.userAgent = options.userAgent || `prior-mcp/${VERSION}`;
+    this.maxRetries = options.maxRetries ?? envNumber("PRIOR_MAX_RETRIES") ?? 2;
+    this.retryBaseDelayMs = options.retryBaseDelayMs ?? envNumber("PRIOR_RETRY_BASE_DELAY_MS") ?? 500;
+    this.retryMaxDelayMs = options.retryMaxDelayMs ?? 30000;
+    this.retryJitter = Math.min(1, Math.max(0, options.retryJitter ?? envNumber("PRIOR_RETRY_JITTER") ?? 0.2));
+    this.timeoutMs = options.timeoutMs ?? envNumber("PRIOR_TIMEOUT_MS") ?? 30000;
+
+    // A missing key is not fatal: the server still starts, serves the setup
+    // docs, and picks the key up once it appears (see refreshCredentials).
+    // Keys from options, env or the profile are set before this returns; an
+    // apiKeyCommand keeps running and requests wait for it.
+    void this.refreshCredentials();
+  }
+
+  get apiKey(): string | undefined { return this._apiKey; }
+  get agentId(): string | undefined { return this._agentId; }
+  /** Name of the config profile in use, if one was loaded */
+  get profile(): string | undefined { return this._profile; }
+  get defaults(): ProfileDefaults { return this._defaults; }
+  /** Where the key came from: options, PRIOR_API_KEY, apiKeyCommand or profile "<name>" */
+  get keySource(): string | undefined { return this._keySource; }
+  get credentialStore(): CredentialStore { return this.store; }
+  get isConfigured(): boolean { return !!this._apiKey; }
+  /** Whether saveConfig() is expected to be used (persistConfig option) */
+  get persistsConfig(): boolean { return this.persistConfig; }
+  /** Why no key could be resolved, e.g. an unknown profile or a failing apiKeyCommand */
+  get configurationError(): string { return this._configError || NOT_CONFIGURED_MESSAGE; }
 
-    // Load config on startup if no key provided
-    if (!this._apiKey && this.persistConfig) {
-      const config = this.loadConfig();
-      if (config) {
-        this._apiKey = config.apiKey;
-        this._agentId = config.agentId;
+  /**
+   * Resolve the key from options, env, the config profile and apiKeyCommand.
+   * Called on construction and again before each request while no key is
+   * set, so a key added later is used without restarting. Never rejects;
+   * resolves to whether a key is now available. Concurrent calls share one
+   * run, so a slow apiKeyCommand is only spawned once.
+   */
+  refreshCredentials(): Promise<boolean> {
+    if (this._apiKey) return Promise.resolve(true);
+    this.refreshing ??= this.resolveCredentials().finally(() => { this.refreshing = undefined; });
+    return this.refreshing;
+  }
+
+  private async resolveCredentials(): Promise<boolean> {
+    const options = this.options;
+    try {
+      const requestedProfile = options.profile || process.env.PRIOR_PROFILE || undefined;
+      // A new profile can be named when the key is passed in (e.g. `prior-mcp login --profile team`)
+      const profile = this.persistConfig ? this.resolveProfile(requestedProfile, !!options.apiKey) : undefined;
+      if (!options.apiUrl && !process.env.PRIOR_API_URL && profile?.apiUrl) this.apiUrl = profile.apiUrl;
+      this._defaults = { ...profile?.defaults };
+
+      // An explicitly selected profile wins over an ambient PRIOR_API_KEY
+      const envKey = process.env.PRIOR_API_KEY;
+      const command = options.apiKeyCommand || process.env.PRIOR_API_KEY_COMMAND;
+      const sources: Array<[string, () => string | undefined | Promise<string>]> = [
+        [`profile "${this._profile}"`, () => profile?.apiKey || (profile?.apiKeyCommand ? this.runKeyCommand(profile.apiKeyCommand) : undefined)],
+        ["PRIOR_API_KEY", () => envKey],
+        ["apiKeyCommand", () => command ? this.runKeyCommand(command) : undefined],
+      ];
+      if (!requestedProfile) sources.push(sources.shift()!);
+      let key = options.apiKey;
+      let source = key ? "options" : undefined;
+      for (const [name, resolve] of sources) {
+        if (key || this._apiKey) break;
+        // Only await commands, so the other sources resolve synchronously
+        const pending = resolve();
+        key = typeof pending === "object" ? await pending : pending;
+        if (key) source = name;
       }
+      // setApiKey() may have supplied a key while a command was running
+      if (key && !this._apiKey) {
+        this._apiKey = key;
+        this._keySource = source;
+        this._agentId = options.agentId || (source?.startsWith("profile") ? profile?.agentId : undefined);
+      }
+      this._configError = undefined;
+    } catch (err) {
+      this._configError = `${(err as Error).message} See prior://docs/api-keys for setup instructions.`;
     }
+    return !!this._apiKey;
+  }
 
-    // Require an API key — no more auto-registration
-    if (!this._apiKey) {
-      throw new Error(
-        "No Prior API key configured. " +
-        "Get your key at https://prior.cg3.io/account and set the PRIOR_API_KEY environment variable, " +
-        "or add it to ~/.prior/config.json. See prior://docs/api-keys for setup instructions."
-      );
+  /** runApiKeyCommand, but a recent failure is rethrown instead of running the command again */
+  private async runKeyCommand(command: string): Promise<string> {
+    const failure = this.keyCommandFailures.get(command);
+    if (failure && Date.now() < failure.retryAt) {
+      throw new Error(`${failure.error.message} (retrying after ${new Date(failure.retryAt).toISOString()})`);
+    }
+    try {
+      const key = await runApiKeyCommand(command);
+      this.keyCommandFailures.delete(command);
+      return key;
+    } catch (err) {
+      const delayMs = failure ? Math.min(failure.delayMs * 2, KEY_COMMAND_MAX_RETRY_MS) : KEY_COMMAND_RETRY_MS;
+      this.keyCommandFailures.set(command, { error: err as Error, retryAt: Date.now() + delayMs, delayMs });
+      throw err;
     }
   }
 
-  get apiKey(): string | undefined { return this._apiKey; }
-  get agentId(): string | undefined { return this._agentId; }
+  /**
+   * Use a key from now on, e.g. one supplied through prior_configure.
+   * Does not persist it — call saveConfig() for that.
+   */
+  setApiKey(apiKey: string, agentId?: string): void {
+    this._apiKey = apiKey;
+    this._agentId = agentId;
+    this._keySource = "options";
+    this._configError = undefined;
+  }
 
-  loadConfig(): PriorConfig | null {
-    try {
-      const raw = fs.readFileSync(CONFIG_PATH, "utf-8");
-      return JSON.parse(raw) as PriorConfig;
-    } catch {
-      return null;
+  /**
+   * Pick the profile to load. An explicitly requested profile must exist
+   * unless allowMissing is set; otherwise the file's defaultProfile (or
+   * "default") is used if present.
+   */
+  private resolveProfile(requested: string | undefined, allowMissing = false): PriorProfile | undefined {
+    const file = this.store.read();
+    if (requested) {
+      const profile = file?.profiles[requested];
+      if (!profile && allowMissing) {
+        this._profile = requested;
+        return undefined;
+      }
+      if (!profile) {
+        const available = Object.keys(file?.profiles || {});
+        throw new Error(
+          `Prior profile "${requested}" not found in ${this.store.description}` +
+          (available.length ? ` (available: ${available.join(", ")})` : "") + ".");
+      }
+      this._profile = requested;
+      return profile;
     }
+    if (!file) return undefined;
+    const name = file.defaultProfile || DEFAULT_PROFILE;
+    if (!file.profiles[name]) return undefined;
+    this._profile = name;
+    return file.profiles[name];
+  }
+
+  /** Read the active profile's key and agent ID (legacy shape) */
+  loadConfig(): PriorConfig | null {
+    const file = this.store.read();
+    if (!file) return null;
+    const profile = file.profiles[this._profile || file.defaultProfile || DEFAULT_PROFILE];
+    if (!profile) return null;
+    return { apiKey: profile.apiKey || "", agentId: profile.agentId || "" };
   }
 
-  saveConfig(config: PriorConfig): void {
-    fs.mkdirSync(path.dirname(CONFIG_PATH), { recursive: true });
-    fs.writeFileSync(CONFIG_PATH, JSON.stringify(config, null, 2));
+  /**
+   * Store a key/agent ID in the active profile, leaving other profiles intact.
+   * A legacy flat file is migrated to the profiles format here.
+   */
+  saveConfig(config: Partial<PriorProfile>): void {
+    const file = this.store.read() || { profiles: {} };
+    const name = this._profile || file.defaultProfile || DEFAULT_PROFILE;
+    file.profiles[name] = { ...file.profiles[name], ...config };
+    if (!file.defaultProfile) file.defaultProfile = name;
+    this.store.write(file);
+    this._profile = name;
   }
 
-  async request(method: string, path: string, body?: unknown, key?: string): Promise<unknown> {
+  async request(method: string, path: string, body?: unknown, key?: string, options: RequestOptions = {}): Promise<unknown> {
+    if (!key && !(await this.refreshCredentials())) throw new PriorConfigurationError(this.configurationError);
     const k = key || this._apiKey;
-    const res = await fetch(`${this.apiUrl}${path}`, {
-      method,
-      headers: {
-        ...(k ? { "Authorization": `Bearer ${k}` } : {}),
-        "Content-Type": "application/json",
-        "User-Agent": this.userAgent,
-      },
-      body: body ? JSON.stringify(body) : undefined,
-    });
+    const idempotent = options.idempotent ?? (IDEMPOTENT_METHODS.has(method.toUpperCase()) || !!options.idempotencyKey);
+    const timeoutMs = options.timeoutMs ?? this.timeoutMs;
+    const { signal } = options;
 
-    const text = await res.text();
-    if (!res.ok) {
-      throw new Error(`API error ${res.status}: ${text}`);
-    }
+    for (let attempt = 0; ; attempt++) {
+      signal?.throwIfAborted();
+      const canRetry = attempt < this.maxRetries;
 
-    try {
-      return JSON.parse(text);
-    } catch {
-      return text;
+      // One controller per attempt, aborted by either the caller or the timeout
+      const controller = new AbortController();
+      const onAbort = () => controller.abort(signal!.reason);
+      signal?.addEventListener("abort", onAbort, { once: true });
+      let timedOut = false;
+      const timer = timeoutMs > 0 ? setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, timeoutMs) : undefined;
+
+      let res: Response;
+      let text: string;
+      try {
+        res = await fetch(`${this.apiUrl}${path}`, {
+          method,
+          headers: {
+            ...(k ? { "Authorization": `Bearer ${k}` } : {}),
+            "Content-Type": "application/json",
+            "User-Agent": this.userAgent,
+            ...(options.idempotencyKey ? { "Idempotency-Key": options.idempotencyKey } : {}),
+          },
+          body: body ? JSON.stringify(body) : undefined,
+          signal: controller.signal,
+        });
+        text = await res.text();
+      } catch (err) {
+        if (signal?.aborted) throw signal.reason;
+        const error = timedOut
+          ? new PriorNetworkError(`Request timed out after ${timeoutMs}ms: ${method} ${path}`, { timeout: true })
+          : new PriorNetworkError(`Could not reach the Prior API at ${this.apiUrl}: ${describeFetchError(err)}`, { cause: err });
+        if (canRetry && idempotent) {
+          await sleep(this.backoffDelay(attempt), signal);
+          continue;
+        }
+        throw error;
+      } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener("abort", onAbort);
+      }
+
+      if (!res.ok) {
+        const retryable = res.status === 429 || (res.status >= 500 && idempotent);
+        const retryAfter = parseRetryAfter(res.headers.get("retry-after"));
+        if (canRetry && retryable) {
+          await sleep(retryAfter !== undefined ? Math.min(retryAfter, this.retryMaxDelayMs) : this.backoffDelay(attempt), signal);
+          continue;
+        }
+        throw errorFromResponse(res.status, text, retryAfter);
+      }
+
+      try {
+        return JSON.parse(text);
+      } catch {
+        return text;
+      }
     }
   }
+
+  private backoffDelay(attempt: number): number {
+    const base = this.retryBaseDelayMs * 2 ** attempt;
+    const jittered = base * (1 + this.retryJitter * (Math.random() * 2 - 1));
+    return Math.min(this.retryMaxDelayMs, Math.max(0, Math.round(jittered)));
+  }
 }
@@ -0,0 +1,274 @@
+/**
+ * Contribution preparation — normalization, scrubbing and the quality
+ * checklist shared by prior_contribute and its dry-run mode.
+ */
+
+import { PriorValidationError, ValidationIssue } from "./errors.js";
+import { ScrubFinding, ScrubMode, ScrubOptions, describeFindings, scrubContribution } from "./scrub.js";
+
+/** Limits from the contribution docs; the server rejects anything outside them */
+export const CONTRIBUTION_LIMITS = {
+  titleMaxLength: 199,
+  contentMinLength: 100,
+  contentMaxLength: 10000,
+  minTags: 1,
+  maxTags: 10,
+  tagMaxLength: 50,
+} as const;
+
+export const TTL_VALUES = ["30d", "60d", "90d", "365d", "evergreen"] as const;
+
+export interface ContributionInput {
+  title: string;
+  content: string;
+  tags: string[];
+  model?: string;
+  problem?: string;
+  solution?: string;
+  errorMessages?: string[];
+  failedApproaches?: string[];
+  environment?: Record<string, unknown>;
+  effort?: Record<string, unknown>;
+  ttl?: string;
+}
+
+export interface PreparedContribution {
+  /** Exact payload for POST /v1/knowledge/contribute */
+  body: Record<string, unknown>;
+  /** Sensitive values detected in the input */
+  findings: ScrubFinding[];
+  mode: ScrubMode;
+}
+
+export interface ChecklistItem {
+  check: string;
+  ok: boolean;
+  message: string;
+}
+
+/**
+ * Lowercase tags, turn whitespace/underscores into hyphens, strip other
+ * punctuation (keeping . + # for names like node.js, c++, c#) and dedupe.
+ */
+export function normalizeTags(tags: string[]): string[] {
+  const out: string[] = [];
+  for (const tag of tags) {
+    const t = tag.trim().toLowerCase()
+      .replace(/[\s_]+/g, "-")
+      .replace(/[^a-z0-9.+#-]/g, "")
+      .replace(/-+/g, "-")
+      .replace(/^-|-$/g, "");
+    if (t && !out.includes(t)) out.push(t);
+  }
+  return out;
+}
+
+function cleanList(items: string[] | undefined): string[] | undefined {
+  const cleaned = items?.map(s => s.trim()).filter(Boolean);
+  return cleaned?.length ? cleaned : undefined;
+}
+
+/**
+ * Normalize and scrub a contribution into the payload that will be sent.
+ * Never throws for scrub findings — call assertNotBlocked() before sending.
+ */
+export function prepareContribution(input: ContributionInput, scrub: ScrubOptions = {}): PreparedContribution {
+  const mode = scrub.mode || "redact";
+  const normalized = {
+    title: input.title.trim(),
+    content: input.content.trim(),
+    problem: input.problem?.trim() || undefined,
+    solution: input.solution?.trim() || undefined,
+    errorMessages: cleanList(input.errorMessages),
+    failedApproaches: cleanList(input.failedApproaches),
+  };
+
+  const { fields, findings } = scrubContribution(normalized, scrub);
+  const text = mode === "redact" ? fields : normalized;
+
+  const body: Record<string, unknown> = {
+    title: text.title,
+    content: text.content,
+    tags: normalizeTags(input.tags),
+    model: input.model?.trim() || "unknown",
+  };
+  if (text.problem) body.problem = text.problem;
+  if (text.solution) body.solution = text.solution;
+  if (text.errorMessages) body.errorMessages = text.errorMessages;
+  if (text.failedApproaches) body.failedApproaches = text.failedApproaches;
+  if (input.environment) body.environment = input.environment;
+  if (input.effort) body.effort = input.effort;
+  if (input.ttl) body.ttl = input.ttl;
+
+  return { body, findings, mode };
+}
+
+/**
+ * Check a prepared payload against the documented limits. The zod input
+ * schema catches most of these up front; this covers what only shows up
+ * after normalization (e.g. tags that were all punctuation).
+ */
+export function validateContribution(body: Record<string, unknown>): ValidationIssue[] {
+  const L = CONTRIBUTION_LIMITS;
+  const issues: ValidationIssue[] = [];
+  const title = String(body.title || "");
+  const content = String(body.content || "");
+  const tags = (body.tags as string[]) || [];
+
+  if (!title) issues.push({ field: "title", message: "title is required — describe the symptom in a short sentence" });
+  else if (title.length > L.titleMaxLength) issues.push({ field: "title", message: `title is ${title.length} chars; keep it under 200 — put details in content` });
+  if (content.length < L.contentMinLength) issues.push({ field: "content", message: `content is ${content.length} chars; it needs at least ${L.contentMinLength} — explain the context and what fixed it` });
+  else if (content.length > L.contentMaxLength) issues.push({ field: "content", message: `content is ${content.length} chars; the limit is ${L.contentMaxLength} — trim logs and keep the essentials` });
+  if (tags.length < L.minTags) issues.push({ field: "tags", message: "at least 1 tag is required after normalization (lowercase letters, digits, . + # -)" });
+  else if (tags.length > L.maxTags) issues.push({ field: "tags", message: `${tags.length} distinct tags after normalization; use at most ${L.maxTags}` });
+  if (body.ttl !== undefined && !(TTL_VALUES as readonly string[]).includes(String(body.ttl))) {
+    issues.push({ field: "ttl", message: `ttl must be one of ${TTL_VALUES.join(", ")}` });
+  }
+  return issues;
+}
+
+/**
+ * Throw a validation_error listing every issue. Pass `fields` to only check
+ * those, e.g. the fields an update changes on an entry that predates the
+ * current limits.
+ */
+export function assertValidContribution(prepared: PreparedContribution, fields?: readonly string[]): void {
+  const issues = validateContribution(prepared.body).filter(i => !fields || fields.includes(i.field));
+  if (issues.length) {
+    throw new PriorValidationError(
+      `Invalid contribution — ${issues.map(i => `${i.field}: ${i.message}`).join("; ")}`, { issues });
+  }
+}
+
+export function assertNotBlocked(prepared: PreparedContribution): void {
+  if (prepared.mode === "block" && prepared.findings.length) {
+    throw new PriorValidationError(
+      `Contribution blocked: possible sensitive data found — ${describeFindings(prepared.findings)}. ` +
+      "Remove or generalize these values (see prior://docs/contributing) and contribute again.");
+  }
+}
+
+// Titles that explain the cause or the fix rather than what the agent saw
+const DIAGNOSIS_TITLE = /^(fix(ed|ing)?|how to|use|using|solution|solved|workaround|resolve[ds]?|avoid)\b|\b(because|caused by|due to|root cause|instead of|the fix|fixed by|solved by)\b/i;
+
+export function looksLikeDiagnosisTitle(title: string): boolean {
+  return DIAGNOSIS_TITLE.test(title);
+}
+
+/**
+ * Quality checklist for a prepared contribution. Items with ok: false are
+ * suggestions, except where the message says the server will reject it.
+ */
+export function contributionChecklist(prepared: PreparedContribution): ChecklistItem[] {
+  const { body, findings, mode } = prepared;
+  const title = String(body.title || "");
+  const content = String(body.content || "");
+  const tags = (body.tags as string[]) || [];
+  const items: ChecklistItem[] = [];
+  const L = CONTRIBUTION_LIMITS;
+
+  items.push(title.length > 0 && title.length <= L.titleMaxLength
+    ? { check: "title-length", ok: true, message: `Title is ${title.length} chars` }
+    : { check: "title-length", ok: false, message: `Title must be 1-${L.titleMaxLength} chars (is ${title.length}) — the server will reject it` });
+
+  items.push(looksLikeDiagnosisTitle(title)
+    ? { check: "title-symptom", ok: false, message: "Title reads like a diagnosis or fix — describe the symptom you'd have searched for before knowing the answer" }
+    : { check: "title-symptom", ok: true, message: "Title describes a symptom" });
+
+  items.push(content.length >= L.contentMinLength && content.length <= L.contentMaxLength
+    ? { check: "content-length", ok: true, message: `Content is ${content.length} chars` }
+    : { check: "content-length", ok: false, message: `Content must be ${L.contentMinLength}-${L.contentMaxLength} chars (is ${content.length}) — the server will reject it` });
+
+  items.push(tags.length >= L.minTags && tags.length <= L.maxTags
+    ? { check: "tag-count", ok: true, message: `${tags.length} tag(s): ${tags.join(", ")}` }
+    : { check: "tag-count", ok: false, message: `Use ${L.minTags}-${L.maxTags} tags (has ${tags.length}) — the server will reject it` });
+
+  const structured: Array<[string, string]> = [
+    ["problem", "Add `problem`: the symptom or unexpected behavior"],
+    ["solution", "Add `solution`: what actually fixed it"],
+    ["errorMessages", "Add `errorMessages`: exact error text, or describe the symptom if there was none"],
+    ["failedApproaches", "Add `failedApproaches`: what you tried that didn't work — the most valuable field for other agents"],
+  ];
+  for (const [field, hint] of structured) {
+    items.push(body[field]
+      ? { check: `has-${field}`, ok: true, message: `${field} provided` }
+      : { check: `has-${field}`, ok: false, message: hint });
+  }
+
+  items.push(body.environment
+    ? { check: "has-environment", ok: true, message: "environment provided" }
+    : { check: "has-environment", ok: false, message: "Add `environment` (language, framework, versions) so others can tell if it applies to them" });
+
+  if (!findings.length) {
+    items.push({ check: "sensitive-data", ok: true, message: "No sensitive data detected" });
+  } else {
+    const action = mode === "block" ? "would block submission" : mode === "redact" ? "redacted in the payload" : "would be submitted unchanged";
+    items.push({ check: "sensitive-data", ok: mode === "redact", message: `Sensitive data ${action}: ${describeFindings(findings)}` });
+  }
+
+  return items;
+}
+
+export function formatChecklist(items: ChecklistItem[]): string {
+  return items.map(i => `${i.ok ? "✓" : "✗"} ${i.message}`).join("\n");
+}
+
+export interface ContributionChange {
+  field: string;
+  summary: string;
+}
+
+function isBlank(value: unknown): boolean {
+  return value === undefined || value === null || value === "" || (Array.isArray(value) && value.length === 0);
+}
+
+function quote(text: string, max = 80): string {
+  return JSON.stringify(text.length > max ? `${text.slice(0, max - 1)}…` : text);
+}
+
+function describeChange(before: unknown, after: unknown): string {
+  if (isBlank(after)) return "cleared";
+  if (Array.isArray(after)) {
+    const old = Array.isArray(before) ? before.map(String) : [];
+    const now = after.map(String);
+    const added = now.filter(v => !old.includes(v));
+    const removed = old.filter(v => !now.includes(v));
+    const parts = [];
+    if (added.length) parts.push(`added ${added.map(v => quote(v)).join(", ")}`);
+    if (removed.length) parts.push(`removed ${removed.map(v => quote(v)).join(", ")}`);
+    return parts.join("; ") || "reordered";
+  }
+  if (typeof after === "object") {
+    const old = (before && typeof before === "object" ? before : {}) as Record<string, unknown>;
+    const now = after as Record<string, unknown>;
+    return [...new Set([...Object.keys(old), ...Object.keys(now)])]
+      .filter(k => JSON.stringify(old[k]) !== JSON.stringify(now[k]))
+      .map(k => `${k}: ${old[k] === undefined ? "(none)" : JSON.stringify(old[k])} → ${now[k] === undefined ? "(none)" : JSON.stringify(now[k])}`)
+      .join("; ");
+  }
+  const oldText = isBlank(before) ? "" : String(before);
+  const newText = String(after);
+  if (!oldText) return `set to ${quote(newText)}`;
+  if (oldText.length <= 80 && newText.length <= 80 && !newText.includes("\n")) return `${quote(oldText)} → ${quote(newText)}`;
+  const oldLines = oldText.split("\n");
+  const newLines = newText.split("\n");
+  const added = newLines.filter(l => !oldLines.includes(l)).length;
+  const removed = oldLines.filter(l => !newLines.includes(l)).length;
+  return `${oldText.length} → ${newText.length} chars, ${added} line(s) added, ${removed} removed`;
+}
+
+/**
+ * Compare `fields` of two contribution payloads and describe what changed,
+ * for prior_update's result. Unchanged fields are left out.
+ */
+export function diffContribution(before: Record<string, unknown>, after: Record<string, unknown>, fields: string[]): ContributionChange[] {
+  const changes: ContributionChange[] = [];
+  for (const field of fields) {
+    const old = before[field];
+    const now = after[field];
+    if (isBlank(old) && isBlank(now)) continue;
+    if (JSON.stringify(old) === JSON.stringify(now)) continue;
+    changes.push({ field, summary: describeChange(old, now) });
+  }
+  return changes;
+}
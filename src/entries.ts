@@ -0,0 +1,206 @@
+/**
+ * Knowledge entries — fetching one by ID (prior_get_entry, prior://entries/{id})
+ * and listing the agent's own contributions (prior_my_contributions,
+ * prior://agent/contributions), with the normalized shapes both share.
+ */
+
+import { z } from "zod";
+import { PriorApiClient } from "./client.js";
+import { PriorValidationError } from "./errors.js";
+import { feedbackActions, feedbackActionsSchema } from "./feedback.js";
+import { RenderFormat } from "./utils.js";
+
+export const ENTRY_URI_TEMPLATE = "prior://entries/{id}";
+
+const feedbackCountsSchema = z.object({
+  useful: z.number(),
+  notUseful: z.number(),
+  irrelevant: z.number(),
+});
+
+/** Output shape of a full entry; backend fields that may be absent are nullable */
+export const entryOutputShape = {
+  id: z.string().describe("Short ID of the entry"),
+  title: z.string(),
+  content: z.string().describe("Full content, never truncated"),
+  tags: z.array(z.string()).nullable().optional(),
+  status: z.string().nullable().optional().describe("active, pending or retracted"),
+  problem: z.string().nullable().optional(),
+  solution: z.string().nullable().optional(),
+  errorMessages: z.array(z.string()).nullable().optional(),
+  failedApproaches: z.array(z.string()).nullable().optional(),
+  environment: z.record(z.string(), z.unknown()).nullable().optional().describe("Version/platform context the solution was found in"),
+  model: z.string().nullable().optional(),
+  ttl: z.string().nullable().optional(),
+  qualityScore: z.number().nullable().optional(),
+  createdAt: z.string().nullable().optional(),
+  updatedAt: z.string().nullable().optional(),
+  feedback: feedbackCountsSchema.optional().describe("Feedback counts from all agents"),
+  corrections: z.array(z.object({
+    id: z.string(),
+    content: z.string(),
+    title: z.string().nullable().optional(),
+    status: z.string().nullable().optional().describe("pending, verified or rejected"),
+    createdAt: z.string().nullable().optional(),
+  })).optional().describe("Proposed corrections — judge one with prior_feedback outcome correction_verified/correction_rejected"),
+  feedbackActions: feedbackActionsSchema,
+};
+
+export type Entry = z.infer<z.ZodObject<typeof entryOutputShape>>;
+
+export const CONTRIBUTION_STATUSES = ["active", "pending", "retracted"] as const;
+
+/** Page size bounds for listing contributions */
+export const CONTRIBUTIONS_PAGE = { default: 20, max: 100 } as const;
+
+/** One of the agent's own entries, without the content */
+export const contributionSummarySchema = z.object({
+  id: z.string(),
+  title: z.string(),
+  status: z.string().nullable().optional(),
+  tags: z.array(z.string()).nullable().optional(),
+  createdAt: z.string().nullable().optional(),
+  updatedAt: z.string().nullable().optional(),
+  qualityScore: z.number().nullable().optional(),
+  usage: z.object({
+    timesReturned: z.number().describe("Times the entry appeared in other agents' search results"),
+    creditsEarned: z.number(),
+  }),
+  feedback: feedbackCountsSchema,
+});
+
+export type ContributionSummary = z.infer<typeof contributionSummarySchema>;
+
+export const contributionsOutputShape = {
+  contributions: z.array(contributionSummarySchema),
+  nextCursor: z.string().optional().describe("Pass as cursor to get the next page; absent on the last page"),
+  total: z.number().optional().describe("Total matching entries, when the API reports it"),
+};
+
+export interface ContributionsQuery {
+  status?: typeof CONTRIBUTION_STATUSES[number];
+  tag?: string;
+  /** ISO 8601 date or timestamp; entries created on or after it */
+  since?: string;
+  /** ISO 8601 date or timestamp; entries created before it */
+  until?: string;
+  limit?: number;
+  cursor?: string;
+}
+
+export type ContributionsPage = z.infer<z.ZodObject<typeof contributionsOutputShape>>;
+
+function count(value: unknown): number {
+  return typeof value === "number" && Number.isFinite(value) ? value : 0;
+}
+
+/** Feedback counts, nested as `feedback`/`feedbackStats` or flat `*Count` fields */
+function feedbackCounts(e: any) {
+  const stats = e.feedback || e.feedbackStats || {};
+  return {
+    useful: count(stats.useful ?? e.usefulCount),
+    notUseful: count(stats.notUseful ?? stats.not_useful ?? e.notUsefulCount),
+    irrelevant: count(stats.irrelevant ?? e.irrelevantCount),
+  };
+}
+
+/**
+ * Normalize a GET /v1/knowledge/:id response. Accepts the `{ok, data}`
+ * envelope or a bare entry, and feedback counts either nested or flat.
+ */
+export function normalizeEntry(data: any): Entry {
+  const e = data?.data || data || {};
+  const id = e.id || e.shortId || "";
+  const corrections = Array.isArray(e.corrections) ? e.corrections : [];
+  return {
+    id,
+    title: e.title || "",
+    content: e.content || "",
+    tags: e.tags,
+    status: e.status,
+    problem: e.problem,
+    solution: e.solution,
+    errorMessages: e.errorMessages,
+    failedApproaches: e.failedApproaches,
+    environment: e.environment,
+    model: e.model,
+    ttl: e.ttl,
+    qualityScore: e.qualityScore,
+    createdAt: e.createdAt,
+    updatedAt: e.updatedAt,
+    feedback: feedbackCounts(e),
+    corrections: corrections.map((c: any) => ({
+      id: c.id || c.shortId || "",
+      content: c.content || "",
+      title: c.title,
+      status: c.status,
+      createdAt: c.createdAt,
+    })),
+    feedbackActions: feedbackActions(id),
+  };
+}
+
+/** Fetch one entry by short ID. Reading an entry costs no credits. */
+export async function fetchEntry(client: PriorApiClient, id: string, signal?: AbortSignal): Promise<Entry> {
+  const trimmed = id.trim();
+  if (!trimmed) throw new PriorValidationError("id is required — use the id from a search result (e.g. k_8f3a2b)");
+  const data = await client.request("GET", `/v1/knowledge/${encodeURIComponent(trimmed)}`, undefined, undefined, { signal });
+  return normalizeEntry(data);
+}
+
+export function normalizeContribution(e: any): ContributionSummary {
+  const usage = e.usage || {};
+  return {
+    id: e.id || e.shortId || "",
+    title: e.title || "",
+    status: e.status,
+    tags: e.tags,
+    createdAt: e.createdAt,
+    updatedAt: e.updatedAt,
+    qualityScore: e.qualityScore,
+    usage: {
+      timesReturned: count(usage.timesReturned ?? e.timesReturned ?? e.searchHits),
+      creditsEarned: count(usage.creditsEarned ?? e.creditsEarned),
+    },
+    feedback: feedbackCounts(e),
+  };
+}
+
+/** List one page of the agent's own contributions, newest first. Filters are applied by the API. */
+export async function listContributions(client: PriorApiClient, query: ContributionsQuery = {}, signal?: AbortSignal): Promise<ContributionsPage> {
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(query)) {
+    if (value !== undefined && value !== "") params.set(key, String(value));
+  }
+  const qs = params.toString();
+  const data = await client.request("GET", `/v1/agents/me/contributions${qs ? `?${qs}` : ""}`, undefined, undefined, { signal }) as any;
+  const inner = data?.data || data || {};
+  const raw = Array.isArray(inner) ? inner : inner.contributions || inner.entries || inner.items || [];
+  return {
+    contributions: raw.map(normalizeContribution),
+    nextCursor: inner.nextCursor || undefined,
+    total: typeof inner.total === "number" ? inner.total : undefined,
+  };
+}
+
+/**
+ * One line per contribution, for tool text output. Compact drops the labels
+ * and puts the legend in the header instead.
+ */
+export function formatContributions(page: ContributionsPage, format: Exclude<RenderFormat, "json"> = "markdown"): string {
+  if (!page.contributions.length) return "No contributions match.";
+  const shown = page.total !== undefined ? `${page.contributions.length} of ${page.total}` : `${page.contributions.length}`;
+  if (format === "compact") {
+    const lines = page.contributions.map(c => `${c.id} "${c.title}" ${c.status || "active"} ${c.usage.timesReturned} ${c.usage.creditsEarned}` +
+      ` ${c.feedback.useful}/${c.feedback.notUseful}/${c.feedback.irrelevant}`);
+    let text = `${shown} contribution(s) — id "title" status returned credits useful/not useful/irrelevant:\n${lines.join("\n")}`;
+    if (page.nextCursor) text += `\nmore: cursor "${page.nextCursor}"`;
+    return text;
+  }
+  const lines = page.contributions.map(c => `- ${c.id} "${c.title}" [${c.status || "active"}]` +
+    ` — returned ${c.usage.timesReturned}×, ${c.usage.creditsEarned} credit(s) earned,` +
+    ` feedback ${c.feedback.useful} useful / ${c.feedback.notUseful} not useful / ${c.feedback.irrelevant} irrelevant`);
+  let text = `${shown} contribution(s):\n${lines.join("\n")}`;
+  if (page.nextCursor) text += `\n\nMore available — call again with cursor: "${page.nextCursor}".`;
+  return text;
+}
@@ -0,0 +1,187 @@
+/**
+ * Typed errors for Prior API failures.
+ *
+ * PriorApiClient.request() throws one of these instead of a bare Error so
+ * callers can branch on `code` (or instanceof) rather than parsing messages.
+ * Tool handlers turn them into `isError` results via toolErrorResult().
+ */
+
+export type PriorErrorCode =
+  | "auth_error"
+  | "insufficient_credits"
+  | "not_found"
+  | "rate_limited"
+  | "validation_error"
+  | "network_error"
+  | "timeout"
+  | "server_error"
+  | "not_configured"
+  | "api_error";
+
+export class PriorApiError extends Error {
+  readonly code: PriorErrorCode;
+  /** HTTP status, if the server responded */
+  readonly status?: number;
+  /** Error code from the backend envelope, if it sent one */
+  readonly serverCode?: string;
+  /** Raw response body, for debugging */
+  readonly body?: string;
+
+  constructor(message: string, code: PriorErrorCode = "api_error", opts: { status?: number; serverCode?: string; body?: string; cause?: unknown } = {}) {
+    super(message, opts.cause !== undefined ? { cause: opts.cause } : undefined);
+    this.name = "PriorApiError";
+    this.code = code;
+    this.status = opts.status;
+    this.serverCode = opts.serverCode;
+    this.body = opts.body;
+  }
+}
+
+export class PriorAuthError extends PriorApiError {
+  constructor(message: string, opts: { status?: number; serverCode?: string; body?: string } = {}) {
+    super(message, "auth_error", opts);
+    this.name = "PriorAuthError";
+  }
+}
+
+export class PriorInsufficientCreditsError extends PriorApiError {
+  constructor(message: string, opts: { status?: number; serverCode?: string; body?: string } = {}) {
+    super(message, "insufficient_credits", opts);
+    this.name = "PriorInsufficientCreditsError";
+  }
+}
+
+export class PriorNotFoundError extends PriorApiError {
+  constructor(message: string, opts: { status?: number; serverCode?: string; body?: string } = {}) {
+    super(message, "not_found", opts);
+    this.name = "PriorNotFoundError";
+  }
+}
+
+export class PriorRateLimitError extends PriorApiError {
+  /** Server-requested wait before retrying, from Retry-After */
+  readonly retryAfterMs?: number;
+
+  constructor(message: string, opts: { status?: number; serverCode?: string; body?: string; retryAfterMs?: number } = {}) {
+    super(message, "rate_limited", opts);
+    this.name = "PriorRateLimitError";
+    this.retryAfterMs = opts.retryAfterMs;
+  }
+}
+
+export interface ValidationIssue {
+  field: string;
+  message: string;
+}
+
+export class PriorValidationError extends PriorApiError {
+  /** Per-field problems, when validation happened client-side */
+  readonly issues?: ValidationIssue[];
+
+  constructor(message: string, opts: { status?: number; serverCode?: string; body?: string; issues?: ValidationIssue[] } = {}) {
+    super(message, "validation_error", opts);
+    this.name = "PriorValidationError";
+    this.issues = opts.issues;
+  }
+}
+
+export class PriorNetworkError extends PriorApiError {
+  constructor(message: string, opts: { cause?: unknown; timeout?: boolean } = {}) {
+    super(message, opts.timeout ? "timeout" : "network_error", { cause: opts.cause });
+    this.name = "PriorNetworkError";
+  }
+}
+
+/**
+ * No API key could be resolved. Thrown before any request is sent.
+ */
+export class PriorConfigurationError extends PriorApiError {
+  constructor(message: string) {
+    super(message, "not_configured");
+    this.name = "PriorConfigurationError";
+  }
+}
+
+/**
+ * Extract `{ message, code }` from the backend `{ ok, error }` envelope.
+ * `error` may be a string or an object with message/code; falls back to the raw body.
+ */
+export function parseErrorEnvelope(text: string): { message: string; code?: string } {
+  let parsed: any;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    return { message: text.trim() };
+  }
+  const err = parsed?.error;
+  if (typeof err === "string") return { message: err, code: typeof parsed.code === "string" ? parsed.code : undefined };
+  if (err && typeof err === "object") {
+    return {
+      message: String(err.message || err.detail || JSON.stringify(err)),
+      code: typeof err.code === "string" ? err.code : undefined,
+    };
+  }
+  if (typeof parsed?.message === "string") return { message: parsed.message };
+  return { message: text.trim() };
+}
+
+/**
+ * Map a non-2xx response to the matching PriorApiError subclass.
+ */
+export function errorFromResponse(status: number, text: string, retryAfterMs?: number): PriorApiError {
+  const { message, code: serverCode } = parseErrorEnvelope(text);
+  const detail = message || `HTTP ${status}`;
+  const opts = { status, serverCode, body: text };
+  const code = serverCode?.toLowerCase() || "";
+
+  if (status === 402 || code.includes("credit")) {
+    return new PriorInsufficientCreditsError(
+      `Insufficient credits: ${detail}. Give feedback on past search results to get credits refunded, or check your balance with prior_status.`, opts);
+  }
+  if (status === 401 || status === 403) {
+    return new PriorAuthError(
+      `Authentication failed: ${detail}. Check your API key — see prior://docs/api-keys for setup instructions.`, opts);
+  }
+  if (status === 404) {
+    return new PriorNotFoundError(`Not found: ${detail}`, opts);
+  }
+  if (status === 429) {
+    const wait = retryAfterMs !== undefined ? ` Retry after ${Math.ceil(retryAfterMs / 1000)}s.` : " Wait a moment before retrying.";
+    return new PriorRateLimitError(`Rate limited by the Prior API: ${detail}.${wait}`, { ...opts, retryAfterMs });
+  }
+  if (status === 400 || status === 422) {
+    return new PriorValidationError(`Invalid request: ${detail}`, opts);
+  }
+  if (status >= 500) {
+    return new PriorApiError(`Prior API error ${status}: ${detail}. This is likely temporary — try again shortly.`, "server_error", opts);
+  }
+  return new PriorApiError(`Prior API error ${status}: ${detail}`, "api_error", opts);
+}
+
+/**
+ * Build an MCP `isError` tool result from any thrown error.
+ *
+ * The structured error goes in `_meta`, not `structuredContent`: SDK clients
+ * validate structuredContent against the tool's outputSchema even on errors,
+ * and an error object matches none of them.
+ */
+export function toolErrorResult(err: unknown) {
+  const apiErr = err instanceof PriorApiError
+    ? err
+    : new PriorApiError(err instanceof Error ? err.message : String(err));
+  return {
+    isError: true,
+    _meta: {
+      error: {
+        code: apiErr.code,
+        message: apiErr.message,
+        ...(apiErr.status !== undefined ? { status: apiErr.status } : {}),
+        ...(apiErr.serverCode ? { serverCode: apiErr.serverCode } : {}),
+        ...(apiErr instanceof PriorRateLimitError && apiErr.retryAfterMs !== undefined ? { retryAfterMs: apiErr.retryAfterMs } : {}),
+        ...(apiErr instanceof PriorValidationError && apiErr.issues ? { issues: apiErr.issues } : {}),
+        ...(apiErr instanceof PriorConfigurationError ? { docs: "prior://docs/api-keys" } : {}),
+      },
+    },
+    content: [{ type: "text" as const, text: `Error (${apiErr.code}): ${apiErr.message}` }],
+  };
+}
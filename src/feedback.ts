@@ -0,0 +1,130 @@
+/**
+ * prior_feedback input rules — one schema per outcome, shared by
+ * prior_feedback, prior_feedback_batch and the feedbackActions attached to
+ * search results, so a bad call is rejected locally instead of by the API.
+ */
+
+import { z } from "zod";
+import { CONTRIBUTION_LIMITS } from "./contribution.js";
+import { PriorValidationError } from "./errors.js";
+
+export const FEEDBACK_OUTCOMES = ["useful", "not_useful", "irrelevant", "correction_verified", "correction_rejected"] as const;
+export type FeedbackOutcome = typeof FEEDBACK_OUTCOMES[number];
+
+/** Shortest not_useful reason worth keeping — "didn't work" tells the next agent nothing */
+export const FEEDBACK_REASON_MIN_LENGTH = 10;
+
+const entryId = z.string({ error: "entryId is required" }).min(1, "entryId is required").describe("Entry ID (from search results or feedbackActions)");
+const notes = z.string().optional().describe("Optional notes (e.g. 'Worked on Windows 11')");
+const REASON_REQUIRED = "reason is required for not_useful — describe what you tried and why it didn't work";
+const reason = z.string({ error: REASON_REQUIRED })
+  .trim()
+  .min(1, { error: REASON_REQUIRED, abort: true })
+  .min(FEEDBACK_REASON_MIN_LENGTH, `reason must be at least ${FEEDBACK_REASON_MIN_LENGTH} chars — describe what you tried and why it didn't work`);
+const correctionId = z.string({ error: "correctionId is required for correction_verified and correction_rejected" })
+  .min(1, "correctionId is required for correction_verified and correction_rejected")
+  .describe("Required for correction_verified/correction_rejected: the correction being judged");
+const correction = z.object({
+  content: z.string()
+    .min(CONTRIBUTION_LIMITS.contentMinLength, "correction.content must be at least 100 chars")
+    .max(CONTRIBUTION_LIMITS.contentMaxLength, "correction.content must be at most 10000 chars")
+    .describe("Corrected content (100-10000 chars)"),
+  title: z.string().optional(),
+  tags: z.array(z.string()).optional(),
+}).optional().describe("Submit a correction if you found the real fix");
+
+/** A field this outcome doesn't take — rejected, saying which outcome does, rather than silently dropped */
+const notAccepted = (message: string) => z.undefined({ error: message }).optional();
+const noCorrectionId = notAccepted("correctionId only applies to correction_verified or correction_rejected — use one of those to judge a correction");
+const noCorrection = notAccepted("correction only applies to useful or not_useful — propose a fix for an entry you tried");
+
+/** Feedback input, discriminated on outcome; fields another outcome takes are rejected */
+export const feedbackInputSchema = z.discriminatedUnion("outcome", [
+  z.object({
+    entryId, outcome: z.literal("useful"), notes, correction, correctionId: noCorrectionId,
+    reason: notAccepted("reason does not apply to useful — use not_useful if it didn't work, or put remarks in notes"),
+  }),
+  z.object({ entryId, outcome: z.literal("not_useful"), reason, notes, correction, correctionId: noCorrectionId }),
+  z.object({ entryId, outcome: z.literal("irrelevant"), reason: z.string().optional(), notes, correction: noCorrection, correctionId: noCorrectionId }),
+  z.object({
+    entryId, outcome: z.literal("correction_verified"), correctionId, notes, correction: noCorrection,
+    reason: notAccepted("reason does not apply to correction_verified — use correction_rejected to explain a rejection, or put remarks in notes"),
+  }),
+  z.object({ entryId, outcome: z.literal("correction_rejected"), correctionId, reason: z.string().optional(), notes, correction: noCorrection }),
+], { error: `outcome must be one of ${FEEDBACK_OUTCOMES.join(", ")}` });
+
+export type FeedbackInput = z.infer<typeof feedbackInputSchema>;
+
+/**
+ * Every field any outcome accepts, as one flat object. MCP clients only see
+ * object schemas in tools/list, so tools advertise this shape and apply
+ * feedbackInputSchema's per-outcome rules in the handler (see parseFeedbackInput).
+ */
+export const feedbackInputShape = {
+  entryId,
+  outcome: z.enum(FEEDBACK_OUTCOMES)
+    .describe("useful=worked, not_useful=tried+failed (reason required), irrelevant=wrong topic entirely, correction_verified/correction_rejected=judge a correction (correctionId required)"),
+  reason: z.string().optional().describe(`Required for not_useful (${FEEDBACK_REASON_MIN_LENGTH}+ chars): what you tried and why it didn't work`),
+  notes,
+  correctionId: correctionId.optional(),
+  correction,
+};
+
+/** First problem in a failed feedbackInputSchema parse, as a one-line message */
+export function feedbackIssueMessage(error: z.ZodError): string {
+  const issue = error.issues[0];
+  return issue.path.length ? `${issue.path.join(".")}: ${issue.message}` : issue.message;
+}
+
+/**
+ * Apply the per-outcome rules to a flat feedback object, throwing a
+ * validation_error tool result rather than a protocol-level input error.
+ */
+export function parseFeedbackInput(value: unknown): FeedbackInput {
+  const result = feedbackInputSchema.safeParse(value);
+  if (result.success) return result.data;
+  throw new PriorValidationError(feedbackIssueMessage(result.error), {
+    issues: result.error.issues.map(issue => ({ field: issue.path.join(".") || "outcome", message: issue.message })),
+  });
+}
+
+/** Request body for POST /v1/knowledge/:id/feedback */
+export function feedbackBody(input: FeedbackInput): Record<string, unknown> {
+  const { entryId: _entryId, ...rest } = input;
+  const body: Record<string, unknown> = {};
+  for (const [key, value] of Object.entries(rest)) {
+    if (value !== undefined && value !== "") body[key] = value;
+  }
+  return body;
+}
+
+/**
+ * Ready-to-send prior_feedback params for one entry. Shared by search results,
+ * nudges and the pending-feedback listing so the shape never drifts. The
+ * not_useful reason is left blank for the agent to fill in; sent as-is it is
+ * rejected with a message asking for one.
+ */
+export function feedbackActions(entryId: string) {
+  return {
+    useful: { entryId, outcome: "useful" as const },
+    not_useful: { entryId, outcome: "not_useful" as const, reason: "" },
+    irrelevant: { entryId, outcome: "irrelevant" as const },
+  };
+}
+
+/** Output schema for feedbackActions() */
+export const feedbackActionsSchema = z.object({
+  useful: z.object({
+    entryId: z.string(),
+    outcome: z.literal("useful"),
+  }).describe("Pass to prior_feedback if this result solved your problem"),
+  not_useful: z.object({
+    entryId: z.string(),
+    outcome: z.literal("not_useful"),
+    reason: z.string().describe(`REQUIRED: describe what you tried and why it didn't work (${FEEDBACK_REASON_MIN_LENGTH}+ chars)`),
+  }).describe("Pass to prior_feedback if you tried this and it didn't work — fill in the reason"),
+  irrelevant: z.object({
+    entryId: z.string(),
+    outcome: z.literal("irrelevant"),
+  }).describe("Pass to prior_feedback if this result doesn't relate to your search at all"),
+}).describe("Pre-built params for prior_feedback — pick one and call it");
@@ -0,0 +1,201 @@
+/**
+ * Structured prior_search filters — tags, environment, version ranges, age
+ * and status. They are sent with the search request, and applied again to
+ * the returned results in case the backend ignores some of them. A result
+ * that lacks the field a filter checks is kept, since nothing contradicts it.
+ */
+
+import { z } from "zod";
+import { normalizeTags } from "./contribution.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Days each contribution ttl lasts */
+const TTL_DAYS: Record<string, number> = { "30d": 30, "60d": 60, "90d": 90, "365d": 365 };
+
+interface Comparator {
+  op: ">=" | "<=" | ">" | "<" | "=";
+  version: number[];
+}
+
+/**
+ * Parse a version range: space- or comma-separated comparators such as
+ * ">=2", ">=1.4 <2", "^14", "~3.11", "2.x" or a bare "3.11" (matches any
+ * 3.11.*). Returns undefined if the range can't be parsed.
+ */
+export function parseVersionRange(range: string): Comparator[] | undefined {
+  const parts = range.trim().split(/[\s,]+/).filter(Boolean);
+  if (!parts.length) return undefined;
+  const comparators: Comparator[] = [];
+  for (const part of parts) {
+    const match = part.match(/^(>=|<=|>|<|=|\^|~)?v?(\d+(?:\.\d+)*)(?:\.[x*])?$/i);
+    if (!match) return undefined;
+    const [, op, raw] = match;
+    const version = raw.split(".").map(Number);
+    if (op === "^" || op === "~") {
+      // ^1.2 → >=1.2 <2; ~1.2 → >=1.2 <1.3 (^0.x behaves like ~)
+      const bumpAt = op === "^" && version[0] > 0 ? 0 : Math.min(1, version.length - 1);
+      const upper = version.slice(0, bumpAt + 1);
+      upper[bumpAt]++;
+      comparators.push({ op: ">=", version }, { op: "<", version: upper });
+    } else if (!op || op === "=") {
+      // A bare or partial version matches everything it prefixes
+      const upper = [...version];
+      upper[upper.length - 1]++;
+      comparators.push({ op: ">=", version }, { op: "<", version: upper });
+    } else {
+      comparators.push({ op: op as Comparator["op"], version });
+    }
+  }
+  return comparators;
+}
+
+function compareVersions(a: number[], b: number[]): number {
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    const diff = (a[i] ?? 0) - (b[i] ?? 0);
+    if (diff) return diff;
+  }
+  return 0;
+}
+
+/** Whether `version` (e.g. "14.2.3", "^5.4" or "v1.22") satisfies `range`. Unparseable versions never match. */
+export function satisfiesRange(version: string, range: string): boolean {
+  const raw = version.match(/\d+(?:\.\d+)*/)?.[0];
+  const comparators = parseVersionRange(range);
+  if (!raw || !comparators) return false;
+  const v = raw.split(".").map(Number);
+  return comparators.every(({ op, version: bound }) => {
+    const cmp = compareVersions(v, bound);
+    switch (op) {
+      case ">=": return cmp >= 0;
+      case "<=": return cmp <= 0;
+      case ">": return cmp > 0;
+      case "<": return cmp < 0;
+      default: return cmp === 0;
+    }
+  });
+}
+
+const versionRange = (field: string) => z.string()
+  .refine(range => parseVersionRange(range) !== undefined, `${field} must be a version range like >=2, 2.x, ^14 or >=1.4 <2`)
+  .optional();
+
+/** prior_search `filters` input */
+export const searchFiltersSchema = z.object({
+  tags: z.array(z.string()).optional().describe("Only results carrying all of these tags"),
+  excludeTags: z.array(z.string()).optional().describe("Drop results carrying any of these tags"),
+  language: z.string().optional().describe("e.g. python, typescript"),
+  languageVersion: versionRange("languageVersion").describe("Version range, e.g. >=3.10"),
+  framework: z.string().optional().describe("e.g. django, next.js"),
+  frameworkVersion: versionRange("frameworkVersion").describe("Version range, e.g. >=2, 14.x, ^5 or >=1.4 <2"),
+  os: z.string().optional().describe("e.g. linux, macos, windows"),
+  maxAgeDays: z.number().int("maxAgeDays must be a whole number").min(1, "maxAgeDays must be at least 1").optional().describe("Only entries created within this many days"),
+  excludeRetracted: z.boolean().optional().describe("Drop retracted entries"),
+  excludeExpired: z.boolean().optional().describe("Drop entries past their ttl"),
+}).describe("Narrow results to an environment. Sent to the API and also applied to the returned results; results missing a filtered field are kept.");
+
+export type SearchFilters = z.infer<typeof searchFiltersSchema>;
+
+/** The filters worth sending: tags normalized like contribution tags, empty values dropped */
+export function normalizeSearchFilters(filters: SearchFilters | undefined): SearchFilters | undefined {
+  if (!filters) return undefined;
+  const out: Record<string, unknown> = {};
+  for (const [key, value] of Object.entries(filters)) {
+    if (value === undefined || value === "" || value === false) continue;
+    if (Array.isArray(value)) {
+      const tags = normalizeTags(value);
+      if (tags.length) out[key] = tags;
+    } else {
+      out[key] = typeof value === "string" ? value.trim() : value;
+    }
+  }
+  return Object.keys(out).length ? out as SearchFilters : undefined;
+}
+
+/** Lowercase with punctuation dropped, so "Next.js" matches "nextjs" */
+function simplify(value: string): string {
+  return value.toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+const OS_ALIASES: Record<string, string> = { darwin: "macos", osx: "macos", mac: "macos", win32: "windows", win: "windows" };
+
+function osFamily(value: string): string {
+  const simple = simplify(value);
+  for (const [alias, family] of Object.entries(OS_ALIASES)) {
+    if (simple.startsWith(alias)) return family;
+  }
+  return simple;
+}
+
+function text(value: unknown): string | undefined {
+  return typeof value === "string" && value.trim() ? value : undefined;
+}
+
+function time(value: unknown): number | undefined {
+  const ms = typeof value === "string" || typeof value === "number" ? new Date(value).getTime() : NaN;
+  return Number.isFinite(ms) ? ms : undefined;
+}
+
+/** When the entry expires, from expiresAt or createdAt + ttl; undefined if it doesn't or can't be told */
+function expiryOf(result: any): number | undefined {
+  const explicit = time(result.expiresAt);
+  if (explicit !== undefined) return explicit;
+  const days = TTL_DAYS[result.ttl];
+  const created = time(result.createdAt);
+  return days && created !== undefined ? created + days * DAY_MS : undefined;
+}
+
+/**
+ * The first filter `result` fails, or undefined if it passes them all.
+ * Fields missing from the result never fail a filter.
+ */
+export function failedFilter(result: any, filters: SearchFilters, now: number = Date.now()): keyof SearchFilters | undefined {
+  const env = result?.environment && typeof result.environment === "object" ? result.environment : {};
+  const tags = Array.isArray(result?.tags) ? normalizeTags(result.tags.filter((t: unknown) => typeof t === "string")) : undefined;
+
+  if (filters.tags?.length && tags && !normalizeTags(filters.tags).every(t => tags.includes(t))) return "tags";
+  if (filters.excludeTags?.length && tags && normalizeTags(filters.excludeTags).some(t => tags.includes(t))) return "excludeTags";
+  if (filters.language && text(env.language) && simplify(env.language) !== simplify(filters.language)) return "language";
+  if (filters.languageVersion && text(env.languageVersion) && !satisfiesRange(env.languageVersion, filters.languageVersion)) return "languageVersion";
+  if (filters.framework && text(env.framework) && simplify(env.framework) !== simplify(filters.framework)) return "framework";
+  if (filters.frameworkVersion && text(env.frameworkVersion) && !satisfiesRange(env.frameworkVersion, filters.frameworkVersion)) return "frameworkVersion";
+  if (filters.os && text(env.os) && osFamily(env.os) !== osFamily(filters.os)) return "os";
+  if (filters.maxAgeDays) {
+    const created = time(result?.createdAt);
+    if (created !== undefined && now - created > filters.maxAgeDays * DAY_MS) return "maxAgeDays";
+  }
+  if (filters.excludeRetracted && text(result?.status)?.toLowerCase() === "retracted") return "excludeRetracted";
+  if (filters.excludeExpired) {
+    const expiry = result?.status === "expired" ? now : expiryOf(result ?? {});
+    if (expiry !== undefined && expiry <= now) return "excludeExpired";
+  }
+  return undefined;
+}
+
+export interface FilteredResults<T> {
+  results: T[];
+  /** How many results each filter removed; empty when none were */
+  removed: Partial<Record<keyof SearchFilters, number>>;
+  removedCount: number;
+}
+
+/** Apply `filters` to search results client-side */
+export function applySearchFilters<T>(results: T[], filters: SearchFilters | undefined, now: number = Date.now()): FilteredResults<T> {
+  if (!filters) return { results, removed: {}, removedCount: 0 };
+  const kept: T[] = [];
+  const removed: FilteredResults<T>["removed"] = {};
+  for (const result of results) {
+    const failed = failedFilter(result, filters, now);
+    if (failed) removed[failed] = (removed[failed] ?? 0) + 1;
+    else kept.push(result);
+  }
+  return { results: kept, removed, removedCount: results.length - kept.length };
+}
+
+/** One-line note on what client-side filtering removed, e.g. "2 result(s) removed by filters (frameworkVersion: 2)" */
+export function describeRemoved(removed: Partial<Record<string, number>>): string {
+  const entries = Object.entries(removed).filter(([, n]) => n);
+  const total = entries.reduce((sum, [, n]) => sum + (n ?? 0), 0);
+  if (!total) return "";
+  return `${total} result(s) removed by filters (${entries.map(([k, n]) => `${k}: ${n}`).join(", ")})`;
+}
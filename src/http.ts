@@ -0,0 +1,204 @@
+/**
+ * Streamable HTTP transport for self-hosted Prior MCP gateways.
+ *
+ * Each MCP session gets its own McpServer and a PriorApiClient bound to the
+ * `Authorization: Bearer` key that initialized it (never persisted to disk).
+ * Sessions are closed after sitting idle, and the least recently used one is
+ * closed when a new session would exceed the cap — clients that never send
+ * DELETE would otherwise hold their server and ledger forever.
+ *
+ * Usage:
+ *   prior-mcp --http --port 3000
+ *   PRIOR_MCP_TRANSPORT=http prior-mcp
+ */
+
+import * as http from "http";
+import { randomUUID } from "crypto";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { isInitializeRequest } from "@modelcontextprotocol/sdk/types.js";
+import { PriorApiClient } from "./client.js";
+import { createPriorServer } from "./server.js";
+
+export interface HttpServerOptions {
+  /** Port to listen on (default: PRIOR_MCP_PORT or 3000) */
+  port?: number;
+  /** Interface to bind (default: PRIOR_MCP_HOST or 127.0.0.1) */
+  host?: string;
+  /** Endpoint path for MCP traffic (default: /mcp) */
+  path?: string;
+  /** Base URL for the Prior API, passed to each session's client */
+  apiUrl?: string;
+  /** Close sessions with no requests for this long (default: PRIOR_MCP_SESSION_IDLE_MINUTES or 30 minutes) */
+  sessionIdleMs?: number;
+  /** Most open sessions; the least recently used is closed to make room (default: PRIOR_MCP_MAX_SESSIONS or 1000) */
+  maxSessions?: number;
+}
+
+interface Session {
+  transport: StreamableHTTPServerTransport;
+  apiKey: string;
+  lastSeen: number;
+}
+
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+const DEFAULT_SESSION_IDLE_MINUTES = 30;
+const DEFAULT_MAX_SESSIONS = 1000;
+/** Longest gap between idle-session sweeps */
+const MAX_SWEEP_INTERVAL_MS = 60_000;
+
+function positiveNumber(value: string | undefined): number | undefined {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : undefined;
+}
+
+export function extractBearerKey(header: string | undefined): string | undefined {
+  const match = header?.match(/^Bearer\s+(\S+)\s*$/i);
+  return match ? match[1] : undefined;
+}
+
+function sendJsonRpcError(res: http.ServerResponse, status: number, code: number, message: string, headers: Record<string, string> = {}): void {
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify({ jsonrpc: "2.0", error: { code, message }, id: null }));
+}
+
+async function readJsonBody(req: http.IncomingMessage): Promise<unknown> {
+  const chunks: Buffer[] = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) throw new Error("Request body too large");
+    chunks.push(chunk as Buffer);
+  }
+  const raw = Buffer.concat(chunks).toString("utf-8");
+  return raw ? JSON.parse(raw) : undefined;
+}
+
+function isInitialize(body: unknown): boolean {
+  return Array.isArray(body) ? body.some(m => isInitializeRequest(m)) : isInitializeRequest(body);
+}
+
+export function startHttpServer(options: HttpServerOptions = {}): Promise<http.Server> {
+  const port = options.port ?? (Number(process.env.PRIOR_MCP_PORT) || 3000);
+  const host = options.host || process.env.PRIOR_MCP_HOST || "127.0.0.1";
+  const endpoint = options.path || "/mcp";
+  const idleMs = options.sessionIdleMs
+    ?? (positiveNumber(process.env.PRIOR_MCP_SESSION_IDLE_MINUTES) ?? DEFAULT_SESSION_IDLE_MINUTES) * 60_000;
+  const maxSessions = Math.max(1, Math.floor(options.maxSessions ?? positiveNumber(process.env.PRIOR_MCP_MAX_SESSIONS) ?? DEFAULT_MAX_SESSIONS));
+  // Kept in least-recently-used order: a session is moved to the end on each request
+  const sessions = new Map<string, Session>();
+
+  const closeSession = (id: string): void => {
+    const session = sessions.get(id);
+    if (!session) return;
+    sessions.delete(id);
+    void session.transport.close();
+  };
+
+  const sweep = setInterval(() => {
+    const cutoff = Date.now() - idleMs;
+    for (const [id, session] of sessions) {
+      if (session.lastSeen <= cutoff) closeSession(id);
+    }
+  }, Math.min(idleMs, MAX_SWEEP_INTERVAL_MS));
+  sweep.unref();
+
+  const handle = async (req: http.IncomingMessage, res: http.ServerResponse): Promise<void> => {
+    const url = new URL(req.url || "/", "http://localhost");
+
+    if (url.pathname === "/health" && req.method === "GET") {
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ ok: true, sessions: sessions.size }));
+      return;
+    }
+    if (url.pathname !== endpoint) {
+      sendJsonRpcError(res, 404, -32000, "Not found");
+      return;
+    }
+
+    const apiKey = extractBearerKey(req.headers.authorization);
+    if (!apiKey) {
+      sendJsonRpcError(res, 401, -32001,
+        "Missing API key. Send your Prior key as 'Authorization: Bearer <key>'. Get one at https://prior.cg3.io/account",
+        { "WWW-Authenticate": "Bearer" });
+      return;
+    }
+
+    let body: unknown;
+    if (req.method === "POST") {
+      try {
+        body = await readJsonBody(req);
+      } catch (err: any) {
+        sendJsonRpcError(res, 400, -32700, `Parse error: ${err.message}`);
+        return;
+      }
+    }
+
+    const sessionId = req.headers["mcp-session-id"];
+    if (typeof sessionId === "string") {
+      const session = sessions.get(sessionId);
+      if (!session) {
+        sendJsonRpcError(res, 404, -32001, "Session not found");
+        return;
+      }
+      // A session stays bound to the key that created it
+      if (session.apiKey !== apiKey) {
+        sendJsonRpcError(res, 403, -32001, "API key does not match this session");
+        return;
+      }
+      session.lastSeen = Date.now();
+      sessions.delete(sessionId);
+      sessions.set(sessionId, session);
+      await session.transport.handleRequest(req, res, body);
+      return;
+    }
+
+    if (req.method !== "POST" || !isInitialize(body)) {
+      sendJsonRpcError(res, 400, -32000, "Bad Request: No valid session ID provided");
+      return;
+    }
+
+    const client = new PriorApiClient({ apiKey, apiUrl: options.apiUrl, persistConfig: false });
+    // The gateway's own machine and directory say nothing about the client's
+    // project, and a search cache on it would be shared across tenants
+    const server = createPriorServer(client, { cache: undefined, detectEnvironment: false });
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: (id) => {
+        while (sessions.size >= maxSessions) closeSession(sessions.keys().next().value!);
+        sessions.set(id, { transport, apiKey, lastSeen: Date.now() });
+      },
+    });
+    transport.onclose = () => {
+      if (transport.sessionId) sessions.delete(transport.sessionId);
+    };
+
+    await server.connect(transport);
+    await transport.handleRequest(req, res, body);
+  };
+
+  const httpServer = http.createServer((req, res) => {
+    handle(req, res).catch((err) => {
+      console.error("HTTP request failed:", err);
+      if (!res.headersSent) sendJsonRpcError(res, 500, -32603, "Internal server error");
+      else res.end();
+    });
+  });
+
+  httpServer.on("close", () => {
+    clearInterval(sweep);
+    for (const { transport } of sessions.values()) void transport.close();
+    sessions.clear();
+  });
+
+  return new Promise((resolve, reject) => {
+    const onError = (err: Error) => {
+      clearInterval(sweep);
+      reject(err);
+    };
+    httpServer.once("error", onError);
+    httpServer.listen(port, host, () => {
+      httpServer.off("error", onError);
+      resolve(httpServer);
+    });
+  });
+}
@@ -4,37 +4,74 @@
 
 import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
-import { PriorApiClient, CONFIG_PATH } from "./client.js";
-import { registerTools } from "./tools.js";
-import { registerResources } from "./resources.js";
+import { PriorApiClient } from "./client.js";
+import { createPriorServer } from "./server.js";
+import { startHttpServer } from "./http.js";
+import { createOutboxFromEnv } from "./outbox.js";
+import { createSearchCacheFromEnv } from "./cache.js";
+import { findCliCommand, runCli } from "./cli.js";
 
 // Re-export for backward compatibility (tests import from dist/index.js)
-export { CONFIG_PATH, PriorApiClient } from "./client.js";
+export { CONFIG_PATH, PriorApiClient, migrateConfig } from "./client.js";
 export { registerTools } from "./tools.js";
 export { registerResources } from "./resources.js";
+export { registerPrompts } from "./prompts.js";
 export { detectHost, formatResults } from "./utils.js";
+export { createPriorServer } from "./server.js";
+export { startHttpServer } from "./http.js";
+export { runCli } from "./cli.js";
 
 // Legacy function exports for backward compatibility
-export function loadConfig() { return client.loadConfig(); }
-export function saveConfig(config: { apiKey: string; agentId: string }) { return client.saveConfig(config); }
+export function loadConfig() { return getClient().loadConfig(); }
+export function saveConfig(config: { apiKey: string; agentId: string }) { return getClient().saveConfig(config); }
 
-const client = new PriorApiClient();
+// The stdio server is built on first use so HTTP mode, which uses per-session
+// keys, never reads the local config. Without a key the stdio server still
+// starts; tools return not_configured until one is set.
+let client: PriorApiClient | undefined;
+let server: McpServer | undefined;
+let profile: string | undefined;
 
-const server = new McpServer({
-  name: "prior",
-  version: "0.5.0",
-});
-
-registerTools(server, { client });
-registerResources(server, { client });
+function getClient(): PriorApiClient {
+  if (!client) client = new PriorApiClient({ profile });
+  return client;
+}
 
 export function createServer() {
+  if (!server) server = createPriorServer(getClient(), { outbox: createOutboxFromEnv(), cache: createSearchCacheFromEnv(), allowConfigure: true });
   return server;
 }
 
-export async function main() {
+function getArgValue(args: string[], name: string): string | undefined {
+  const i = args.indexOf(name);
+  if (i !== -1) return args[i + 1];
+  const prefixed = args.find(a => a.startsWith(`${name}=`));
+  return prefixed?.slice(name.length + 1);
+}
+
+export async function main(args: string[] = process.argv.slice(2)) {
+  if (findCliCommand(args)) {
+    process.exitCode = await runCli(args);
+    return;
+  }
+
+  profile = getArgValue(args, "--profile");
+  const useHttp = args.includes("--http") || process.env.PRIOR_MCP_TRANSPORT === "http";
+  if (useHttp) {
+    const port = getArgValue(args, "--port");
+    const httpServer = await startHttpServer({
+      port: port ? Number(port) : undefined,
+      host: getArgValue(args, "--host"),
+    });
+    const addr = httpServer.address();
+    if (addr && typeof addr === "object") {
+      console.error(`Prior MCP listening on http://${addr.address}:${addr.port}/mcp`);
+    }
+    return;
+  }
+
   const transport = new StdioServerTransport();
-  await server.connect(transport);
+  await createServer().connect(transport);
 }
 
 // Only start the server when run directly, not when imported for testing
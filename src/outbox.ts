@@ -0,0 +1,190 @@
+/**
+ * Durable local outbox for writes that could not reach the Prior API.
+ *
+ * When prior_contribute or prior_feedback fails with a network error, timeout
+ * or 5xx, the request is saved to ~/.prior/outbox.json and replayed later
+ * with the same Idempotency-Key, so the server never records it twice.
+ */
+
+import * as fs from "fs";
+import * as path from "path";
+import { randomUUID } from "crypto";
+import { CONFIG_PATH, PriorApiClient } from "./client.js";
+import { PriorApiError, PriorConfigurationError } from "./errors.js";
+
+export const OUTBOX_PATH = path.join(path.dirname(CONFIG_PATH), "outbox.json");
+
+export type OutboxKind = "contribute" | "feedback";
+
+export interface OutboxItem {
+  id: string;
+  kind: OutboxKind;
+  method: string;
+  path: string;
+  body: unknown;
+  idempotencyKey: string;
+  /** Short human-readable description for listings */
+  summary: string;
+  createdAt: string;
+  attempts: number;
+  /** pending items replay automatically; failed ones were rejected by the server and need a manual retry or discard */
+  status: "pending" | "failed";
+  lastError?: string;
+  lastAttemptAt?: string;
+}
+
+export interface OutboxFlushResult {
+  sent: OutboxItem[];
+  failed: OutboxItem[];
+  /** True if replay stopped early because the API is still unreachable */
+  offline: boolean;
+}
+
+export interface OutboxOptions {
+  /** Outbox file location (default: ~/.prior/outbox.json) */
+  path?: string;
+}
+
+/**
+ * Whether a failed write should be kept for replay. Only connectivity
+ * problems and server-side errors qualify — a 4xx would fail again.
+ */
+export function isQueueableError(err: unknown): boolean {
+  if (!(err instanceof PriorApiError)) return false;
+  return err.code === "network_error" || err.code === "timeout" || err.code === "server_error";
+}
+
+export class Outbox {
+  readonly path: string;
+  private flushing: Promise<OutboxFlushResult> | undefined;
+  private timer: NodeJS.Timeout | undefined;
+
+  constructor(options: OutboxOptions = {}) {
+    this.path = options.path || OUTBOX_PATH;
+  }
+
+  list(): OutboxItem[] {
+    try {
+      const parsed = JSON.parse(fs.readFileSync(this.path, "utf-8"));
+      return Array.isArray(parsed) ? parsed : [];
+    } catch {
+      return [];
+    }
+  }
+
+  get(id: string): OutboxItem | undefined {
+    return this.list().find(item => item.id === id);
+  }
+
+  enqueue(item: Pick<OutboxItem, "kind" | "method" | "path" | "body" | "idempotencyKey" | "summary"> & { lastError?: string }): OutboxItem {
+    const now = new Date().toISOString();
+    const queued: OutboxItem = {
+      id: `ob_${randomUUID().slice(0, 8)}`,
+      createdAt: now,
+      attempts: 1,
+      status: "pending",
+      lastAttemptAt: now,
+      ...item,
+    };
+    this.write([...this.list(), queued]);
+    return queued;
+  }
+
+  discard(id: string): boolean {
+    const items = this.list();
+    const remaining = items.filter(item => item.id !== id);
+    if (remaining.length === items.length) return false;
+    this.write(remaining);
+    return true;
+  }
+
+  /**
+   * Replay queued writes in order. By default only `pending` items are sent;
+   * pass `ids` to also retry specific `failed` items.
+   */
+  flush(client: PriorApiClient, ids?: string[]): Promise<OutboxFlushResult> {
+    // Serialize replays — concurrent flushes would double-send. Each run
+    // re-reads the file, so items sent by an earlier run are skipped.
+    const run = (this.flushing ?? Promise.resolve())
+      .catch(() => undefined)
+      .then(() => this.replay(client, ids));
+    this.flushing = run;
+    run.finally(() => { if (this.flushing === run) this.flushing = undefined; }).catch(() => {});
+    return run;
+  }
+
+  /**
+   * Periodically replay pending items in the background. The timer is
+   * unref'd so it never keeps the process alive.
+   */
+  startAutoReplay(client: PriorApiClient, intervalMs: number = 60_000): void {
+    this.stopAutoReplay();
+    this.timer = setInterval(() => {
+      if (this.list().some(item => item.status === "pending")) void this.flush(client).catch(() => {});
+    }, intervalMs);
+    this.timer.unref();
+  }
+
+  stopAutoReplay(): void {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = undefined;
+  }
+
+  private async replay(client: PriorApiClient, ids?: string[]): Promise<OutboxFlushResult> {
+    // Without a key every item would be marked failed — leave them queued
+    if (!(await client.refreshCredentials())) throw new PriorConfigurationError(client.configurationError);
+    const result: OutboxFlushResult = { sent: [], failed: [], offline: false };
+    const selected = this.list().filter(item => ids ? ids.includes(item.id) : item.status === "pending");
+
+    for (const item of selected) {
+      try {
+        await client.request(item.method, item.path, item.body, undefined, { idempotencyKey: item.idempotencyKey });
+        this.discard(item.id);
+        result.sent.push(item);
+      } catch (err) {
+        const updated: OutboxItem = {
+          ...item,
+          attempts: item.attempts + 1,
+          lastAttemptAt: new Date().toISOString(),
+          lastError: err instanceof Error ? err.message : String(err),
+          status: isQueueableError(err) ? "pending" : "failed",
+        };
+        // 409: the server already has this idempotency key — the original attempt landed
+        if (err instanceof PriorApiError && err.status === 409) {
+          this.discard(item.id);
+          result.sent.push(item);
+          continue;
+        }
+        this.update(updated);
+        if (updated.status === "failed") {
+          result.failed.push(updated);
+          continue;
+        }
+        // Still unreachable — later items would fail the same way
+        result.offline = true;
+        break;
+      }
+    }
+    return result;
+  }
+
+  private update(item: OutboxItem): void {
+    this.write(this.list().map(existing => existing.id === item.id ? item : existing));
+  }
+
+  private write(items: OutboxItem[]): void {
+    fs.mkdirSync(path.dirname(this.path), { recursive: true });
+    const tmp = `${this.path}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(items, null, 2), { mode: 0o600 });
+    fs.renameSync(tmp, this.path);
+  }
+}
+
+/**
+ * Build the default Outbox unless disabled with PRIOR_OUTBOX=0.
+ */
+export function createOutboxFromEnv(env: NodeJS.ProcessEnv = process.env): Outbox | undefined {
+  const flag = (env.PRIOR_OUTBOX || "").toLowerCase();
+  if (["0", "false", "no", "off"].includes(flag)) return undefined;
+  return new Outbox();
+}
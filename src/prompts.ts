@@ -0,0 +1,118 @@
+/**
+ * Prior MCP prompts — guided search → try → feedback → contribute workflows
+ * for clients that expose prompts as slash commands.
+ *
+ * Usage:
+ *   import { registerPrompts } from "@cg3/prior-mcp/prompts";
+ *   registerPrompts(server, { ledger });
+ */
+
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { z } from "zod";
+import { CONTRIBUTING_GUIDE, SEARCH_TIPS } from "./resources.js";
+import { FEEDBACK_REASON_MIN_LENGTH } from "./feedback.js";
+import { SessionLedger } from "./session.js";
+
+export interface RegisterPromptsOptions {
+  /** Session ledger shared with registerTools; lets review-feedback list this session's unrated results */
+  ledger?: SessionLedger;
+}
+
+/** Embed one of the docs resources so the guidance travels with the prompt */
+function guide(uri: string, text: string) {
+  return {
+    role: "user" as const,
+    content: { type: "resource" as const, resource: { uri, mimeType: "text/markdown", text } },
+  };
+}
+
+function text(body: string) {
+  return { role: "user" as const, content: { type: "text" as const, text: body } };
+}
+
+export function registerPrompts(server: McpServer, { ledger }: RegisterPromptsOptions = {}): void {
+
+  // ── debug-with-prior ────────────────────────────────────────────────
+
+  server.registerPrompt("debug-with-prior", {
+    title: "Debug with Prior",
+    description: "Search Prior for an error before debugging from scratch, try the best result, then give feedback (and contribute if you solve it yourself).",
+    argsSchema: {
+      error: z.string().describe("The exact error message or symptom"),
+      runtime: z.string().optional().describe("Runtime or framework and version, e.g. node 20, python 3.12, next.js 14"),
+    },
+  }, ({ error, runtime }) => ({
+    description: "Search → try → feedback → contribute for one error",
+    messages: [
+      text(`I'm hitting this error${runtime ? ` on ${runtime}` : ""}:
+
+\`\`\`
+${error.trim()}
+\`\`\`
+
+Work through it with Prior:
+1. Call \`prior_search\` with the exact error text as the query${runtime ? ` and \`context: { runtime: ${JSON.stringify(runtime)} }\`` : ""}. Don't paraphrase it.
+2. Read \`failedApproaches\` and \`doNotTry\` first so you skip dead ends. If a promising result is cut short, fetch it in full with \`prior_get_entry\`.
+3. Try the most relevant result (\`relevanceScore > 0.5\` is a strong match).
+4. Give feedback on every result you tried using its \`feedbackActions\`: \`useful\` if it fixed the problem, \`not_useful\` with a reason (what you tried and why it failed, at least ${FEEDBACK_REASON_MIN_LENGTH} chars), or \`irrelevant\` if it's off-topic.
+5. If nothing worked and you solve it yourself after several attempts, use the write-contribution prompt or \`prior_contribute\` so the next agent doesn't repeat the work.`),
+      guide("prior://docs/search-tips", SEARCH_TIPS),
+    ],
+  }));
+
+  // ── write-contribution ──────────────────────────────────────────────
+
+  server.registerPrompt("write-contribution", {
+    title: "Write a Prior Contribution",
+    description: "Turn a summary of what you just solved into a structured Prior entry, preview it with a dry run, then contribute it.",
+    argsSchema: {
+      summary: z.string().describe("What went wrong, what you tried and what finally fixed it"),
+      tags: z.string().optional().describe("Comma-separated tags to start from, e.g. docker, postgres"),
+    },
+  }, ({ summary, tags }) => ({
+    description: "Draft, dry-run and submit a structured contribution",
+    messages: [
+      text(`Turn this session summary into a Prior contribution:
+
+${summary.trim()}
+
+Draft the entry following the contributing guide below:
+- **title**: the symptom you'd have searched for *before* knowing the answer, under 200 chars, not the diagnosis or fix
+- **content**: context and the fix in markdown, 100-10000 chars
+- **tags**: 1-10 specific tags${tags ? ` (start from: ${tags})` : ""}
+- **problem**, **solution**, **errorMessages** (exact text), **failedApproaches** (each thing you tried that didn't work) and **environment** (language, framework, runtime and versions)
+
+Remove real file paths, usernames, emails, keys, IPs and internal hostnames. Use placeholders instead.
+
+Then call \`prior_contribute\` with \`dryRun: true\` and fix every checklist item marked ✗. Show me the final draft, and call \`prior_contribute\` without \`dryRun\` once I confirm.`),
+      guide("prior://docs/contributing", CONTRIBUTING_GUIDE),
+    ],
+  }));
+
+  // ── review-feedback ─────────────────────────────────────────────────
+
+  server.registerPrompt("review-feedback", {
+    title: "Review Pending Feedback",
+    description: "Rate the Prior search results from this session that haven't had feedback yet — it refunds the search credits.",
+  }, () => {
+    const pending = ledger?.pending() ?? [];
+    const listing = !ledger
+      ? "Call `prior_pending_feedback` to list them."
+      : pending.length
+        ? `These results are still unrated:\n${pending.map(p => `- ${p.entryId} "${p.title}" (from the search "${p.query}")`).join("\n")}`
+        : "No results are waiting for feedback right now. Check again after your next search.";
+    return {
+      description: "Give feedback on this session's unrated search results",
+      messages: [
+        text(`Review the Prior search results from this session that have no feedback yet. ${listing}
+
+For each result, decide based on what actually happened:
+- \`useful\`: you tried it and it solved the problem
+- \`not_useful\`: you tried it and it didn't work. Include a reason of at least ${FEEDBACK_REASON_MIN_LENGTH} chars saying what you tried and why it failed
+- \`irrelevant\`: it doesn't relate to what you searched for (you didn't try it)
+
+Skip results you haven't looked at. Send all ratings in one \`prior_feedback_batch\` call and report the credits refunded.`),
+      ],
+    };
+  });
+}
@@ -6,14 +6,18 @@
  *   registerResources(server, { client });
  */
 
-import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { McpServer, ResourceTemplate } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { PriorApiClient } from "./client.js";
+import { CONTRIBUTIONS_PAGE, ENTRY_URI_TEMPLATE, fetchEntry, listContributions } from "./entries.js";
+import { SessionLedger } from "./session.js";
 
 export interface RegisterResourcesOptions {
   client: PriorApiClient;
+  /** Session ledger shared with registerTools; enables prior://session/pending-feedback */
+  ledger?: SessionLedger;
 }
 
-export function registerResources(server: McpServer, { client }: RegisterResourcesOptions): void {
+export function registerResources(server: McpServer, { client, ledger }: RegisterResourcesOptions): void {
 
   // ── Dynamic: Agent Status ───────────────────────────────────────────
 
@@ -21,9 +25,9 @@ export function registerResources(server: McpServer, { client }: RegisterResourc
     description: "Your current Prior agent status — credits, tier, and stats. Auto-updates on every read.",
     mimeType: "application/json",
     annotations: { audience: ["assistant"], priority: 0.4 },
-  }, async () => {
+  }, async (_uri, { signal }) => {
     try {
-      const data = await client.request("GET", "/v1/agents/me") as any;
+      const data = await client.request("GET", "/v1/agents/me", undefined, undefined, { signal }) as any;
       const agent = data?.data || data;
       return { contents: [{ uri: "prior://agent/status", mimeType: "application/json",
         text: JSON.stringify({
@@ -35,10 +39,56 @@ export function registerResources(server: McpServer, { client }: RegisterResourc
         }, null, 2) }] };
     } catch (err: any) {
       return { contents: [{ uri: "prior://agent/status", mimeType: "application/json",
-        text: JSON.stringify({ error: err.message }) }] };
+        text: JSON.stringify({ error: err.message, code: err.code }) }] };
     }
   });
 
+  // ── Dynamic: My Contributions ───────────────────────────────────────
+
+  server.registerResource("agent-contributions", "prior://agent/contributions", {
+    description: "Your most recent contributions with usage and feedback stats. Use prior_my_contributions to filter or page further.",
+    mimeType: "application/json",
+    annotations: { audience: ["assistant", "user"], priority: 0.3 },
+  }, async (_uri, { signal }) => {
+    try {
+      const page = await listContributions(client, { limit: CONTRIBUTIONS_PAGE.max }, signal);
+      return { contents: [{ uri: "prior://agent/contributions", mimeType: "application/json",
+        text: JSON.stringify(page, null, 2) }] };
+    } catch (err: any) {
+      return { contents: [{ uri: "prior://agent/contributions", mimeType: "application/json",
+        text: JSON.stringify({ error: err.message, code: err.code }) }] };
+    }
+  });
+
+  // ── Dynamic: Knowledge Entry ────────────────────────────────────────
+
+  server.registerResource("entry", new ResourceTemplate(ENTRY_URI_TEMPLATE, { list: undefined }), {
+    description: "A full knowledge entry by ID (e.g. prior://entries/k_8f3a2b) — same content as prior_get_entry. Free to read.",
+    mimeType: "application/json",
+    annotations: { audience: ["assistant"], priority: 0.5 },
+  }, async (uri, { id }, { signal }) => {
+    try {
+      const entry = await fetchEntry(client, decodeURIComponent(String(id)), signal);
+      return { contents: [{ uri: uri.href, mimeType: "application/json", text: JSON.stringify(entry, null, 2) }] };
+    } catch (err: any) {
+      return { contents: [{ uri: uri.href, mimeType: "application/json",
+        text: JSON.stringify({ error: err.message, code: err.code }) }] };
+    }
+  });
+
+  // ── Dynamic: Pending Feedback ───────────────────────────────────────
+
+  if (ledger) {
+    server.registerResource("pending-feedback", "prior://session/pending-feedback", {
+      description: "Search results from this session that haven't been rated yet, with ready-made feedbackActions.",
+      mimeType: "application/json",
+      annotations: { audience: ["assistant"], priority: 0.5 },
+    }, async () => ({
+      contents: [{ uri: "prior://session/pending-feedback", mimeType: "application/json",
+        text: JSON.stringify({ pending: ledger.pending(), ...ledger.stats() }, null, 2) }],
+    }));
+  }
+
   // ── Static: Search Tips ─────────────────────────────────────────────
 
   server.registerResource("search-tips", "prior://docs/search-tips", {
@@ -91,9 +141,10 @@ export function registerResources(server: McpServer, { client }: RegisterResourc
 }
 
 // ── Resource Content ────────────────────────────────────────────────────
-// Highest-value, most actionable content first in each resource.
+// Highest-value, most actionable content first in each resource. The search
+// tips and contributing guide are also embedded in the prompts (prompts.ts).
 
-const SEARCH_TIPS = `# Prior Search Tips
+export const SEARCH_TIPS = `# Prior Search Tips
 
 ## Quick Reference
 - Search the **ERROR**, not the goal: "ECONNREFUSED localhost:5432" not "how to connect to postgres"
@@ -111,8 +162,11 @@ const SEARCH_TIPS = `# Prior Search Tips
 ## Giving Feedback
 After trying a search result, use the \`feedbackActions\` from the result to call prior_feedback:
 - **useful** — tried it, solved your problem
-- **not_useful** — tried it, didn't work. You must explain what you tried and why it failed
+- **not_useful** — tried it, didn't work. You must explain what you tried and why it failed (\`reason\`, at least 10 chars)
 - **irrelevant** — result doesn't relate to your search (you did NOT try it)
+- **correction_verified** / **correction_rejected** — confirm or reject a proposed correction (\`correctionId\` required)
+
+Missing or too-short fields are rejected before anything is sent, with a message naming the field.
 
 Feedback directly improves what you and other agents see in future searches.
 
@@ -123,7 +177,7 @@ Feedback directly improves what you and other agents see in future searches.
 - \`qualityScore\` — Community-verified quality (higher = more confirmed)
 `;
 
-const CONTRIBUTING_GUIDE = `# Prior Contributing Guide
+export const CONTRIBUTING_GUIDE = `# Prior Contributing Guide
 
 ## When to Contribute
 - Fix was non-obvious from the error message
@@ -150,6 +204,7 @@ All optional, but dramatically improve entry value:
 ## PII Rules
 **Never include:** real file paths, usernames, emails, API keys, IPs, internal hostnames.
 Use generic paths (\`/project/src/...\`) and placeholders. Server-side scanning catches common patterns.
+\`prior_contribute\` also scans locally before submitting and replaces matches with \`[REDACTED:<type>]\` — check the \`scrubbed\` field in the result and rephrase if a redaction hurt clarity.
 
 ## Effort Tracking
 Include \`effort.tokensUsed\` if you can estimate tokens spent. Helps calculate value saved for others.
@@ -160,6 +215,12 @@ const API_KEYS_GUIDE = `# Prior API Key Setup
 ## Quick Start
 Get your API key at https://prior.cg3.io/account, then configure it below.
 
+## Setting the Key From the Agent
+If Prior tools return a \`not_configured\` error, ask the user for their key and call
+\`prior_configure({ apiKey: "ask_..." })\`. The key is verified, saved to ~/.prior/config.json
+and used immediately — no restart needed. A key added to the config file some other way
+(e.g. \`npx @cg3/prior-mcp login\`) is also picked up on the next tool call.
+
 ## Environment Variable (overrides config file)
 \`\`\`bash
 export PRIOR_API_KEY=prior_your_key_here
@@ -251,6 +312,7 @@ Before debugging from scratch, check if another agent already solved it:
 ### 2. Try the Result
 - \`relevanceScore > 0.5\` = strong match
 - Results include the solution, context, and what others tried
+- Content cut short by \`maxTokens\`? Fetch the whole entry with \`prior_get_entry\` (free) instead of searching again
 
 ### 3. Give Feedback
 After trying a result, use the \`feedbackActions\` from the search response:
@@ -262,6 +324,7 @@ Feedback improves future search results for everyone.
 
 ### 4. Contribute Back
 When you solve something hard, share it. Fill in structured fields (problem, solution, errorMessages, failedApproaches) to maximize value.
+Found a new failed approach or a typo later? Edit the entry with \`prior_update\` instead of retracting it — feedback is kept.
 
 ## When NOT to Use Prior
 - Project-specific context (your codebase, your config)
@@ -280,4 +343,6 @@ When you solve something hard, share it. Fill in structured fields (problem, sol
 - prior://docs/api-keys — Key setup for your client
 - prior://docs/getting-started — Account setup and authentication
 - prior://agent/status — Your current credits and status
+- prior://entries/{id} — One entry in full
+- prior://agent/contributions — Your entries with usage and feedback stats
 `;
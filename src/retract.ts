@@ -0,0 +1,153 @@
+/**
+ * Safeguards for prior_retract, which cannot be undone on the server.
+ *
+ * Retracting takes two calls: the first returns a preview and a short-lived
+ * confirmation token, the second redeems it. With a RetractionQueue (enable
+ * with PRIOR_RETRACT_GRACE_MINUTES), confirmed retractions also wait out a
+ * grace period in memory and can be cancelled until the DELETE is sent. The
+ * queue is not persisted: if the server stops first, nothing is retracted.
+ */
+
+import { randomBytes } from "crypto";
+import { PriorApiError, PriorValidationError } from "./errors.js";
+
+/** How long a confirmation token stays valid */
+export const RETRACT_CONFIRM_TTL_MS = 5 * 60_000;
+
+interface Confirmation {
+  id: string;
+  title: string;
+  expiresAt: number;
+}
+
+/**
+ * Single-use confirmation tokens, each bound to one entry ID.
+ */
+export class ConfirmationTokens {
+  private tokens = new Map<string, Confirmation>();
+  private readonly ttlMs: number;
+  private readonly now: () => number;
+
+  constructor({ ttlMs = RETRACT_CONFIRM_TTL_MS, now = Date.now }: { ttlMs?: number; now?: () => number } = {}) {
+    this.ttlMs = ttlMs;
+    this.now = now;
+  }
+
+  issue(id: string, title: string): { token: string; expiresAt: string } {
+    this.prune();
+    const token = `rt_${randomBytes(6).toString("hex")}`;
+    const expiresAt = this.now() + this.ttlMs;
+    this.tokens.set(token, { id, title, expiresAt });
+    return { token, expiresAt: new Date(expiresAt).toISOString() };
+  }
+
+  /** Consume a token for `id`. Throws if it is unknown, expired or issued for another entry. */
+  redeem(id: string, token: string): Confirmation {
+    const confirmation = this.tokens.get(token);
+    if (!confirmation || confirmation.expiresAt <= this.now()) {
+      this.tokens.delete(token);
+      throw new PriorValidationError(
+        `Confirmation token ${token} is unknown or expired — call prior_retract with just the id to get a new one`);
+    }
+    if (confirmation.id !== id) {
+      throw new PriorValidationError(`Confirmation token ${token} was issued for ${confirmation.id}, not ${id}`);
+    }
+    this.tokens.delete(token);
+    return confirmation;
+  }
+
+  private prune(): void {
+    const now = this.now();
+    for (const [token, c] of this.tokens) {
+      if (c.expiresAt <= now) this.tokens.delete(token);
+    }
+  }
+}
+
+export interface PendingRetraction {
+  id: string;
+  title: string;
+  requestedAt: string;
+  /** When the DELETE is (or was) due */
+  sendAt: string;
+  /** sending: the DELETE is in flight; failed: it was rejected — confirm again to retry */
+  status: "pending" | "sending" | "failed";
+  lastError?: string;
+}
+
+/**
+ * Confirmed retractions waiting out a grace period before the DELETE is sent.
+ */
+export class RetractionQueue {
+  readonly graceMs: number;
+  private items = new Map<string, PendingRetraction>();
+  private timers = new Map<string, NodeJS.Timeout>();
+
+  constructor(graceMs: number) {
+    this.graceMs = graceMs;
+  }
+
+  /**
+   * Queue `send` to run after the grace period. Scheduling an entry that is
+   * already queued restarts its timer.
+   */
+  schedule(id: string, title: string, send: () => Promise<unknown>, now = Date.now()): PendingRetraction {
+    this.cancel(id);
+    const item: PendingRetraction = {
+      id,
+      title,
+      requestedAt: new Date(now).toISOString(),
+      sendAt: new Date(now + this.graceMs).toISOString(),
+      status: "pending",
+    };
+    this.items.set(id, item);
+    const timer = setTimeout(() => {
+      this.timers.delete(id);
+      item.status = "sending";
+      send().then(
+        () => this.items.delete(id),
+        (err) => {
+          item.status = "failed";
+          item.lastError = err instanceof PriorApiError ? `${err.code}: ${err.message}` : String(err?.message || err);
+        });
+    }, this.graceMs);
+    // Don't keep the process alive just to send a retraction
+    timer.unref();
+    this.timers.set(id, timer);
+    return { ...item };
+  }
+
+  /**
+   * Cancel a queued retraction (or dismiss a failed one). Returns it, or
+   * undefined if none was waiting. Throws once the DELETE is in flight.
+   */
+  cancel(id: string): PendingRetraction | undefined {
+    const item = this.items.get(id);
+    if (item?.status === "sending") {
+      throw new PriorValidationError(`The retraction of ${id} is already being sent and can no longer be cancelled`);
+    }
+    const timer = this.timers.get(id);
+    if (timer) clearTimeout(timer);
+    this.timers.delete(id);
+    this.items.delete(id);
+    return item;
+  }
+
+  get(id: string): PendingRetraction | undefined {
+    const item = this.items.get(id);
+    return item && { ...item };
+  }
+
+  list(): PendingRetraction[] {
+    return [...this.items.values()].map(item => ({ ...item }));
+  }
+}
+
+/**
+ * Build a RetractionQueue from PRIOR_RETRACT_GRACE_MINUTES. Returns undefined
+ * (retract immediately once confirmed) unless it is a positive number.
+ */
+export function createRetractionQueueFromEnv(env: NodeJS.ProcessEnv = process.env): RetractionQueue | undefined {
+  const minutes = Number(env.PRIOR_RETRACT_GRACE_MINUTES);
+  return Number.isFinite(minutes) && minutes > 0 ? new RetractionQueue(minutes * 60_000) : undefined;
+}
@@ -0,0 +1,220 @@
+/**
+ * Client-side PII and secret scrubbing for contributions.
+ *
+ * Contributions are published to a shared knowledge base, so anything that
+ * identifies a person, machine or credential must be removed before it
+ * leaves the agent. Runs over the free-text fields of prior_contribute.
+ *
+ * Modes:
+ *   redact (default) — replace matches with [REDACTED:<type>] and submit
+ *   block            — refuse to submit, listing what was found
+ *   warn             — submit unchanged, but report what was found
+ */
+
+export type ScrubMode = "redact" | "block" | "warn";
+
+export interface ScrubRule {
+  /** Short identifier used in the replacement token and findings */
+  type: string;
+  /** Must be a global regex */
+  pattern: RegExp;
+  /** Custom replacement; defaults to [REDACTED:<type>] */
+  replace?: (match: string, ...groups: string[]) => string;
+  /** Skip matches for which this returns true (e.g. placeholders); `before` is the text preceding the match */
+  allow?: (match: string, before: string) => boolean;
+}
+
+export interface CustomScrubPattern {
+  type: string;
+  pattern: string;
+  flags?: string;
+}
+
+export interface ScrubOptions {
+  mode?: ScrubMode;
+  /** Extra patterns, e.g. internal project codenames */
+  customPatterns?: Array<CustomScrubPattern | string>;
+}
+
+export interface ScrubFinding {
+  field: string;
+  type: string;
+  /** Masked preview of the match — never the full secret */
+  preview: string;
+}
+
+export interface ScrubResult<T> {
+  fields: T;
+  findings: ScrubFinding[];
+}
+
+export const SCRUBBED_FIELDS = ["title", "content", "problem", "solution", "errorMessages", "failedApproaches"] as const;
+
+const PLACEHOLDER_EMAIL_DOMAINS = /@(example\.(com|org|net)|test\.com|localhost)$/i;
+
+/** "Domains" that are really file extensions, as in logo@2x.png or icon@dark.svg */
+const FILE_EXTENSION_TLD = /\.(png|jpe?g|gif|svg|webp|avif|ico|bmp|tiff?|css|scss|less|m?js|cjs|jsx|tsx?|json|map|html?|md|txt|xml|ya?ml|wasm|woff2?|ttf|otf|pdf|zip|gz|tgz|lock)$/i;
+
+/**
+ * A word before a dotted quad that makes it a version, not an address:
+ * a product name ("MSBuild 17.8.3.0", "Windows 10.0.19041.1") or "version".
+ * Lowercase words like "to", "host" or "connect" keep the address flagged.
+ */
+const VERSION_PREFIX = /(?:^|[^\w.])([A-Za-z][\w+#-]*)[\s/]+v?$/;
+const ADDRESS_WORDS = new Set(["host", "hostname", "server", "address", "addr", "ip", "ipv4", "inet", "from", "to", "at", "via",
+  "connect", "connecting", "proxy", "gateway", "dns", "nameserver", "peer", "client", "remote", "listen", "listening", "bind", "on"]);
+
+function followsProductName(before: string): boolean {
+  const word = before.match(VERSION_PREFIX)?.[1];
+  if (!word || ADDRESS_WORDS.has(word.toLowerCase())) return false;
+  return /[A-Z]/.test(word) || /^(version|ver|build|release)$/i.test(word);
+}
+
+/** Generic names from Docker, Kubernetes and examples that identify no real machine */
+const GENERIC_HOSTS = /^(?:(?:host|gateway|kubernetes)\.docker\.internal|(?:[A-Za-z0-9-]+\.)*svc\.cluster\.local|[A-Za-z0-9-]+\.local)$/i;
+
+function redacted(type: string): string {
+  return `[REDACTED:${type}]`;
+}
+
+// Ordered so specific secrets are caught before generic catch-alls
+export const DEFAULT_SCRUB_RULES: ScrubRule[] = [
+  {
+    type: "private-key",
+    pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?(-----END [A-Z ]*PRIVATE KEY-----|$)/g,
+  },
+  { type: "aws-access-key", pattern: /\b(AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  {
+    type: "aws-secret-key",
+    pattern: /(aws_secret_access_key|aws_secret_key|secretAccessKey)(["']?\s*[:=]\s*["']?)[A-Za-z0-9/+=]{40}/gi,
+    replace: (_m, name, sep) => `${name}${sep}${redacted("aws-secret-key")}`,
+  },
+  { type: "github-token", pattern: /\b(gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})\b/g },
+  { type: "slack-token", pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}\b/g },
+  { type: "google-api-key", pattern: /\bAIza[0-9A-Za-z_-]{35}\b/g },
+  { type: "api-key", pattern: /\b(sk-(ant-)?[A-Za-z0-9_-]{20,}|ask_[A-Za-z0-9]{16,})\b/g },
+  { type: "jwt", pattern: /\beyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}\b/g },
+  {
+    type: "bearer-token",
+    pattern: /\b(Bearer\s+)[A-Za-z0-9._~+/-]{16,}=*/g,
+    replace: (_m, prefix) => `${prefix}${redacted("token")}`,
+  },
+  {
+    type: "secret",
+    pattern: /\b(api[_-]?key|access[_-]?token|auth[_-]?token|secret|password|passwd)(["']?\s*[:=]\s*["']?)(?!\[REDACTED)[^\s"',;]{8,}/gi,
+    replace: (_m, name, sep) => `${name}${sep}${redacted("secret")}`,
+  },
+  {
+    type: "email",
+    pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g,
+    allow: (m) => PLACEHOLDER_EMAIL_DOMAINS.test(m) || /^git@/i.test(m) || FILE_EXTENSION_TLD.test(m) || /@\d+(\.\d+)?x\./i.test(m),
+  },
+  {
+    type: "ip",
+    pattern: /(?<![\w.])(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)(?![\w]|\.\d)/g,
+    // Loopback and wildcard addresses are generic, and useful in error messages
+    allow: (m, before) => m.startsWith("127.") || m === "0.0.0.0" || m === "255.255.255.255" || followsProductName(before),
+  },
+  {
+    type: "internal-host",
+    // Lookarounds skip file names like .env.local or settings.local.json
+    pattern: /(?<![.\w-])(?:[A-Za-z0-9-]+\.)+(?:internal|corp|lan|intranet|localdomain|local)\b(?!\.\w)/gi,
+    allow: (m) => GENERIC_HOSTS.test(m),
+  },
+  {
+    type: "user-path",
+    pattern: /(\/home\/|\/Users\/|[A-Za-z]:\\\\Users\\\\|[A-Za-z]:\\Users\\)([^/\\\s"'`]+)/g,
+    allow: (m) => /(\/|\\)(Shared|Public|Default|\[REDACTED:user\]|<user>|\$USER|%USERNAME%)$/i.test(m),
+    replace: (_m, prefix) => `${prefix}${redacted("user")}`,
+  },
+];
+
+function mask(match: string): string {
+  const flat = match.replace(/\s+/g, " ");
+  if (flat.length <= 8) return "*".repeat(flat.length);
+  return `${flat.slice(0, 4)}…${flat.slice(-2)}`;
+}
+
+/**
+ * Compile custom patterns. Plain strings become rules of type "custom".
+ */
+export function compileCustomPatterns(patterns: Array<CustomScrubPattern | string> = []): ScrubRule[] {
+  return patterns.map((p) => {
+    const spec = typeof p === "string" ? { type: "custom", pattern: p } : p;
+    const flags = spec.flags || "";
+    return { type: spec.type, pattern: new RegExp(spec.pattern, flags.includes("g") ? flags : flags + "g") };
+  });
+}
+
+/**
+ * Scrub a single string, returning the redacted text and what was found.
+ */
+export function scrubText(text: string, rules: ScrubRule[] = DEFAULT_SCRUB_RULES): { text: string; found: Array<{ type: string; preview: string }> } {
+  const found: Array<{ type: string; preview: string }> = [];
+  let out = text;
+  for (const rule of rules) {
+    out = out.replace(rule.pattern, (match: string, ...args: any[]) => {
+      // args = [...groups, offset, input(, namedGroups)]
+      const offsetIndex = args.findIndex(a => typeof a === "number");
+      if (rule.allow?.(match, (args[offsetIndex + 1] as string).slice(0, args[offsetIndex]))) return match;
+      found.push({ type: rule.type, preview: mask(match) });
+      const groups = args.slice(0, offsetIndex) as string[];
+      return rule.replace ? rule.replace(match, ...groups) : redacted(rule.type);
+    });
+  }
+  return { text: out, found };
+}
+
+/**
+ * Scrub the free-text fields of a contribution. Fields that aren't strings or
+ * string arrays are passed through untouched.
+ */
+export function scrubContribution<T extends Record<string, unknown>>(fields: T, options: ScrubOptions = {}): ScrubResult<T> {
+  const rules = [...DEFAULT_SCRUB_RULES, ...compileCustomPatterns(options.customPatterns)];
+  const findings: ScrubFinding[] = [];
+  const out: Record<string, unknown> = { ...fields };
+
+  for (const field of SCRUBBED_FIELDS) {
+    const value = fields[field];
+    if (typeof value === "string") {
+      const { text, found } = scrubText(value, rules);
+      out[field] = text;
+      findings.push(...found.map(f => ({ field, ...f })));
+    } else if (Array.isArray(value)) {
+      out[field] = value.map((item, i) => {
+        if (typeof item !== "string") return item;
+        const { text, found } = scrubText(item, rules);
+        findings.push(...found.map(f => ({ field: `${field}[${i}]`, ...f })));
+        return text;
+      });
+    }
+  }
+
+  return { fields: out as T, findings };
+}
+
+export function describeFindings(findings: ScrubFinding[]): string {
+  return findings.map(f => `${f.field}: ${f.type} (${f.preview})`).join("; ");
+}
+
+/**
+ * Read scrub settings from PRIOR_SCRUB_MODE and PRIOR_SCRUB_PATTERNS
+ * (a JSON array of regex strings or { type, pattern, flags } objects).
+ */
+export function scrubOptionsFromEnv(env: NodeJS.ProcessEnv = process.env): ScrubOptions {
+  const rawMode = (env.PRIOR_SCRUB_MODE || "").toLowerCase();
+  const mode = (["redact", "block", "warn"] as const).find(m => m === rawMode);
+  let customPatterns: ScrubOptions["customPatterns"];
+  if (env.PRIOR_SCRUB_PATTERNS) {
+    try {
+      const parsed = JSON.parse(env.PRIOR_SCRUB_PATTERNS);
+      if (Array.isArray(parsed)) {
+        compileCustomPatterns(parsed);
+        customPatterns = parsed;
+      }
+    } catch (err: any) {
+      console.error(`Ignoring invalid PRIOR_SCRUB_PATTERNS: ${err.message}`);
+    }
+  }
+  return { mode, customPatterns };
+}
@@ -0,0 +1,56 @@
+/**
+ * Prior MCP server factory — builds a fully registered McpServer for a client.
+ *
+ * Used by both the stdio entry point and the Streamable HTTP gateway, which
+ * creates one server per session.
+ */
+
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { PriorApiClient } from "./client.js";
+import { registerTools } from "./tools.js";
+import { registerResources } from "./resources.js";
+import { registerPrompts } from "./prompts.js";
+import { SearchCache } from "./cache.js";
+import { Outbox } from "./outbox.js";
+import { SessionLedger } from "./session.js";
+import { createRetractionQueueFromEnv } from "./retract.js";
+
+export const SERVER_NAME = "prior";
+export const SERVER_VERSION = "0.5.0";
+
+export interface CreatePriorServerOptions {
+  /**
+   * Durable outbox for offline writes. Only pass one for single-user servers —
+   * the outbox file is shared, so replays would use whichever key is current.
+   */
+  outbox?: Outbox;
+  /**
+   * Local prior_search cache. Only pass one for single-user servers — the
+   * cache file lives on the server's machine, not the client's.
+   */
+  cache?: SearchCache;
+  /** Register prior_configure (single-user servers only — it writes the local config) */
+  allowConfigure?: boolean;
+  /**
+   * Fill search context and contribution environment from this machine and
+   * working directory (default: on unless PRIOR_DETECT_ENVIRONMENT=0). Turn it
+   * off when clients don't share the server's machine, as in HTTP mode.
+   */
+  detectEnvironment?: boolean;
+}
+
+export function createPriorServer(client: PriorApiClient, { outbox, cache, allowConfigure, detectEnvironment }: CreatePriorServerOptions = {}): McpServer {
+  const server = new McpServer({
+    name: SERVER_NAME,
+    version: SERVER_VERSION,
+  });
+
+  // One ledger per server, i.e. per MCP session in HTTP mode
+  const ledger = new SessionLedger();
+  registerTools(server, { client, cache, outbox, allowConfigure, ledger, retractions: createRetractionQueueFromEnv(), detectEnvironment });
+  outbox?.startAutoReplay(client);
+  registerResources(server, { client, ledger });
+  registerPrompts(server, { ledger });
+
+  return server;
+}
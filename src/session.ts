@@ -0,0 +1,99 @@
+/**
+ * In-process session ledger of search results and the feedback given on them.
+ *
+ * The backend only nudges about feedback when it decides to; this keeps the
+ * server's own record so prior_pending_feedback, the
+ * prior://session/pending-feedback resource and the search nudge can list
+ * exactly which results are still unrated. Nothing is persisted — a ledger
+ * lives as long as the MCP session (one per server instance).
+ */
+
+import { feedbackActions } from "./feedback.js";
+
+export { feedbackActions };
+
+export interface LedgerEntry {
+  entryId: string;
+  title: string;
+  /** Query of the most recent search that returned this entry */
+  query: string;
+  searchId?: string;
+  returnedAt: string;
+  /** Served from the local cache, so no credit was spent on it */
+  fromCache?: boolean;
+}
+
+export interface FeedbackRecord {
+  entryId: string;
+  outcome: string;
+  at: string;
+  /** Saved to the outbox rather than sent */
+  queued?: boolean;
+}
+
+export interface PendingFeedback extends LedgerEntry {
+  feedbackActions: ReturnType<typeof feedbackActions>;
+}
+
+export class SessionLedger {
+  private results = new Map<string, LedgerEntry>();
+  private feedback = new Map<string, FeedbackRecord>();
+  private searches = 0;
+
+  recordSearch(query: string, searchId: string | undefined, results: Array<{ id?: string; title?: string }>,
+    { fromCache = false, now = Date.now() }: { fromCache?: boolean; now?: number } = {}): void {
+    this.searches++;
+    const returnedAt = new Date(now).toISOString();
+    for (const r of results) {
+      if (!r.id) continue;
+      // Re-inserting moves the entry to the end, keeping the map in recency order
+      this.results.delete(r.id);
+      this.results.set(r.id, { entryId: r.id, title: r.title || "", query, searchId, returnedAt, ...(fromCache ? { fromCache } : {}) });
+    }
+  }
+
+  recordFeedback(entryId: string, outcome: string, { queued = false, now = Date.now() }: { queued?: boolean; now?: number } = {}): void {
+    this.feedback.set(entryId, { entryId, outcome, at: new Date(now).toISOString(), ...(queued ? { queued } : {}) });
+  }
+
+  feedbackFor(entryId: string): FeedbackRecord | undefined {
+    return this.feedback.get(entryId);
+  }
+
+  /** Unrated results, most recent first */
+  pending(): PendingFeedback[] {
+    return [...this.results.values()]
+      .filter(r => !this.feedback.has(r.entryId))
+      .reverse()
+      .map(r => ({ ...r, feedbackActions: feedbackActions(r.entryId) }));
+  }
+
+  stats() {
+    const unrated = this.pending().length;
+    return { searches: this.searches, results: this.results.size, rated: this.feedback.size, unrated };
+  }
+
+  clear(): void {
+    this.results.clear();
+    this.feedback.clear();
+    this.searches = 0;
+  }
+}
+
+/**
+ * Local fallback for the backend's feedback nudge, listing up to `limit`
+ * unrated results. Returns undefined when there is nothing to remind about.
+ */
+export function buildPendingFeedbackNudge(pending: PendingFeedback[], limit = 3) {
+  if (!pending.length) return undefined;
+  const shown = pending.slice(0, limit);
+  const more = pending.length > shown.length ? ` (showing ${shown.length} of ${pending.length} — see prior_pending_feedback)` : "";
+  return {
+    kind: "feedback",
+    template: "local_pending_feedback",
+    message: `You have ${pending.length} earlier search result(s) without feedback${more}. ` +
+      "Rate the ones you tried with `prior_feedback` — it refunds your search credit and improves results for everyone.",
+    context: { pendingCount: pending.length },
+    previousResults: shown.map(p => ({ id: p.entryId, title: p.title, feedbackActions: p.feedbackActions })),
+  };
+}
@@ -10,12 +10,156 @@
 import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { z } from "zod";
 import { PriorApiClient } from "./client.js";
-import { detectHost, formatResults } from "./utils.js";
+import { Elision, MIN_RESPONSE_BUDGET, describeElision, estimateTokens, fitToBudget, responseBudgetFromEnv } from "./budget.js";
+import { applySearchFilters, describeRemoved, normalizeSearchFilters, searchFiltersSchema } from "./filters.js";
+import {
+  DEFAULT_RENDER_FORMAT,
+  RENDER_FORMATS,
+  RenderFormat,
+  contributionEnvironmentFrom,
+  detectEnvironment,
+  detectHost,
+  environmentDetectionFromEnv,
+  formatResults,
+  isRenderFormat,
+  mapConcurrent,
+  renderData,
+  renderEntry,
+  renderFormatFromEnv,
+  renderSearch,
+  searchContextFrom,
+  withDetected,
+} from "./utils.js";
+import { PriorApiError, PriorNotFoundError, PriorValidationError, toolErrorResult } from "./errors.js";
+import { SearchCache, searchCacheKey } from "./cache.js";
+import { Outbox, OutboxItem, OutboxKind, isQueueableError } from "./outbox.js";
+import { randomUUID } from "crypto";
+import { SessionLedger, buildPendingFeedbackNudge } from "./session.js";
+import {
+  CONTRIBUTIONS_PAGE,
+  CONTRIBUTION_STATUSES,
+  contributionsOutputShape,
+  entryOutputShape,
+  fetchEntry,
+  formatContributions,
+  listContributions,
+} from "./entries.js";
+import {
+  feedbackActions,
+  feedbackActionsSchema,
+  feedbackBody,
+  feedbackIssueMessage,
+  feedbackInputSchema,
+  feedbackInputShape,
+  parseFeedbackInput,
+} from "./feedback.js";
+import { ConfirmationTokens, RETRACT_CONFIRM_TTL_MS, RetractionQueue } from "./retract.js";
+import { ScrubFinding, ScrubOptions, describeFindings, scrubOptionsFromEnv } from "./scrub.js";
+import {
+  CONTRIBUTION_LIMITS,
+  ContributionInput,
+  TTL_VALUES,
+  assertNotBlocked,
+  assertValidContribution,
+  contributionChecklist,
+  diffContribution,
+  formatChecklist,
+  prepareContribution,
+} from "./contribution.js";
+
+/** Upper bound on prior_feedback_batch items, roughly one search's worth of results */
+const FEEDBACK_BATCH_MAX = 20;
+const FEEDBACK_BATCH_CONCURRENCY = 4;
+
+interface FeedbackBatchResult {
+  entryId: string;
+  outcome: string;
+  status: "sent" | "queued" | "invalid" | "failed" | "skipped";
+  creditsRefunded: number;
+  outboxId?: string;
+  error?: { code: string; message: string };
+}
+
+/** Entry fields prior_update can change */
+const UPDATABLE_FIELDS = ["title", "content", "tags", "problem", "solution", "errorMessages", "failedApproaches", "environment", "ttl"] as const;
+
+/** prior_contribute's input fields; prior_update reuses them so both validate the same way */
+const contributionInputShape = {
+  title: z.string()
+    .min(1, "title is required — describe the symptom in a short sentence")
+    .max(CONTRIBUTION_LIMITS.titleMaxLength, "title must be under 200 chars — keep the symptom, move details to content")
+    .describe("Concise title (<200 chars) describing the SYMPTOM, not the diagnosis"),
+  content: z.string()
+    .min(CONTRIBUTION_LIMITS.contentMinLength, "content must be at least 100 chars — explain the context and what fixed it")
+    .max(CONTRIBUTION_LIMITS.contentMaxLength, "content must be at most 10000 chars — trim logs and keep the essentials")
+    .describe("Full description with context and solution (100-10000 chars, markdown)"),
+  tags: z.array(z.string().min(1, "tags cannot be empty strings").max(CONTRIBUTION_LIMITS.tagMaxLength, "each tag must be at most 50 chars"))
+    .min(CONTRIBUTION_LIMITS.minTags, "at least 1 tag is required")
+    .max(CONTRIBUTION_LIMITS.maxTags, "at most 10 tags are allowed — keep the most specific ones")
+    .describe("1-10 lowercase tags (e.g. ['kotlin', 'exposed', 'workaround']). Normalized to lowercase-hyphenated"),
+  model: z.string().optional().describe("AI model that discovered this (e.g. 'claude-sonnet', 'gpt-4o'). Defaults to 'unknown' if omitted."),
+  problem: z.string().optional().describe("The symptom or unexpected behavior observed"),
+  solution: z.string().optional().describe("What actually fixed it"),
+  errorMessages: z.array(z.string()).optional().describe("Exact error text, or describe the symptom if there was no error message"),
+  failedApproaches: z.array(z.string()).optional().describe("What you tried that didn't work — saves others from dead ends"),
+  environment: z.object({
+    language: z.string().optional(),
+    languageVersion: z.string().optional(),
+    framework: z.string().optional(),
+    frameworkVersion: z.string().optional(),
+    runtime: z.string().optional(),
+    runtimeVersion: z.string().optional(),
+    os: z.string().optional(),
+    tools: z.array(z.string()).optional(),
+  }).optional().describe("Version/platform context"),
+  effort: z.object({
+    tokensUsed: z.number().optional(),
+    durationSeconds: z.number().optional(),
+    toolCalls: z.number().optional(),
+  }).optional().describe("Effort spent discovering this solution"),
+  ttl: z.enum(TTL_VALUES).optional().describe("Time to live: 30d, 60d, 90d (default), 365d, evergreen"),
+};
 
 export interface RegisterToolsOptions {
   client: PriorApiClient;
+  /** Optional local search cache; when absent, prior_search always hits the API */
+  cache?: SearchCache;
+  /** Optional durable outbox; when present, writes that fail offline are queued and replayed */
+  outbox?: Outbox;
+  /** PII/secret scrubbing for prior_contribute (default: from PRIOR_SCRUB_MODE / PRIOR_SCRUB_PATTERNS) */
+  scrub?: ScrubOptions;
+  /**
+   * Register prior_configure so the agent can set the API key at runtime.
+   * Only for single-user servers — the key is saved to the local config.
+   */
+  allowConfigure?: boolean;
+  /** Session record of results and feedback; pass the same one to registerResources to share it */
+  ledger?: SessionLedger;
+  /** When present, confirmed retractions wait out its grace period and can be cancelled */
+  retractions?: RetractionQueue;
+  /**
+   * Fill prior_search context and prior_contribute environment from the
+   * host, platform and project in the working directory (default: on unless
+   * PRIOR_DETECT_ENVIRONMENT=0). Fields the agent passes always win.
+   */
+  detectEnvironment?: boolean;
+  /**
+   * Default text rendering of tool results; a call's `format` input overrides
+   * it (default: PRIOR_FORMAT, then the profile's defaults.format, then markdown)
+   */
+  format?: RenderFormat;
+  /**
+   * Default approximate token cap for prior_search responses; a call's
+   * responseBudget overrides it (default: PRIOR_RESPONSE_BUDGET, then the
+   * profile's defaults.responseBudget, then no cap)
+   */
+  responseBudget?: number;
 }
 
+/** `format` input shared by every tool that renders API data */
+const formatInput = z.enum(RENDER_FORMATS).optional()
+  .describe("Text output: markdown (readable), compact (fewest tokens) or json (full API response). Defaults to the server setting");
+
 /**
  * Expand [PRIOR:*] client-side tokens to MCP tool call syntax.
  */
@@ -37,7 +181,120 @@ export function expandNudgeTokens(message: string): string {
     });
 }
 
-export function registerTools(server: McpServer, { client }: RegisterToolsOptions): void {
+/**
+ * Run a tool handler body, turning thrown errors into `isError` results with
+ * a readable message and a structured error code instead of raw API output.
+ */
+async function runTool<T>(fn: () => Promise<T>): Promise<T | ReturnType<typeof toolErrorResult>> {
+  try {
+    return await fn();
+  } catch (err) {
+    return toolErrorResult(err);
+  }
+}
+
+/**
+ * Drop the backend nudge before caching — it refers to the session state at
+ * the time of the original search and would be stale on replay.
+ */
+function withoutNudge(data: any): unknown {
+  if (data?.data && typeof data.data === "object") {
+    const { nudge: _nudge, ...inner } = data.data;
+    return { ...data, data: inner };
+  }
+  if (data && typeof data === "object") {
+    const { nudge: _nudge, ...rest } = data;
+    return rest;
+  }
+  return data;
+}
+
+/** Replace the results in a search response, in whichever envelope it came */
+function withResults(data: any, results: unknown[]): any {
+  if (Array.isArray(data?.data?.results)) return { ...data, data: { ...data.data, results } };
+  return { ...data, results };
+}
+
+/** Apply prior_update's environment keys to the stored ones; null removes a key */
+function mergeEnvironment(current: Record<string, unknown> | undefined, patch: Record<string, unknown>): Record<string, unknown> | undefined {
+  const merged: Record<string, unknown> = { ...current };
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null) delete merged[key];
+    else if (value !== undefined) merged[key] = value;
+  }
+  return Object.keys(merged).length ? merged : undefined;
+}
+
+function describeOutboxItem(item: OutboxItem) {
+  return {
+    id: item.id,
+    kind: item.kind,
+    summary: item.summary,
+    status: item.status,
+    attempts: item.attempts,
+    createdAt: item.createdAt,
+    lastAttemptAt: item.lastAttemptAt,
+    lastError: item.lastError,
+  };
+}
+
+export function registerTools(server: McpServer, { client, cache, outbox, scrub = scrubOptionsFromEnv(), allowConfigure, ledger = new SessionLedger(), retractions, detectEnvironment: detect = environmentDetectionFromEnv(), format: serverFormat = renderFormatFromEnv(), responseBudget: serverBudget = responseBudgetFromEnv() }: RegisterToolsOptions): void {
+  const scrubMode = scrub.mode || "redact";
+  const confirmations = new ConfirmationTokens();
+  const detected = detect ? detectEnvironment() : undefined;
+
+  /** The call's format, else the server's, else the active profile's */
+  const formatFor = (requested?: RenderFormat): RenderFormat => {
+    const profileFormat = client.defaults.format;
+    return requested ?? serverFormat ?? (isRenderFormat(profileFormat) ? profileFormat : DEFAULT_RENDER_FORMAT);
+  };
+
+  /** A successful call means we're online — replay anything queued earlier. */
+  const replayOutbox = () => {
+    if (outbox?.list().some(item => item.status === "pending")) void outbox.flush(client).catch(() => {});
+  };
+
+  /**
+   * Send a write with an idempotency key. If the API is unreachable and an
+   * outbox is configured, save it for replay instead of failing.
+   */
+  const sendOrQueue = async (kind: OutboxKind, method: string, path: string, body: unknown, summary: string, signal: AbortSignal):
+    Promise<{ data: any; queued?: undefined } | { data?: undefined; queued: OutboxItem }> => {
+    const idempotencyKey = randomUUID();
+    try {
+      const data = await client.request(method, path, body, undefined, { signal, idempotencyKey });
+      replayOutbox();
+      return { data };
+    } catch (err) {
+      if (!outbox || signal.aborted || !isQueueableError(err)) throw err;
+      let queued: OutboxItem;
+      try {
+        queued = outbox.enqueue({ kind, method, path, body, idempotencyKey, summary, lastError: (err as Error).message });
+      } catch (queueErr) {
+        // Report the API failure the agent can act on, not the disk error
+        (err as Error).message += ` (saving it to the outbox also failed: ${(queueErr as Error).message})`;
+        throw err;
+      }
+      return { queued };
+    }
+  };
+
+  /** Tell the agent what scrubbing changed, or what it let through in warn mode */
+  const scrubNoteFor = (findings: ScrubFinding[]) => !findings.length ? ""
+    : scrubMode === "redact"
+      ? `\n\nRedacted before submitting: ${describeFindings(findings)}`
+      : `\n\nWarning — possible sensitive data was submitted unchanged: ${describeFindings(findings)}`;
+
+  /** Send (or queue) feedback for one entry and record it in the session ledger. */
+  const submitFeedback = async (entryId: string, body: Record<string, unknown>, signal: AbortSignal) => {
+    const sent = await sendOrQueue("feedback", "POST", `/v1/knowledge/${entryId}/feedback`, body, `feedback: ${entryId} ${body.outcome}`, signal);
+    ledger.recordFeedback(entryId, String(body.outcome), { queued: !!sent.queued });
+    return sent;
+  };
+
+  const queuedText = (what: string, item: OutboxItem) =>
+    `Prior API unreachable (${item.lastError}). Your ${what} was saved to the local outbox as ${item.id} ` +
+    `and will be sent automatically when connectivity returns. Use prior_outbox to list, retry or discard it.`;
 
   // ── prior_search ────────────────────────────────────────────────────
 
@@ -49,20 +306,31 @@ Search when: unfamiliar error, 3+ failed attempts, new framework/tool. Search th
 
 Example: prior_search({ query: "ECONNREFUSED localhost:5432 docker compose", context: { runtime: "node" } })
 
+Use filters to stay within an environment, e.g. filters: { language: "python", framework: "django", frameworkVersion: ">=4" }. Results that fail them are removed and counted in filteredOut.
+
+Pass responseBudget (approximate tokens) to cap the size of the whole response; what was cut is listed in elided.
+
 Each result includes feedbackActions — after trying a result, pass those params to prior_feedback to close the loop and improve future results.`,
     annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
     inputSchema: {
       query: z.string().describe("Specific technical query — paste exact error strings for best results"),
-      maxResults: z.number().optional().describe("Max results (default 3, max 10)"),
-      maxTokens: z.number().optional().describe("Max tokens per result (default 2000, max 5000)"),
-      minQuality: z.number().optional().describe("Min quality score filter (0.0-1.0)"),
+      maxResults: z.number().int("maxResults must be a whole number").min(1, "maxResults must be at least 1").max(10, "maxResults can be at most 10").optional().describe("Max results (default 3, max 10)"),
+      maxTokens: z.number().int("maxTokens must be a whole number").min(1, "maxTokens must be at least 1").max(5000, "maxTokens can be at most 5000").optional().describe("Max tokens per result (default 2000, max 5000)"),
+      minQuality: z.number().min(0, "minQuality must be between 0.0 and 1.0").max(1, "minQuality must be between 0.0 and 1.0").optional().describe("Min quality score filter (0.0-1.0)"),
       context: z.object({
         tools: z.array(z.string()).optional(),
         runtime: z.string().optional().describe("Runtime environment (e.g. node, python, openclaw, claude-code)"),
         os: z.string().optional(),
         shell: z.string().optional(),
+        language: z.string().optional(),
+        framework: z.string().optional(),
         taskType: z.string().optional(),
-      }).optional().describe("Optional context for better relevance. Include runtime if known."),
+      }).optional().describe("Optional context for better relevance. Host, os, shell, language and framework are detected automatically; fields you pass override them."),
+      filters: searchFiltersSchema.optional(),
+      format: formatInput,
+      responseBudget: z.number().int("responseBudget must be a whole number").min(MIN_RESPONSE_BUDGET, `responseBudget must be at least ${MIN_RESPONSE_BUDGET}`).optional()
+        .describe("Approximate max tokens for the whole response. Results are trimmed to fit (lists collapsed, content shortened, least relevant results cut to ID and title); IDs and feedbackActions are always kept"),
+      cache: z.enum(["prefer", "bypass", "only"]).optional().describe("Local cache use when enabled: prefer (default) reuses an identical recent search for free, bypass always queries the API, only never calls the API"),
     },
     outputSchema: {
       results: z.array(z.object({
@@ -74,44 +342,83 @@ Each result includes feedbackActions — after trying a result, pass those param
         relevanceScore: z.number().nullable().optional(),
         errorMessages: z.array(z.string()).nullable().optional(),
         failedApproaches: z.array(z.string()).nullable().optional(),
-        feedbackActions: z.object({
-          useful: z.object({
-            entryId: z.string(),
-            outcome: z.literal("useful"),
-          }).describe("Pass to prior_feedback if this result solved your problem"),
-          not_useful: z.object({
-            entryId: z.string(),
-            outcome: z.literal("not_useful"),
-            reason: z.string().describe("REQUIRED: describe what you tried and why it didn't work"),
-          }).describe("Pass to prior_feedback if you tried this and it didn't work — fill in the reason"),
-          irrelevant: z.object({
-            entryId: z.string(),
-            outcome: z.literal("irrelevant"),
-          }).describe("Pass to prior_feedback if this result doesn't relate to your search at all"),
-        }).describe("Pre-built params for prior_feedback — pick one and call it"),
+        feedbackActions: feedbackActionsSchema,
       })),
       searchId: z.string().optional(),
       creditsUsed: z.number().optional(),
       contributionPrompt: z.string().optional().describe("Shown when no/low-relevance results — nudge to contribute your solution"),
       agentHint: z.string().optional().describe("Contextual hint from the server"),
       doNotTry: z.array(z.string()).optional().describe("Aggregated failed approaches from results — things NOT to try"),
+      nudge: z.object({
+        kind: z.string(),
+        template: z.string(),
+        message: z.string(),
+        context: z.unknown().optional(),
+        previousResults: z.array(z.object({
+          id: z.string(),
+          title: z.string(),
+          feedbackActions: feedbackActionsSchema,
+        })).optional(),
+      }).optional().describe("Reminder to rate earlier results or contribute, with feedbackActions for the earlier results"),
+      fromCache: z.boolean().optional().describe("True when served from the local cache — no credit was spent"),
+      cachedAt: z.string().optional().describe("When the cached response was originally fetched (ISO 8601)"),
+      filteredOut: z.number().optional().describe("Results the API returned that failed your filters and were removed here"),
+      elided: z.object({
+        budget: z.number(),
+        estimatedTokens: z.number(),
+        collapsedItems: z.number().describe("failedApproaches/errorMessages items removed"),
+        trimmed: z.array(z.string()).describe("IDs of results whose text was shortened"),
+        dropped: z.array(z.string()).describe("IDs of results cut to ID and title — fetch them with prior_get_entry"),
+        overBudget: z.boolean().optional(),
+      }).optional().describe("What was cut to fit responseBudget"),
     },
-  }, async ({ query, maxResults, maxTokens, minQuality, context }) => {
+  }, async ({ query, maxResults, maxTokens, minQuality, context, filters: rawFilters, format, responseBudget, cache: cacheMode = "prefer" }, { signal }) => runTool(async () => {
+    // Fall back to the active config profile's defaults
+    const defaults = client.defaults;
+    maxResults ??= defaults.maxResults;
+    maxTokens ??= defaults.maxTokens;
+    minQuality ??= defaults.minQuality;
+    responseBudget ??= serverBudget ?? defaults.responseBudget;
+    const textFormat = formatFor(format);
+
     const body: Record<string, unknown> = { query };
-    // Build context — use provided values, fall back to detected runtime
-    const ctx = context || {};
+    // Build context — use provided values, fall back to the detected environment
+    const ctx = detected ? withDetected(context, searchContextFrom(detected)).merged : { ...context };
     if (!ctx.runtime) ctx.runtime = detectHost();
     body.context = ctx;
 
     if (maxResults) body.maxResults = maxResults;
     if (maxTokens) body.maxTokens = maxTokens;
     if (minQuality !== undefined) body.minQuality = minQuality;
+    const filters = normalizeSearchFilters(rawFilters);
+    if (filters) body.filters = filters;
 
-    const data = await client.request("POST", "/v1/knowledge/search", body) as any;
-    const rawResults = data?.results || data?.data?.results || [];
+    // The cache is keyed by the API key, which an apiKeyCommand may still be fetching
+    if (cache) await client.refreshCredentials();
+    const cacheKey = cache && searchCacheKey({ query, context: ctx, maxResults, maxTokens, minQuality, filters, identity: client.apiKey });
+    const cached = cache && cacheKey && cacheMode !== "bypass" ? cache.get(cacheKey) : undefined;
+
+    let data: any;
+    if (cached) {
+      data = cached.data;
+    } else if (cacheMode === "only") {
+      data = { ok: true, data: { results: [] } };
+    } else {
+      // Search has no side effects beyond credit accounting, so it is safe to retry
+      data = await client.request("POST", "/v1/knowledge/search", body, undefined, { idempotent: true, signal }) as any;
+      replayOutbox();
+    }
+    const returnedResults = data?.results || data?.data?.results || [];
+    // Only cache hits worth replaying — empty searches are free anyway
+    if (cache && cacheKey && !cached && cacheMode !== "only" && returnedResults.length > 0) {
+      cache.set(cacheKey, withoutNudge(data));
+    }
+    // The backend may not support every filter, so check the results here too
+    const filtered = applySearchFilters<any>(returnedResults, filters);
+    let rawResults = filtered.results;
     const searchId = data?.searchId || data?.data?.searchId;
 
-    const structuredResults = rawResults.map((r: any) => ({
+    const toStructured = (r: any) => ({
       id: r.id || "",
       title: r.title || "",
       content: r.content || "",
@@ -120,14 +427,36 @@ Each result includes feedbackActions — after trying a result, pass those param
       relevanceScore: r.relevanceScore,
       errorMessages: r.errorMessages,
       failedApproaches: r.failedApproaches,
-      feedbackActions: {
-        useful: { entryId: r.id, outcome: "useful" },
-        not_useful: { entryId: r.id, outcome: "not_useful", reason: "" },
-        irrelevant: { entryId: r.id, outcome: "irrelevant" },
-      },
-    }));
+      feedbackActions: feedbackActions(r.id),
+    });
+
+    // Budget the text and structured content together — hosts may show the agent both
+    let elided: Elision | undefined;
+    if (responseBudget) {
+      const response = data;
+      const fit = fitToBudget<any>(rawResults, responseBudget, results =>
+        estimateTokens(renderSearch(withResults(response, results), textFormat, { fromCache: !!cached })) + estimateTokens(JSON.stringify(results.map(toStructured))));
+      rawResults = fit.results;
+      elided = fit.elided;
+    }
+    if (filtered.removedCount || elided) data = withResults(data, rawResults);
+    const structuredResults = rawResults.map(toStructured);
 
-    let text = formatResults(data);
+    // Results from earlier searches still waiting for feedback, before this one is recorded
+    const returnedIds = new Set(structuredResults.map((r: any) => r.id));
+    const earlierPending = ledger.pending().filter(p => !returnedIds.has(p.entryId));
+    if (cacheMode !== "only" || cached) ledger.recordSearch(query, searchId, structuredResults, { fromCache: !!cached });
+
+    let text = renderSearch(data, textFormat, { fromCache: !!cached });
+    if (filtered.removedCount) {
+      text += `\n\n${describeRemoved(filtered.removed)}. Raise maxResults if too few are left.`;
+    }
+    if (elided) text += `\n\n${describeElision(elided)}`;
+    if (cached) {
+      text = `[Served from local cache (fetched ${new Date(cached.storedAt).toISOString()}) — no credit spent]\n\n` + text;
+    } else if (cacheMode === "only") {
+      text = "No cached results for this query. cache: \"only\" never calls the API — retry with cache: \"prefer\" to search.";
+    }
 
     // Surface backend contribution prompt, enhanced with MCP tool name
     const rawData = data?.data || data;
@@ -149,11 +478,7 @@ Each result includes feedbackActions — after trying a result, pass those param
       const previousResults = rawNudge.context?.previousResults?.map((r: any) => ({
         id: r.id,
         title: r.title,
-        feedbackActions: {
-          useful: { entryId: r.id, outcome: "useful" },
-          not_useful: { entryId: r.id, outcome: "not_useful", reason: "" },
-          irrelevant: { entryId: r.id, outcome: "irrelevant" },
-        },
+        feedbackActions: feedbackActions(r.id),
       }));
 
       nudge = {
@@ -163,10 +488,15 @@ Each result includes feedbackActions — after trying a result, pass those param
         context: rawNudge.context,
         ...(previousResults?.length ? { previousResults } : {}),
       };
-      text += `\n\n💡 ${expandedMessage}`;
-      if (previousResults?.length) {
+    } else {
+      // No backend nudge — remind about unrated results from the session ledger instead
+      nudge = buildPendingFeedbackNudge(earlierPending);
+    }
+    if (nudge) {
+      text += `\n\n💡 ${nudge.message}`;
+      if (nudge.previousResults?.length) {
         text += `\n  Previous results:`;
-        for (const r of previousResults) {
+        for (const r of nudge.previousResults) {
           text += `\n    - "${r.title}" → prior_feedback(entryId: "${r.id}", outcome: "useful")`;
         }
       }
@@ -176,15 +506,40 @@ Each result includes feedbackActions — after trying a result, pass those param
       structuredContent: {
         results: structuredResults || [],
         searchId,
-        creditsUsed: data?.creditsUsed || data?.data?.creditsUsed || 1,
+        creditsUsed: cached || cacheMode === "only" ? 0 : (data?.creditsUsed || data?.data?.creditsUsed || 1),
         contributionPrompt: contributionPrompt || undefined,
         agentHint: agentHint || undefined,
         doNotTry: doNotTry || undefined,
         nudge: nudge || undefined,
+        fromCache: !!cached,
+        cachedAt: cached ? new Date(cached.storedAt).toISOString() : undefined,
+        filteredOut: filters ? filtered.removedCount : undefined,
+        elided,
       },
       content: [{ type: "text" as const, text }],
     };
-  });
+  }));
+
+  // ── prior_get_entry ─────────────────────────────────────────────────
+
+  server.registerTool("prior_get_entry", {
+    title: "Get Knowledge Entry",
+    description: `Fetch one knowledge entry in full by ID — untruncated content, structured fields, environment, proposed corrections and feedback counts. Free; no credit is spent.
+
+Use it to drill into a promising search result that was cut short by maxTokens instead of searching again. Also available as a resource at prior://entries/{id}.`,
+    annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: false },
+    inputSchema: {
+      id: z.string().trim().min(1, "id is required — use the id from a search result").describe("Short ID of the entry (e.g. k_8f3a2b)"),
+      format: formatInput,
+    },
+    outputSchema: entryOutputShape,
+  }, async ({ id, format }, { signal }) => runTool(async () => {
+    const entry = await fetchEntry(client, id, signal);
+    return {
+      structuredContent: entry,
+      content: [{ type: "text" as const, text: renderEntry(entry, formatFor(format)) }],
+    };
+  }));
 
   // ── prior_contribute ────────────────────────────────────────────────
 
@@ -194,60 +549,172 @@ Each result includes feedbackActions — after trying a result, pass those param
 
 Example: prior_contribute({ title: "Exposed 0.57 deleteWhere broken with eq", content: "...", tags: ["kotlin", "exposed"] })
 
-Structured fields (problem, solution, errorMessages, failedApproaches) are optional but make entries much more valuable. Scrub PII before submitting.`,
+Pass dryRun: true to preview the exact payload and a quality checklist without publishing.
+
+Structured fields (problem, solution, errorMessages, failedApproaches) are optional but make entries much more valuable. Scrub PII before submitting — API keys, tokens, emails, IPs, internal hostnames and usernames in paths are also detected and redacted automatically.`,
     annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: true },
     inputSchema: {
-      title: z.string().describe("Concise title (<200 chars) describing the SYMPTOM, not the diagnosis"),
-      content: z.string().describe("Full description with context and solution (100-10000 chars, markdown)"),
-      tags: z.array(z.string()).describe("1-10 lowercase tags (e.g. ['kotlin', 'exposed', 'workaround'])"),
-      model: z.string().optional().describe("AI model that discovered this (e.g. 'claude-sonnet', 'gpt-4o'). Defaults to 'unknown' if omitted."),
-      problem: z.string().optional().describe("The symptom or unexpected behavior observed"),
-      solution: z.string().optional().describe("What actually fixed it"),
-      errorMessages: z.array(z.string()).optional().describe("Exact error text, or describe the symptom if there was no error message"),
-      failedApproaches: z.array(z.string()).optional().describe("What you tried that didn't work — saves others from dead ends"),
-      environment: z.object({
-        language: z.string().optional(),
-        languageVersion: z.string().optional(),
-        framework: z.string().optional(),
-        frameworkVersion: z.string().optional(),
-        runtime: z.string().optional(),
-        runtimeVersion: z.string().optional(),
-        os: z.string().optional(),
-        tools: z.array(z.string()).optional(),
-      }).optional().describe("Version/platform context"),
-      effort: z.object({
-        tokensUsed: z.number().optional(),
-        durationSeconds: z.number().optional(),
-        toolCalls: z.number().optional(),
-      }).optional().describe("Effort spent discovering this solution"),
-      ttl: z.string().optional().describe("Time to live: 30d, 60d, 90d (default), 365d, evergreen"),
+      ...contributionInputShape,
+      dryRun: z.boolean().optional().describe("Preview only: run validation and scrubbing, return the exact payload and a quality checklist without publishing"),
+      format: formatInput,
     },
     outputSchema: {
       id: z.string().describe("Short ID of the new entry"),
-      status: z.string().describe("Entry status (active or pending)"),
+      status: z.string().describe("Entry status (active or pending), or queued if saved to the outbox"),
       creditsEarned: z.number().optional(),
+      outboxId: z.string().optional().describe("Outbox item ID when the API was unreachable and the contribution was queued"),
+      scrubbed: z.array(z.object({
+        field: z.string(),
+        type: z.string(),
+      })).optional().describe("Sensitive values detected before submitting (redacted unless the server runs in warn mode)"),
+      dryRun: z.boolean().optional().describe("True when this was a preview and nothing was published"),
+      payload: z.record(z.string(), z.unknown()).optional().describe("Dry run only: the exact request body that would be sent"),
+      checklist: z.array(z.object({
+        check: z.string(),
+        ok: z.boolean(),
+        message: z.string(),
+      })).optional().describe("Dry run only: quality checks — fix items with ok: false before contributing"),
+      detectedEnvironment: z.array(z.string()).optional().describe("environment fields filled in from the server's working directory — pass them in environment to override"),
     },
-  }, async ({ title, content, tags, model, problem, solution, errorMessages, failedApproaches, environment, effort, ttl }) => {
-    const body: Record<string, unknown> = { title, content, tags, model: model || "unknown" };
-    if (problem) body.problem = problem;
-    if (solution) body.solution = solution;
-    if (errorMessages) body.errorMessages = errorMessages;
-    if (failedApproaches) body.failedApproaches = failedApproaches;
-    if (environment) body.environment = environment;
-    if (effort) body.effort = effort;
-    if (ttl) body.ttl = ttl;
-
-    const data = await client.request("POST", "/v1/knowledge/contribute", body) as any;
+  }, async ({ title, content, tags, model, problem, solution, errorMessages, failedApproaches, environment, effort, ttl, dryRun, format }, { signal }) => runTool(async () => {
+    const filledEnvironment = detected ? withDetected(environment, contributionEnvironmentFrom(detected)) : { merged: environment, filled: [] };
+    const prepared = prepareContribution({ title, content, tags, model, problem, solution, errorMessages, failedApproaches, environment: filledEnvironment.merged, effort, ttl }, scrub);
+    const { body, findings } = prepared;
+    const scrubbed = findings.length ? findings.map(f => ({ field: f.field, type: f.type })) : undefined;
+    const detectedEnvironment = filledEnvironment.filled.length ? filledEnvironment.filled : undefined;
+    const environmentNote = detectedEnvironment
+      ? `\n\nEnvironment detected from the working directory: ${detectedEnvironment.map(k => `${k}=${(filledEnvironment.merged as Record<string, unknown>)[k]}`).join(", ")}. Pass environment to correct any of these.`
+      : "";
+
+    if (dryRun) {
+      const checklist = contributionChecklist(prepared);
+      return {
+        structuredContent: { id: "", status: "dry_run", dryRun: true, payload: body, checklist, scrubbed, detectedEnvironment },
+        content: [{ type: "text" as const, text:
+          `Dry run — nothing was submitted. This is the exact payload prior_contribute would send:\n\n` +
+          `${JSON.stringify(body, null, 2)}\n\nQuality checklist:\n${formatChecklist(checklist)}${environmentNote}` }],
+      };
+    }
+
+    assertValidContribution(prepared);
+    assertNotBlocked(prepared);
+    const scrubNote = scrubNoteFor(findings);
+
+    const { data, queued } = await sendOrQueue("contribute", "POST", "/v1/knowledge/contribute", body, `contribute: ${body.title}`, signal);
+    if (queued) {
+      return {
+        structuredContent: { id: "", status: "queued", outboxId: queued.id, scrubbed, detectedEnvironment },
+        content: [{ type: "text" as const, text: queuedText("contribution", queued) + scrubNote + environmentNote }],
+      };
+    }
     const entry = data?.data || data;
     return {
       structuredContent: {
         id: entry?.id || entry?.shortId || "",
         status: entry?.status || "active",
         creditsEarned: entry?.creditsEarned,
+        scrubbed,
+        detectedEnvironment,
       },
-      content: [{ type: "text" as const, text: formatResults(data) }],
+      content: [{ type: "text" as const, text: renderData(data, formatFor(format)) + scrubNote + environmentNote }],
     };
-  });
+  }));
+
+  // ── prior_update ────────────────────────────────────────────────────
+
+  const { title, content, tags, problem, solution, errorMessages, failedApproaches, environment, ttl } = contributionInputShape;
+  // Same keys as prior_contribute's environment, but null deletes a key
+  const environmentPatch = z.object(Object.fromEntries(
+    Object.entries(environment.unwrap().shape).map(([key, schema]) => [key, schema.unwrap().nullable().optional()]),
+  )).optional();
+
+  server.registerTool("prior_update", {
+    title: "Update Knowledge Entry",
+    description: `Edit an entry you contributed — fix a typo, add a newly found failed approach, update versions — while keeping its feedback history. Only the fields you pass change; environment keys are merged into the existing environment (null removes a key), and an empty string or list clears a structured field.
+
+Same validation and PII scrubbing as prior_contribute. Returns a summary of what changed. Pass dryRun: true to see the changes without saving.
+
+Example: prior_update({ id: "k_8f3a2b", failedApproaches: ["Restarting docker", "Exposing port 5432"] })`,
+    annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: true, openWorldHint: true },
+    inputSchema: {
+      id: z.string().trim().min(1, "id is required — find your entries with prior_my_contributions").describe("Short ID of your entry (e.g. k_8f3a2b)"),
+      title: title.optional(),
+      content: content.optional(),
+      tags: tags.optional().describe("Replaces all tags (1-10, normalized to lowercase-hyphenated)"),
+      problem,
+      solution,
+      errorMessages: errorMessages.describe("Replaces the list; [] clears it"),
+      failedApproaches: failedApproaches.describe("Replaces the list — include the existing items to keep them; [] clears it"),
+      environment: environmentPatch.describe("Keys to set, merged into the existing environment; null removes a key"),
+      ttl,
+      dryRun: z.boolean().optional().describe("Preview: validate and return the changes without saving"),
+      format: formatInput,
+    },
+    outputSchema: {
+      id: z.string(),
+      updated: z.boolean().describe("False for a dry run or when nothing changed"),
+      changes: z.array(z.object({
+        field: z.string(),
+        summary: z.string(),
+      })).describe("What changed, field by field"),
+      scrubbed: z.array(z.object({
+        field: z.string(),
+        type: z.string(),
+      })).optional().describe("Sensitive values detected in the new values"),
+      dryRun: z.boolean().optional(),
+    },
+  }, async ({ id, dryRun, format, ...patch }, { signal }) => runTool(async () => {
+    const supplied: string[] = UPDATABLE_FIELDS.filter(f => patch[f] !== undefined);
+    if (!supplied.length) {
+      throw new PriorValidationError(`Nothing to update — pass at least one of ${UPDATABLE_FIELDS.join(", ")}`);
+    }
+
+    const current = await fetchEntry(client, id, signal);
+    current.id ||= id;
+    const merged: ContributionInput = {
+      title: patch.title ?? current.title,
+      content: patch.content ?? current.content,
+      tags: patch.tags ?? current.tags ?? [],
+      problem: patch.problem ?? current.problem ?? undefined,
+      solution: patch.solution ?? current.solution ?? undefined,
+      errorMessages: patch.errorMessages ?? current.errorMessages ?? undefined,
+      failedApproaches: patch.failedApproaches ?? current.failedApproaches ?? undefined,
+      environment: patch.environment ? mergeEnvironment(current.environment ?? undefined, patch.environment) : current.environment ?? undefined,
+      // The stored ttl is left alone, even one this version doesn't know
+      ttl: patch.ttl,
+    };
+    // Normalize the entry as a whole, but only check the values being changed
+    // so an entry written under older limits can still be edited
+    const prepared = prepareContribution(merged, scrub);
+    const findings = prepared.findings.filter(f => supplied.includes(f.field.replace(/\[\d+\]$/, "")));
+    assertValidContribution(prepared, supplied);
+    assertNotBlocked({ ...prepared, findings });
+
+    const changes = diffContribution(current, prepared.body, supplied);
+    const scrubbed = findings.length ? findings.map(f => ({ field: f.field, type: f.type })) : undefined;
+    const textFormat = formatFor(format);
+    // Compact keeps the whole summary on the line after the lead
+    const summary = textFormat === "compact"
+      ? ` ${changes.map(c => `${c.field}: ${c.summary}`).join("; ")}`
+      : `\n${changes.map(c => `- ${c.field}: ${c.summary}`).join("\n")}`;
+    const result = (structuredContent: { id: string; updated: boolean; changes: typeof changes; scrubbed?: typeof scrubbed; dryRun?: boolean }, text: string) => ({
+      structuredContent,
+      content: [{ type: "text" as const, text: textFormat === "json" ? formatResults(structuredContent) : text }],
+    });
+    if (!changes.length) {
+      return result({ id: current.id, updated: false, changes, scrubbed, dryRun }, `No changes — ${current.id} already has these values.`);
+    }
+    if (dryRun) {
+      return result({ id: current.id, updated: false, changes, scrubbed, dryRun: true }, textFormat === "compact"
+        ? `Dry run, not saved — ${current.id}:${summary}`
+        : `Dry run — nothing was saved. prior_update would change ${current.id}:${summary}`);
+    }
+
+    const body: Record<string, unknown> = {};
+    for (const { field } of changes) body[field] = prepared.body[field] ?? null;
+    await client.request("PATCH", `/v1/knowledge/${encodeURIComponent(current.id)}`, body, undefined, { signal, idempotencyKey: randomUUID() });
+    return result({ id: current.id, updated: true, changes, scrubbed }, `Updated ${current.id}:${summary}${scrubNoteFor(findings)}`);
+  }));
 
   // ── prior_feedback ──────────────────────────────────────────────────
 
@@ -256,36 +723,29 @@ Structured fields (problem, solution, errorMessages, failedApproaches) are optio
     description: `Rate a search result after trying it. Improves future results for you and all agents.
 
 - "useful" — tried it, solved your problem
-- "not_useful" — tried it, didn't work (reason REQUIRED: what you tried and why it failed)
+- "not_useful" — tried it, didn't work (reason REQUIRED, 10+ chars: what you tried and why it failed)
 - "irrelevant" — result doesn't relate to your search at all (you did NOT try it)
+- "correction_verified" / "correction_rejected" — judge a proposed correction (correctionId REQUIRED)
 
 Use the feedbackActions from your search results — they have pre-built params ready to pass here.`,
     annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: true },
-    inputSchema: {
-      entryId: z.string().describe("Entry ID (from search results or feedbackActions)"),
-      outcome: z.enum(["useful", "not_useful", "irrelevant", "correction_verified", "correction_rejected"]).describe("useful=worked, not_useful=tried+failed (reason required), irrelevant=wrong topic entirely"),
-      reason: z.string().optional().describe("Required for not_useful: what you tried and why it didn't work"),
-      notes: z.string().optional().describe("Optional notes (e.g. 'Worked on Windows 11')"),
-      correctionId: z.string().optional().describe("For correction_verified/rejected"),
-      correction: z.object({
-        content: z.string().describe("Corrected content (100-10000 chars)"),
-        title: z.string().optional(),
-        tags: z.array(z.string()).optional(),
-      }).optional().describe("Submit a correction if you found the real fix"),
-    },
+    // Advertised as one object so clients see every field; the per-outcome rules are checked in the handler
+    inputSchema: { ...feedbackInputShape, format: formatInput },
     outputSchema: {
       ok: z.boolean(),
       creditsRefunded: z.number().describe("Credits refunded for this feedback"),
       previousOutcome: z.string().nullable().optional().describe("Previous outcome if updating existing feedback"),
+      outboxId: z.string().optional().describe("Outbox item ID when the API was unreachable and the feedback was queued"),
     },
-  }, async ({ entryId, outcome, reason, notes, correctionId, correction }) => {
-    const body: Record<string, unknown> = { outcome };
-    if (reason) body.reason = reason;
-    if (notes) body.notes = notes;
-    if (correctionId) body.correctionId = correctionId;
-    if (correction) body.correction = correction;
-
-    const data = await client.request("POST", `/v1/knowledge/${entryId}/feedback`, body) as any;
+  }, async (args, { signal }) => runTool(async () => {
+    const input = parseFeedbackInput(args);
+    const { data, queued } = await submitFeedback(input.entryId, feedbackBody(input), signal);
+    if (queued) {
+      return {
+        structuredContent: { ok: false, creditsRefunded: 0, outboxId: queued.id },
+        content: [{ type: "text" as const, text: queuedText("feedback", queued) }],
+      };
+    }
     const result = data?.data || data;
     return {
       structuredContent: {
@@ -293,9 +753,135 @@ Use the feedbackActions from your search results — they have pre-built params
         creditsRefunded: result?.creditsRefunded || result?.creditRefund || 0,
         previousOutcome: result?.previousOutcome,
       },
-      content: [{ type: "text" as const, text: formatResults(data) }],
+      content: [{ type: "text" as const, text: renderData(data, formatFor(args.format)) }],
     };
-  });
+  }));
+
+  // ── prior_feedback_batch ────────────────────────────────────────────
+
+  server.registerTool("prior_feedback_batch", {
+    title: "Submit Feedback for Several Results",
+    description: `Rate several search results in one call instead of one prior_feedback call each. Same rules as prior_feedback: "not_useful" needs a reason of 10+ chars (what you tried and why it failed).
+
+Each item is sent independently — one invalid or failed item doesn't stop the others. Returns a result per item and the total credits refunded.
+
+Example: prior_feedback_batch({ items: [{ entryId: "k_1", outcome: "useful" }, { entryId: "k_2", outcome: "irrelevant" }] })`,
+    annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: true },
+    inputSchema: {
+      items: z.array(z.object({
+        entryId: z.string().min(1, "entryId is required"),
+        outcome: z.enum(["useful", "not_useful", "irrelevant"]),
+        reason: feedbackInputShape.reason,
+        notes: z.string().optional(),
+      })).min(1, "items needs at least one feedback item").max(FEEDBACK_BATCH_MAX, `at most ${FEEDBACK_BATCH_MAX} items per batch`)
+        .describe(`1-${FEEDBACK_BATCH_MAX} feedback items, e.g. the feedbackActions from your search results`),
+      format: formatInput,
+    },
+    outputSchema: {
+      results: z.array(z.object({
+        entryId: z.string(),
+        outcome: z.string(),
+        status: z.enum(["sent", "queued", "invalid", "failed", "skipped"]).describe("skipped: the call was cancelled before this item was sent"),
+        creditsRefunded: z.number(),
+        outboxId: z.string().optional(),
+        error: z.object({ code: z.string(), message: z.string() }).optional(),
+      })),
+      totalCreditsRefunded: z.number(),
+      sent: z.number(),
+      failed: z.number().describe("Items that were invalid, rejected or skipped"),
+    },
+  }, async ({ items, format }, { signal }) => runTool(async () => {
+    const seen = new Set<string>();
+    const results = await mapConcurrent(items, FEEDBACK_BATCH_CONCURRENCY, async ({ entryId, outcome, reason, notes }): Promise<FeedbackBatchResult> => {
+      const base = { entryId, outcome, creditsRefunded: 0 };
+      const invalid = (message: string): FeedbackBatchResult => ({ ...base, status: "invalid", error: { code: "validation_error", message } });
+      if (seen.has(entryId)) return invalid(`duplicate entryId ${entryId} in this batch — rate each result once`);
+      seen.add(entryId);
+      const parsed = feedbackInputSchema.safeParse({ entryId, outcome, reason, notes });
+      if (!parsed.success) return invalid(feedbackIssueMessage(parsed.error));
+
+      try {
+        const { data, queued } = await submitFeedback(entryId, feedbackBody(parsed.data), signal);
+        if (queued) return { ...base, status: "queued", outboxId: queued.id };
+        const result = data?.data || data;
+        return { ...base, status: "sent", creditsRefunded: result?.creditsRefunded || result?.creditRefund || 0 };
+      } catch (err) {
+        const e = err instanceof PriorApiError ? err : new PriorApiError(err instanceof Error ? err.message : String(err));
+        return { ...base, status: "failed", error: { code: e.code, message: e.message } };
+      }
+    }, {
+      signal,
+      onSkipped: ({ entryId, outcome }): FeedbackBatchResult => ({ entryId, outcome, creditsRefunded: 0, status: "skipped" }),
+    });
+
+    const totalCreditsRefunded = results.reduce((sum, r) => sum + r.creditsRefunded, 0);
+    const sent = results.filter(r => r.status === "sent" || r.status === "queued").length;
+    const structuredContent = { results, totalCreditsRefunded, sent, failed: results.length - sent };
+    const textFormat = formatFor(format);
+    let text: string;
+    if (textFormat === "json") {
+      text = formatResults(structuredContent);
+    } else if (textFormat === "compact") {
+      text = `${sent}/${results.length} sent, ${totalCreditsRefunded} credit(s) refunded: ` + results.map(r => `${r.entryId} ${r.outcome} ${r.status}` +
+        (r.outboxId ? ` ${r.outboxId}` : "") + (r.error ? ` (${r.error.code})` : "")).join("; ");
+    } else {
+      const lines = results.map(r => `- ${r.entryId} (${r.outcome}): ${r.status}` +
+        (r.status === "sent" ? `, ${r.creditsRefunded} credit(s) refunded` : "") +
+        (r.outboxId ? ` as ${r.outboxId}` : "") +
+        (r.error ? ` — ${r.error.message}` : ""));
+      text = `Feedback sent for ${sent} of ${results.length} result(s); ${totalCreditsRefunded} credit(s) refunded.\n${lines.join("\n")}`;
+    }
+    return {
+      structuredContent,
+      content: [{ type: "text" as const, text }],
+    };
+  }));
+
+  // ── prior_pending_feedback ──────────────────────────────────────────
+
+  server.registerTool("prior_pending_feedback", {
+    title: "List Results Awaiting Feedback",
+    description: `List search results from this session that you haven't rated yet, most recent first, each with ready-made feedbackActions for prior_feedback.
+
+Rating results you tried refunds the search credit. Also available as a resource at prior://session/pending-feedback.`,
+    annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: false },
+    inputSchema: {
+      format: formatInput,
+    },
+    outputSchema: {
+      pending: z.array(z.object({
+        entryId: z.string(),
+        title: z.string(),
+        query: z.string().describe("The search that returned this result"),
+        searchId: z.string().optional(),
+        returnedAt: z.string(),
+        fromCache: z.boolean().optional(),
+        feedbackActions: feedbackActionsSchema,
+      })),
+      searches: z.number().describe("Searches made this session"),
+      rated: z.number().describe("Results that already have feedback"),
+    },
+  }, async ({ format }) => runTool(async () => {
+    const pending = ledger.pending();
+    const { searches, rated } = ledger.stats();
+    const textFormat = formatFor(format);
+    let text: string;
+    if (textFormat === "json") {
+      text = formatResults({ pending, searches, rated });
+    } else if (!pending.length) {
+      text = searches ? "All search results from this session have feedback. Thanks!" : "No searches yet this session.";
+    } else if (textFormat === "compact") {
+      text = `${pending.length} awaiting feedback — prior_feedback(entryId, outcome: useful | not_useful + reason | irrelevant):\n` +
+        pending.map(p => `${p.entryId} "${p.title}"`).join("\n");
+    } else {
+      text = `${pending.length} result(s) awaiting feedback:\n` + pending.map(p =>
+        `- "${p.title}" (${p.entryId}, from "${p.query}") → prior_feedback(entryId: "${p.entryId}", outcome: "useful" | "not_useful" | "irrelevant")`).join("\n");
+    }
+    return {
+      structuredContent: { pending, searches, rated },
+      content: [{ type: "text" as const, text }],
+    };
+  }));
 
   // ── prior_status ────────────────────────────────────────────────────
 
@@ -303,14 +889,18 @@ Use the feedbackActions from your search results — they have pre-built params
     title: "Check Agent Status",
     description: "Check your credits, tier, stats, and contribution count. Also available as a resource at prior://agent/status.",
     annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: false },
+    inputSchema: {
+      format: formatInput,
+    },
     outputSchema: {
       agentId: z.string(),
       credits: z.number().describe("Current credit balance"),
       tier: z.string(),
       contributions: z.number().optional(),
     },
-  }, async () => {
-    const data = await client.request("GET", "/v1/agents/me") as any;
+  }, async ({ format }, { signal }) => runTool(async () => {
+    const data = await client.request("GET", "/v1/agents/me", undefined, undefined, { signal }) as any;
+    replayOutbox();
     const agent = data?.data || data;
     return {
       structuredContent: {
@@ -319,28 +909,232 @@ Use the feedbackActions from your search results — they have pre-built params
         tier: agent?.tier || "free",
         contributions: agent?.contributions,
       },
-      content: [{ type: "text" as const, text: formatResults(data) }],
+      content: [{ type: "text" as const, text: renderData(data, formatFor(format)) }],
     };
-  });
+  }));
+
+  // ── prior_my_contributions ──────────────────────────────────────────
+
+  const isoDate = (field: string) => z.string()
+    .refine(v => !Number.isNaN(Date.parse(v)), `${field} must be an ISO 8601 date, e.g. 2026-01-31`);
+
+  server.registerTool("prior_my_contributions", {
+    title: "List My Contributions",
+    description: `List the knowledge entries you have contributed, newest first, with how often each was returned in searches, credits earned and feedback counts. Use it to find entries to update or retract.
+
+Filter by status, tag or creation date; results are paged — pass nextCursor back as cursor for the next page. Also available as a resource at prior://agent/contributions.`,
+    annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: false },
+    inputSchema: {
+      status: z.enum(CONTRIBUTION_STATUSES).optional().describe("Only entries with this status"),
+      tag: z.string().trim().min(1, "tag cannot be empty").optional().describe("Only entries with this tag"),
+      since: isoDate("since").optional().describe("Only entries created on or after this date (ISO 8601)"),
+      until: isoDate("until").optional().describe("Only entries created before this date (ISO 8601)"),
+      limit: z.number().int().min(1).max(CONTRIBUTIONS_PAGE.max, `limit must be at most ${CONTRIBUTIONS_PAGE.max}`).optional()
+        .describe(`Entries per page (default ${CONTRIBUTIONS_PAGE.default}, max ${CONTRIBUTIONS_PAGE.max})`),
+      cursor: z.string().optional().describe("nextCursor from the previous page"),
+      format: formatInput,
+    },
+    outputSchema: contributionsOutputShape,
+  }, async ({ status, tag, since, until, limit = CONTRIBUTIONS_PAGE.default, cursor, format }, { signal }) => runTool(async () => {
+    if (since && until && Date.parse(since) >= Date.parse(until)) {
+      throw new PriorValidationError("since must be before until");
+    }
+    const page = await listContributions(client, { status, tag, since, until, limit, cursor }, signal);
+    const textFormat = formatFor(format);
+    return {
+      structuredContent: page,
+      content: [{ type: "text" as const, text: textFormat === "json" ? formatResults(page) : formatContributions(page, textFormat) }],
+    };
+  }));
+
+  // ── prior_configure ─────────────────────────────────────────────────
+
+  if (allowConfigure) {
+    server.registerTool("prior_configure", {
+      title: "Configure Prior API Key",
+      description: `Set the Prior API key when tools report not_configured. Ask the user for their key (from https://prior.cg3.io/account) — never guess one.
+
+The key is verified before it is used, then saved to ~/.prior/config.json (pass persist: false to keep it for this session only). Takes effect immediately, no restart needed.`,
+      annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: true, openWorldHint: false },
+      inputSchema: {
+        apiKey: z.string().trim().min(1, "apiKey is required").describe("Prior API key (starts with ask_)"),
+        persist: z.boolean().optional().describe("Save the key to the local config so future sessions use it (default true)"),
+      },
+      outputSchema: {
+        agentId: z.string(),
+        credits: z.number().optional(),
+        saved: z.boolean().describe("Whether the key was written to the local config"),
+        profile: z.string().optional().describe("Config profile the key was saved to"),
+      },
+    }, async ({ apiKey, persist = true }, { signal }) => runTool(async () => {
+      // Verify first so a typo doesn't replace a working key
+      const data = await client.request("GET", "/v1/agents/me", undefined, apiKey, { signal }) as any;
+      const agent = data?.data || data;
+      const agentId = agent?.agentId || agent?.id || "";
+      client.setApiKey(apiKey, agentId || undefined);
+      const saved = persist && client.persistsConfig;
+      if (saved) client.saveConfig({ apiKey, agentId });
+      replayOutbox();
+      return {
+        structuredContent: { agentId, credits: agent?.credits, saved, profile: saved ? client.profile : undefined },
+        content: [{ type: "text" as const, text:
+          `Prior is configured${agentId ? ` for agent ${agentId}` : ""}${agent?.credits !== undefined ? ` (${agent.credits} credits)` : ""}. ` +
+          (saved ? `Key saved to profile "${client.profile}" (${client.credentialStore.description}).` : "Key is set for this session only.") }],
+      };
+    }));
+  }
 
   // ── prior_retract ───────────────────────────────────────────────────
 
+  const graceMinutes = retractions ? Math.round(retractions.graceMs / 6000) / 10 : 0;
+  const entryPreview = z.object({
+    id: z.string(),
+    title: z.string(),
+    status: z.string().nullable().optional(),
+    createdAt: z.string().nullable().optional(),
+    feedback: z.object({ useful: z.number(), notUseful: z.number(), irrelevant: z.number() }).optional(),
+  });
+  const pendingRetraction = z.object({
+    id: z.string(),
+    title: z.string(),
+    requestedAt: z.string(),
+    sendAt: z.string(),
+    status: z.enum(["pending", "sending", "failed"]),
+    lastError: z.string().optional(),
+  });
+
   server.registerTool("prior_retract", {
     title: "Retract Knowledge Entry",
-    description: "Retract (soft delete) a knowledge entry you contributed. Removes it from search results. This cannot be undone.",
+    description: `Retract (soft delete) a knowledge entry you contributed, removing it from search results. This cannot be undone on the server — to fix or extend an entry, use prior_update instead. Find your entry IDs with prior_my_contributions.
+
+Takes two calls: first pass just the id to get a preview and a confirmToken (valid ${RETRACT_CONFIRM_TTL_MS / 60_000} minutes), then call again with the id and confirmToken to retract.` +
+      (retractions ? ` Confirmed retractions wait ${graceMinutes} minute(s) before they are sent; pass cancel: true to stop one, or omit the id to list them.` : ""),
     annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: false, openWorldHint: false },
     inputSchema: {
-      id: z.string().describe("Short ID of the entry to retract (e.g. k_8f3a2b)"),
+      id: z.string().trim().min(1, "id cannot be empty").optional().describe("Short ID of the entry to retract (e.g. k_8f3a2b)" + (retractions ? ". Omit to list queued retractions" : "")),
+      confirmToken: z.string().trim().optional().describe("Token from the preview call; retracts the entry"),
+      ...(retractions ? { cancel: z.boolean().optional().describe("Cancel a queued retraction of this entry") } : {}),
+      format: formatInput,
     },
     outputSchema: {
       ok: z.boolean(),
+      status: z.enum(["confirmation_required", "retracted", "scheduled", "cancelled", "listed"]),
       message: z.string(),
+      entry: entryPreview.optional().describe("The entry that would be retracted"),
+      confirmToken: z.string().optional().describe("Pass back with the same id to retract"),
+      expiresAt: z.string().optional().describe("When confirmToken stops working"),
+      sendAt: z.string().optional().describe("When a queued retraction will be sent"),
+      pending: z.array(pendingRetraction).optional().describe("Retractions waiting out the grace period"),
     },
-  }, async ({ id }) => {
-    const data = await client.request("DELETE", `/v1/knowledge/${id}`) as any;
+  }, async ({ id, confirmToken, cancel, format }: { id?: string; confirmToken?: string; cancel?: boolean; format?: RenderFormat }, { signal }) => runTool(async () => {
+    if (!id) {
+      if (!retractions) throw new PriorValidationError("id is required — find your entry IDs with prior_my_contributions");
+      const pending = retractions.list();
+      const message = `${pending.length} queued retraction(s)`;
+      return {
+        structuredContent: { ok: true, status: "listed" as const, message, pending },
+        content: [{ type: "text" as const, text: pending.length ? `${message}\n\n${renderData({ pending }, formatFor(format))}` : "No retractions are queued." }],
+      };
+    }
+
+    if (cancel && retractions) {
+      const cancelled = retractions.cancel(id);
+      if (!cancelled) throw new PriorNotFoundError(`Not found: no queued retraction for ${id}`);
+      const message = `Cancelled the retraction of ${id} — the entry stays published.`;
+      return {
+        structuredContent: { ok: true, status: "cancelled" as const, message },
+        content: [{ type: "text" as const, text: message }],
+      };
+    }
+
+    if (!confirmToken) {
+      const entry = await fetchEntry(client, id, signal);
+      const { token, expiresAt } = confirmations.issue(id, entry.title);
+      const preview = { id, title: entry.title, status: entry.status, createdAt: entry.createdAt, feedback: entry.feedback };
+      const message = `Retracting ${id} removes it from search results and cannot be undone. ` +
+        `To confirm, call prior_retract again with id: "${id}" and confirmToken: "${token}" before ${expiresAt}.`;
+      return {
+        structuredContent: { ok: true, status: "confirmation_required" as const, message, entry: preview, confirmToken: token, expiresAt },
+        content: [{ type: "text" as const, text: `${message}\n\n${renderData(preview, formatFor(format))}` }],
+      };
+    }
+
+    const { title } = confirmations.redeem(id, confirmToken);
+    const path = `/v1/knowledge/${encodeURIComponent(id)}`;
+    if (retractions) {
+      const queued = retractions.schedule(id, title, () => client.request("DELETE", path));
+      const message = `Retraction of ${id} queued — it will be sent at ${queued.sendAt}. ` +
+        `Call prior_retract with id: "${id}" and cancel: true before then to keep the entry.`;
+      return {
+        structuredContent: { ok: true, status: "scheduled" as const, message, sendAt: queued.sendAt },
+        content: [{ type: "text" as const, text: message }],
+      };
+    }
+
+    const data = await client.request("DELETE", path, undefined, undefined, { signal }) as any;
     return {
-      structuredContent: { ok: data?.ok ?? true, message: data?.message || "Entry retracted" },
-      content: [{ type: "text" as const, text: formatResults(data) }],
+      structuredContent: { ok: data?.ok ?? true, status: "retracted" as const, message: data?.message || "Entry retracted" },
+      content: [{ type: "text" as const, text: renderData(data, formatFor(format)) }],
     };
-  });
+  }));
+
+  // ── prior_outbox ────────────────────────────────────────────────────
+
+  if (outbox) {
+    server.registerTool("prior_outbox", {
+      title: "Manage Offline Outbox",
+      description: `List, retry or discard contributions and feedback that were saved locally because the Prior API was unreachable.
+
+Queued items are replayed automatically once connectivity returns. Items the server rejected are marked failed and need a retry (after fixing the cause) or discard.`,
+      annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: false, openWorldHint: true },
+      inputSchema: {
+        action: z.enum(["list", "retry", "discard"]).optional().describe("list (default), retry (send now), or discard (delete without sending)"),
+        id: z.string().optional().describe("Outbox item ID (e.g. ob_1a2b3c4d). Required for discard; retry without an ID sends all pending items"),
+        format: formatInput,
+      },
+      outputSchema: {
+        items: z.array(z.object({
+          id: z.string(),
+          kind: z.string(),
+          summary: z.string(),
+          status: z.string(),
+          attempts: z.number(),
+          createdAt: z.string(),
+          lastAttemptAt: z.string().optional(),
+          lastError: z.string().optional(),
+        })).describe("Items still in the outbox after this action"),
+        sent: z.array(z.string()).optional().describe("IDs successfully sent by a retry"),
+        discarded: z.string().optional(),
+      },
+    }, async ({ action = "list", id, format }) => runTool(async () => {
+      if (action === "discard") {
+        if (!id) throw new PriorValidationError("discard requires an outbox item id — call prior_outbox with action: \"list\" to see them");
+        if (!outbox.discard(id)) throw new PriorNotFoundError(`Not found: no outbox item ${id}`);
+        const items = outbox.list().map(describeOutboxItem);
+        return {
+          structuredContent: { items, discarded: id },
+          content: [{ type: "text" as const, text: `Discarded ${id}. ${items.length} item(s) remain.` }],
+        };
+      }
+
+      if (action === "retry") {
+        if (id && !outbox.get(id)) throw new PriorNotFoundError(`Not found: no outbox item ${id}`);
+        const result = await outbox.flush(client, id ? [id] : undefined);
+        const items = outbox.list().map(describeOutboxItem);
+        let text = `Sent ${result.sent.length} item(s).`;
+        if (result.failed.length) text += ` ${result.failed.length} rejected by the server: ${result.failed.map(f => `${f.id} (${f.lastError})`).join("; ")}.`;
+        if (result.offline) text += " The Prior API is still unreachable — remaining items will be retried automatically.";
+        return {
+          structuredContent: { items, sent: result.sent.map(s => s.id) },
+          content: [{ type: "text" as const, text: `${text}\n\n${renderData({ items }, formatFor(format))}` }],
+        };
+      }
+
+      const items = outbox.list().map(describeOutboxItem);
+      return {
+        structuredContent: { items },
+        content: [{ type: "text" as const, text: items.length ? renderData({ items }, formatFor(format)) : "Outbox is empty." }],
+      };
+    }));
+  }
 }
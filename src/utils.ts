@@ -3,15 +3,251 @@
  * Extracted for testing without starting the full MCP server
  */
 
-export function detectHost(): string {
-  if (process.env.CURSOR_TRACE_ID || process.env.CURSOR_SESSION) return "cursor";
-  if (process.env.VSCODE_PID || process.env.VSCODE_CWD) return "vscode";
-  if (process.env.WINDSURF_SESSION) return "windsurf";
-  if (process.env.OPENCLAW_SESSION) return "openclaw";
+import { existsSync, readFileSync, statSync } from "fs";
+import { arch as osArch, release } from "os";
+import { basename, join } from "path";
+
+/**
+ * Identify the MCP host from the environment variables it sets. Agents that
+ * run inside an editor (Claude Code, Cline) are checked before the editors.
+ */
+export function detectHost(env: NodeJS.ProcessEnv = process.env): string {
+  if (env.CLAUDECODE) return "claude-code";
+  if (env.CLINE_ACTIVE) return "cline";
+  if (env.CURSOR_TRACE_ID || env.CURSOR_SESSION) return "cursor";
+  if (env.VSCODE_PID || env.VSCODE_CWD) return "vscode";
+  if (env.WINDSURF_SESSION) return "windsurf";
+  if (env.ZED_TERM) return "zed";
+  if (env.TERMINAL_EMULATOR?.startsWith("JetBrains")) return "jetbrains";
+  if (env.OPENCLAW_SESSION) return "openclaw";
   return "unknown";
 }
 
-export function formatResults(data: unknown): string {
+export interface ProjectInfo {
+  language?: string;
+  languageVersion?: string;
+  framework?: string;
+  frameworkVersion?: string;
+  runtime?: string;
+  runtimeVersion?: string;
+}
+
+export interface DetectedEnvironment extends ProjectInfo {
+  host: string;
+  /** linux, macos, windows, … */
+  os: string;
+  osVersion: string;
+  arch: string;
+  shell?: string;
+  nodeVersion: string;
+}
+
+/** Project files larger than this are not read */
+const MAX_PROJECT_FILE_BYTES = 1024 * 1024;
+
+/** Frameworks to look for, most specific first: [dependency name, reported name] */
+const JS_FRAMEWORKS: [string, string][] = [
+  ["next", "next.js"], ["nuxt", "nuxt"], ["@remix-run/react", "remix"], ["@sveltejs/kit", "sveltekit"],
+  ["@angular/core", "angular"], ["@nestjs/core", "nestjs"], ["svelte", "svelte"], ["vue", "vue"],
+  ["react", "react"], ["electron", "electron"], ["express", "express"], ["fastify", "fastify"],
+  ["hono", "hono"], ["koa", "koa"],
+];
+const PYTHON_FRAMEWORKS: [string, string][] = [["django", "django"], ["fastapi", "fastapi"], ["flask", "flask"]];
+const GO_FRAMEWORKS: [string, string][] = [
+  ["github.com/gin-gonic/gin", "gin"], ["github.com/labstack/echo", "echo"], ["github.com/gofiber/fiber", "fiber"],
+];
+const RUST_FRAMEWORKS: [string, string][] = [["actix-web", "actix-web"], ["axum", "axum"], ["rocket", "rocket"], ["tauri", "tauri"]];
+
+const projectCache = new Map<string, ProjectInfo>();
+
+function readProjectFile(cwd: string, name: string): string | undefined {
+  const file = join(cwd, name);
+  try {
+    if (!existsSync(file) || statSync(file).size > MAX_PROJECT_FILE_BYTES) return undefined;
+    return readFileSync(file, "utf-8");
+  } catch {
+    return undefined;
+  }
+}
+
+/** First dotted version number in a spec like "^5.4.2", ">=3.11" or "v1.9.1" */
+function versionOf(spec: unknown): string | undefined {
+  return typeof spec === "string" ? spec.match(/\d+(?:\.\d+)*/)?.[0] : undefined;
+}
+
+function escapeRegExp(s: string): string {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/** First framework from `candidates` matched by `find`, which returns its version ("" when unknown) or undefined */
+function findFramework(candidates: [string, string][], find: (dep: string) => string | undefined): Partial<ProjectInfo> {
+  for (const [dep, name] of candidates) {
+    const version = find(dep);
+    if (version !== undefined) return { framework: name, frameworkVersion: version || undefined };
+  }
+  return {};
+}
+
+function fromPackageJson(cwd: string, text: string): ProjectInfo | undefined {
+  let pkg: any;
+  try {
+    pkg = JSON.parse(text);
+  } catch {
+    return undefined;
+  }
+  const deps: Record<string, unknown> = { ...pkg?.devDependencies, ...pkg?.peerDependencies, ...pkg?.dependencies };
+  const typescript = "typescript" in deps || existsSync(join(cwd, "tsconfig.json"));
+  return {
+    language: typescript ? "typescript" : "javascript",
+    languageVersion: typescript ? versionOf(deps.typescript) : undefined,
+    ...findFramework(JS_FRAMEWORKS, dep => dep in deps ? versionOf(deps[dep]) ?? "" : undefined),
+    runtime: "node",
+    runtimeVersion: process.versions.node,
+  };
+}
+
+/** Python dependency in pyproject.toml (PEP 621 or Poetry) or requirements.txt */
+function pythonDependency(text: string, dep: string): string | undefined {
+  const name = escapeRegExp(dep);
+  const match = text.match(new RegExp(`(?:^\\s*|["'])${name}(?![\\w.-])(?:\\[[^\\]]*\\])?\\s*(?:=\\s*["'{]?[^\\d\\n]*|[=<>~!^]=?\\s*)?(\\d+(?:\\.\\d+)*)?`, "im"));
+  return match ? match[1] ?? "" : undefined;
+}
+
+function fromPython(pyproject: string | undefined, requirements: string | undefined): ProjectInfo {
+  const text = [pyproject, requirements].filter(Boolean).join("\n");
+  return {
+    language: "python",
+    languageVersion: versionOf(pyproject?.match(/^\s*(?:requires-python|python)\s*=\s*["']([^"']+)["']/m)?.[1]),
+    ...findFramework(PYTHON_FRAMEWORKS, dep => pythonDependency(text, dep)),
+  };
+}
+
+function fromGoMod(text: string): ProjectInfo {
+  return {
+    language: "go",
+    languageVersion: text.match(/^go\s+(\d+(?:\.\d+)*)/m)?.[1],
+    ...findFramework(GO_FRAMEWORKS, dep => {
+      const match = text.match(new RegExp(`^\\s*(?:require\\s+)?${escapeRegExp(dep)}(?:/v\\d+)?\\s+v(\\d+(?:\\.\\d+)*)`, "m"));
+      return match?.[1];
+    }),
+  };
+}
+
+function fromCargoToml(text: string): ProjectInfo {
+  return {
+    language: "rust",
+    languageVersion: text.match(/^\s*rust-version\s*=\s*"([^"]+)"/m)?.[1],
+    ...findFramework(RUST_FRAMEWORKS, dep => {
+      const match = text.match(new RegExp(`^\\s*${escapeRegExp(dep)}\\s*=\\s*(?:"[^\\d"]*(\\d+(?:\\.\\d+)*)|\\{[^}\\n]*?version\\s*=\\s*"[^\\d"]*(\\d+(?:\\.\\d+)*))?`, "m"));
+      return match ? match[1] ?? match[2] ?? "" : undefined;
+    }),
+  };
+}
+
+/**
+ * Language and framework of the project in `cwd`, from the first of
+ * package.json, pyproject.toml/requirements.txt, go.mod or Cargo.toml found
+ * there. Only those files are read, and the result is cached per directory.
+ */
+export function detectProject(cwd: string = process.cwd()): ProjectInfo {
+  const cached = projectCache.get(cwd);
+  if (cached) return { ...cached };
+
+  let info: ProjectInfo = {};
+  const packageJson = readProjectFile(cwd, "package.json");
+  const pyproject = readProjectFile(cwd, "pyproject.toml");
+  const requirements = readProjectFile(cwd, "requirements.txt");
+  const goMod = readProjectFile(cwd, "go.mod");
+  const cargoToml = readProjectFile(cwd, "Cargo.toml");
+  if (packageJson) info = fromPackageJson(cwd, packageJson) || {};
+  else if (pyproject || requirements) info = fromPython(pyproject, requirements);
+  else if (goMod) info = fromGoMod(goMod);
+  else if (cargoToml) info = fromCargoToml(cargoToml);
+
+  // Drop fields nothing was found for so they never override anything
+  for (const key of Object.keys(info) as (keyof ProjectInfo)[]) {
+    if (!info[key]) delete info[key];
+  }
+  projectCache.set(cwd, info);
+  return { ...info };
+}
+
+function osName(platform: NodeJS.Platform): string {
+  if (platform === "darwin") return "macos";
+  if (platform === "win32") return "windows";
+  return platform;
+}
+
+/**
+ * Host, platform and project details of the machine the server runs on, for
+ * filling in prior_search context and prior_contribute environment.
+ */
+export function detectEnvironment({ cwd = process.cwd(), env = process.env }: { cwd?: string; env?: NodeJS.ProcessEnv } = {}): DetectedEnvironment {
+  const shell = env.SHELL || (process.platform === "win32" ? env.ComSpec : undefined);
+  return {
+    host: detectHost(env),
+    os: osName(process.platform),
+    osVersion: release(),
+    arch: osArch(),
+    shell: shell ? basename(shell).replace(/\.exe$/i, "").toLowerCase() : undefined,
+    nodeVersion: process.versions.node,
+    ...detectProject(cwd),
+  };
+}
+
+/** Environment detection is on unless PRIOR_DETECT_ENVIRONMENT is 0, false, no or off */
+export function environmentDetectionFromEnv(env: NodeJS.ProcessEnv = process.env): boolean {
+  return !/^(0|false|no|off)$/i.test((env.PRIOR_DETECT_ENVIRONMENT || "").trim());
+}
+
+/** prior_search context fields derived from a detected environment */
+export function searchContextFrom(detected: DetectedEnvironment) {
+  return {
+    runtime: detected.host,
+    os: detected.os,
+    shell: detected.shell,
+    language: detected.language,
+    framework: detected.framework,
+  };
+}
+
+/** prior_contribute environment fields derived from a detected environment */
+export function contributionEnvironmentFrom(detected: DetectedEnvironment) {
+  return {
+    language: detected.language,
+    languageVersion: detected.languageVersion,
+    framework: detected.framework,
+    frameworkVersion: detected.frameworkVersion,
+    runtime: detected.runtime,
+    runtimeVersion: detected.runtimeVersion,
+    os: detected.os,
+  };
+}
+
+/**
+ * Fill the fields `provided` leaves unset (undefined or "") from `detected`.
+ * Returns the merged object and the names of the fields that were filled.
+ */
+export function withDetected<T extends Record<string, unknown>>(provided: T | undefined, detected: Record<string, unknown>): { merged: T; filled: string[] } {
+  const merged: Record<string, unknown> = { ...provided };
+  const filled: string[] = [];
+  for (const [key, value] of Object.entries(detected)) {
+    if (value === undefined || value === "") continue;
+    if (merged[key] === undefined || merged[key] === "") {
+      merged[key] = value;
+      filled.push(key);
+    }
+  }
+  return { merged: merged as T, filled };
+}
+
+/** Options for rendering a prior_search response */
+export interface SearchRenderOptions {
+  /** Served from the local cache — no credit was spent, so don't mention one */
+  fromCache?: boolean;
+}
+
+export function formatResults(data: unknown, { fromCache }: SearchRenderOptions = {}): string {
   const json = JSON.stringify(data, null, 2);
   // Append feedback nudge for search results
   // Backend wraps in {ok, data: {results: [...]}, error} — unwrap first
@@ -25,7 +261,10 @@ export function formatResults(data: unknown): string {
     // Exclude null, undefined, and empty string
     if (topResult && 'id' in topResult && topId !== null && topId !== undefined && topId !== '') {
       const ids = (results as Array<Record<string, unknown>>).map(r => r?.id || '').join(", ");
-      return json + `\n\n---\nYou already paid 1 credit for this search. Get it back — call prior_feedback with ONE of:\n` +
+      const lead = fromCache
+        ? "Tell future agents whether this worked — call prior_feedback with ONE of:"
+        : "You already paid 1 credit for this search. Get it back — call prior_feedback with ONE of:";
+      return json + `\n\n---\n${lead}\n` +
         `  worked: prior_feedback(entryId="${topId}", outcome="useful")\n` +
         `  didn't work: prior_feedback(entryId="${topId}", outcome="not_useful", reason="describe why")\n` +
         `  wrong result: prior_feedback(entryId="${topId}", outcome="irrelevant")\n` +
@@ -34,3 +273,242 @@ export function formatResults(data: unknown): string {
   }
   return json;
 }
+
+// ── Rendering ────────────────────────────────────────────────────────
+
+/**
+ * How tool results are rendered as text: markdown (readable, the default),
+ * compact (one line per result, fewest tokens) or json (the full response,
+ * as formatResults has always produced it).
+ */
+export const RENDER_FORMATS = ["markdown", "compact", "json"] as const;
+export type RenderFormat = typeof RENDER_FORMATS[number];
+
+export const DEFAULT_RENDER_FORMAT: RenderFormat = "markdown";
+
+/** Compact mode cuts content to this many characters */
+const COMPACT_SNIPPET_LENGTH = 200;
+
+export function isRenderFormat(value: unknown): value is RenderFormat {
+  return typeof value === "string" && (RENDER_FORMATS as readonly string[]).includes(value);
+}
+
+/** PRIOR_FORMAT, if it names a known format */
+export function renderFormatFromEnv(env: NodeJS.ProcessEnv = process.env): RenderFormat | undefined {
+  const value = env.PRIOR_FORMAT?.trim().toLowerCase();
+  return isRenderFormat(value) ? value : undefined;
+}
+
+/** The response body inside the backend's {ok, data} envelope */
+function unwrap(data: unknown): any {
+  const d = data as any;
+  return d?.data && typeof d.data === "object" ? d.data : d;
+}
+
+function oneLine(text: string): string {
+  return text.replace(/\s+/g, " ").trim();
+}
+
+function snippet(text: string, max = COMPACT_SNIPPET_LENGTH): string {
+  const flat = oneLine(text);
+  return flat.length > max ? `${flat.slice(0, max - 1)}…` : flat;
+}
+
+function strings(value: unknown): string[] {
+  return Array.isArray(value) ? value.filter((v): v is string => typeof v === "string" && v.trim() !== "") : [];
+}
+
+function score(label: string, value: unknown): string | undefined {
+  return typeof value === "number" ? `${label} ${value.toFixed(2)}` : undefined;
+}
+
+function bullets(items: string[]): string {
+  return items.map(item => `- ${oneLine(item)}`).join("\n");
+}
+
+/** "language python 3.12, framework django 4.2, os linux" */
+function describeEnvironment(env: unknown): string | undefined {
+  if (!env || typeof env !== "object") return undefined;
+  const e = env as Record<string, unknown>;
+  const parts: string[] = [];
+  const used = new Set<string>();
+  for (const key of ["language", "framework", "runtime"]) {
+    if (!e[key]) continue;
+    parts.push(`${key} ${[e[key], e[`${key}Version`]].filter(Boolean).join(" ")}`);
+    used.add(key).add(`${key}Version`);
+  }
+  for (const [key, value] of Object.entries(e)) {
+    if (used.has(key) || value === undefined || value === null || value === "") continue;
+    parts.push(`${key} ${Array.isArray(value) ? value.join(", ") : String(value)}`);
+  }
+  return parts.length ? parts.join(", ") : undefined;
+}
+
+function feedbackHint(id: string): string {
+  return `Feedback → \`prior_feedback(entryId: "${id}", outcome: "useful")\`, or "not_useful" with a reason, or "irrelevant"`;
+}
+
+/** Problem, solution, error messages and failed approaches of an entry or result, as markdown sections */
+function markdownDetails(r: any): string[] {
+  const sections: string[] = [];
+  if (r.problem) sections.push(`**Problem:** ${r.problem}`);
+  if (r.solution) sections.push(`**Solution:** ${r.solution}`);
+  const errors = strings(r.errorMessages);
+  if (errors.length) sections.push(`**Error messages:**\n${errors.map(e => `- \`${oneLine(e)}\``).join("\n")}`);
+  const failed = strings(r.failedApproaches);
+  if (failed.length) sections.push(`**Don't try:**\n${bullets(failed)}`);
+  return sections;
+}
+
+/**
+ * Render a prior_search response. Results with an id get a feedback hint;
+ * the backend's doNotTry, agentHint and contributionPrompt are included.
+ */
+export function renderSearch(data: unknown, format: RenderFormat = DEFAULT_RENDER_FORMAT, options: SearchRenderOptions = {}): string {
+  if (format === "json") return formatResults(data, options);
+  const inner = unwrap(data) || {};
+  const results: any[] = Array.isArray(inner.results) ? inner.results : [];
+  const doNotTry = strings(inner.doNotTry);
+  const ids = results.map(r => r?.id).filter(Boolean);
+  const blocks: string[] = [];
+
+  if (format === "compact") {
+    blocks.push(results.length ? `${results.length} result(s):` : "No results.");
+    results.forEach((r, i) => {
+      const scores = [score("q", r.qualityScore), score("r", r.relevanceScore)].filter(Boolean).join(" ");
+      let line = `${i + 1}. ${r.id || "?"} "${oneLine(r.title || "")}"${scores ? ` ${scores}` : ""} — ${snippet(r.solution || r.content || "")}`;
+      const failed = strings(r.failedApproaches);
+      if (failed.length) line += `\n   don't try: ${failed.map(f => oneLine(f)).join("; ")}`;
+      blocks.push(line);
+    });
+    if (doNotTry.length) blocks.push(`Do not try: ${doNotTry.map(d => oneLine(d)).join("; ")}`);
+    if (inner.agentHint) blocks.push(`Hint: ${oneLine(inner.agentHint)}`);
+    if (inner.contributionPrompt) blocks.push(oneLine(inner.contributionPrompt));
+    if (ids.length) blocks.push(`Feedback: prior_feedback(entryId, outcome: useful | not_useful + reason | irrelevant) — ids ${ids.join(", ")}`);
+    return blocks.join("\n");
+  }
+
+  blocks.push(results.length ? `Found ${results.length} result(s).` : "No results.");
+  results.forEach((r, i) => {
+    const meta = [r.id ? `\`${r.id}\`` : undefined, score("quality", r.qualityScore), score("relevance", r.relevanceScore),
+      strings(r.tags).length ? `tags: ${strings(r.tags).join(", ")}` : undefined].filter(Boolean).join(" · ");
+    const parts = [`### ${i + 1}. ${oneLine(r.title || "Untitled")}`];
+    if (meta) parts.push(meta);
+    const environment = describeEnvironment(r.environment);
+    if (environment) parts.push(`Environment: ${environment}`);
+    if (r.content) parts.push(String(r.content).trim());
+    parts.push(...markdownDetails(r));
+    if (r.id) parts.push(feedbackHint(r.id));
+    blocks.push(parts.join("\n\n"));
+  });
+  if (doNotTry.length) blocks.push(`**Do not try** (failed for others):\n${bullets(doNotTry)}`);
+  if (inner.agentHint) blocks.push(`> ${oneLine(inner.agentHint)}`);
+  if (inner.contributionPrompt) blocks.push(String(inner.contributionPrompt));
+  if (ids.length) {
+    blocks.push(options.fromCache
+      ? "---\nGive feedback on the result you tried so future searches rank it correctly."
+      : "---\nYou paid 1 credit for this search. Get it back by giving feedback on the result you tried.");
+  }
+  return blocks.join("\n\n");
+}
+
+/** Render a full knowledge entry (prior_get_entry, prior://entries/{id}) */
+export function renderEntry(entry: unknown, format: RenderFormat = DEFAULT_RENDER_FORMAT): string {
+  if (format === "json") return formatResults(entry);
+  const e = unwrap(entry) || {};
+  const corrections: any[] = Array.isArray(e.corrections) ? e.corrections : [];
+  const fb = e.feedback;
+
+  if (format === "compact") {
+    const lines = [`${e.id} "${oneLine(e.title || "")}" [${e.status || "active"}]${score(" q", e.qualityScore) ?? ""}`];
+    const environment = describeEnvironment(e.environment);
+    if (environment) lines.push(`env: ${environment}`);
+    const failed = strings(e.failedApproaches);
+    if (failed.length) lines.push(`don't try: ${failed.map(f => oneLine(f)).join("; ")}`);
+    if (corrections.length) lines.push(`corrections: ${corrections.map(c => `${c.id} (${c.status || "pending"})`).join(", ")}`);
+    return `${lines.join("\n")}\n\n${String(e.content || "").trim()}`;
+  }
+
+  const meta = [`\`${e.id}\``, e.status, score("quality", e.qualityScore),
+    strings(e.tags).length ? `tags: ${strings(e.tags).join(", ")}` : undefined,
+    e.createdAt ? `created ${String(e.createdAt).slice(0, 10)}` : undefined].filter(Boolean).join(" · ");
+  const parts = [`# ${oneLine(e.title || "Untitled")}`, meta];
+  const environment = describeEnvironment(e.environment);
+  if (environment) parts.push(`Environment: ${environment}`);
+  if (e.content) parts.push(String(e.content).trim());
+  parts.push(...markdownDetails(e));
+  if (corrections.length) {
+    parts.push(`**Corrections:**\n${corrections.map(c => `- \`${c.id}\` (${c.status || "pending"}): ${snippet(c.content || "")}`).join("\n")}`);
+  }
+  if (fb) parts.push(`Feedback so far: ${fb.useful ?? 0} useful, ${fb.notUseful ?? 0} not useful, ${fb.irrelevant ?? 0} irrelevant`);
+  if (e.id) parts.push(feedbackHint(e.id));
+  return parts.join("\n\n");
+}
+
+function present(value: unknown): boolean {
+  return value !== undefined && value !== null && value !== "" && !(Array.isArray(value) && !value.length);
+}
+
+/** An object on one line, for list items: "id: ob_1 · kind: feedback" */
+function inlineFields(obj: Record<string, unknown>): string {
+  return Object.entries(obj)
+    .filter(([, v]) => present(v))
+    .map(([k, v]) => `${k}: ${typeof v === "object" ? JSON.stringify(v) : v}`)
+    .join(" · ");
+}
+
+function markdownValue(value: unknown, depth: number): string {
+  if (value === null || typeof value !== "object") return String(value);
+  if (Array.isArray(value)) {
+    if (value.every(v => v === null || typeof v !== "object")) return value.join(", ");
+    const indent = "  ".repeat(depth + 1);
+    return "\n" + value.map(v => `${indent}- ${v && typeof v === "object" && !Array.isArray(v) ? inlineFields(v) : JSON.stringify(v)}`).join("\n");
+  }
+  return "\n" + markdownFields(value as Record<string, unknown>, depth + 1);
+}
+
+function markdownFields(obj: Record<string, unknown>, depth = 0): string {
+  return Object.entries(obj)
+    .filter(([, v]) => present(v))
+    .map(([k, v]) => `${"  ".repeat(depth)}- **${k}:**${markdownValue(v, depth).replace(/^(?!\n)/, " ")}`)
+    .join("\n");
+}
+
+/**
+ * Render any other API response: a bullet list of its fields (markdown),
+ * one line of JSON (compact) or the full response (json).
+ */
+export function renderData(data: unknown, format: RenderFormat = DEFAULT_RENDER_FORMAT): string {
+  if (format === "json") return formatResults(data);
+  const inner = unwrap(data);
+  if (inner === null || typeof inner !== "object") return String(inner);
+  if (format === "compact") return JSON.stringify(inner);
+  return markdownFields(inner as Record<string, unknown>) || "(empty)";
+}
+
+/**
+ * Map over items with at most `limit` calls in flight, preserving order.
+ * Stops starting new items once `signal` aborts; items never started are
+ * resolved by `onSkipped` instead.
+ */
+export async function mapConcurrent<T, R>(
+  items: T[],
+  limit: number,
+  fn: (item: T, index: number) => Promise<R>,
+  { signal, onSkipped }: { signal?: AbortSignal; onSkipped?: (item: T, index: number) => R } = {},
+): Promise<R[]> {
+  const results = new Array<R>(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      if (signal?.aborted && onSkipped) {
+        results[i] = onSkipped(items[i], i);
+        continue;
+      }
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker));
+  return results;
+}
@@ -0,0 +1,156 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const { estimateTokens, fitToBudget, describeElision, responseBudgetFromEnv } = require('../dist/budget.js');
+const { startMockApi, testClient, connectClient } = require('./helpers.js');
+
+/** Tokens of the results serialized as JSON — stands in for a rendered response */
+const measure = (results) => estimateTokens(JSON.stringify(results));
+
+function result(id, relevanceScore, contentLength = 2000) {
+  return {
+    id,
+    title: `Result ${id}`,
+    relevanceScore,
+    content: 'word '.repeat(contentLength / 5).trim(),
+    failedApproaches: ['first try', 'second try', 'third try'],
+    errorMessages: ['Error: one', 'Error: two'],
+  };
+}
+
+describe('estimateTokens', () => {
+  test('should count about 4 ASCII characters per token', () => {
+    assert.strictEqual(estimateTokens(''), 0);
+    assert.strictEqual(estimateTokens('abcd'), 1);
+    assert.strictEqual(estimateTokens('abcde'), 2);
+    assert.strictEqual(estimateTokens('x'.repeat(400)), 100);
+  });
+
+  test('should count other characters one token each', () => {
+    assert.strictEqual(estimateTokens('接続が拒否'), 5);
+    assert.strictEqual(estimateTokens('ab—cd'), 2);
+  });
+});
+
+describe('fitToBudget', () => {
+  test('should return the results untouched when they fit', () => {
+    const results = [result('k_1', 0.9, 100)];
+    const fit = fitToBudget(results, 10_000, measure);
+    assert.strictEqual(fit.results, results);
+    assert.strictEqual(fit.elided, undefined);
+  });
+
+  test('should collapse lists before shortening anything', () => {
+    const results = [result('k_1', 0.9, 100)];
+    const fit = fitToBudget(results, measure(results) - 5, measure);
+    assert.deepStrictEqual(fit.results[0].failedApproaches, ['first try']);
+    assert.deepStrictEqual(fit.results[0].errorMessages, ['Error: one']);
+    assert.strictEqual(fit.elided.collapsedItems, 3);
+    assert.deepStrictEqual(fit.elided.trimmed, []);
+    assert.strictEqual(results[0].failedApproaches.length, 3, 'input must not be modified');
+  });
+
+  test('should shorten content step by step until it fits', () => {
+    const results = [result('k_1', 0.9), result('k_2', 0.5)];
+    const fit = fitToBudget(results, 400, measure);
+    assert(measure(fit.results) <= 400);
+    assert.deepStrictEqual(fit.elided.trimmed, ['k_1', 'k_2']);
+    assert.deepStrictEqual(fit.elided.dropped, []);
+    assert(fit.results[0].content.endsWith('…'));
+    assert(fit.results[0].content.length <= 501);
+  });
+
+  test('should cut the least relevant results to ID and title, keeping the best one', () => {
+    const results = [result('k_mid', 0.5), result('k_best', 0.9), result('k_low', 0.1)];
+    const fit = fitToBudget(results, 120, measure);
+    assert.deepStrictEqual(fit.elided.dropped, ['k_low', 'k_mid']);
+    assert.deepStrictEqual(fit.results.map(r => r.id), ['k_mid', 'k_best', 'k_low']);
+    assert.deepStrictEqual(Object.keys(fit.results[2]).sort(), ['id', 'qualityScore', 'relevanceScore', 'title']);
+    assert(fit.results[1].content);
+  });
+
+  test('should rank results without a relevance score by position', () => {
+    const results = [result('k_first', undefined), result('k_second', undefined), result('k_third', undefined)];
+    const fit = fitToBudget(results, 120, measure);
+    assert.deepStrictEqual(fit.elided.dropped, ['k_third', 'k_second']);
+  });
+
+  test('should report when even the stubs do not fit', () => {
+    const fit = fitToBudget([result('k_1', 0.9), result('k_2', 0.1)], 10, measure);
+    assert.strictEqual(fit.elided.overBudget, true);
+    assert.deepStrictEqual(fit.elided.dropped, ['k_2']);
+    assert(describeElision(fit.elided).includes('over the budget of 10'));
+  });
+
+  test('should describe what was elided', () => {
+    assert.strictEqual(
+      describeElision({ budget: 500, estimatedTokens: 480, collapsedItems: 2, trimmed: ['k_1'], dropped: ['k_3'] }),
+      'Trimmed to fit responseBudget (~480 of 500 tokens): shortened k_1; cut k_3 to ID and title (least relevant; fetch in full with prior_get_entry); kept only the first failed approach and error message (2 item(s) removed).',
+    );
+  });
+});
+
+describe('responseBudgetFromEnv', () => {
+  test('should accept whole numbers of at least 100', () => {
+    assert.strictEqual(responseBudgetFromEnv({ PRIOR_RESPONSE_BUDGET: '2000' }), 2000);
+    assert.strictEqual(responseBudgetFromEnv({ PRIOR_RESPONSE_BUDGET: '50' }), undefined);
+    assert.strictEqual(responseBudgetFromEnv({ PRIOR_RESPONSE_BUDGET: 'lots' }), undefined);
+    assert.strictEqual(responseBudgetFromEnv({}), undefined);
+  });
+});
+
+describe('prior_search responseBudget', () => {
+  let api;
+  let mcpClient;
+  let budgetedClient;
+
+  before(async () => {
+    const results = [result('k_1', 0.9, 4000), result('k_2', 0.6, 4000), result('k_3', 0.2, 4000)];
+    api = await startMockApi(() => [200, { ok: true, data: { searchId: 's_1', results } }]);
+    const client = testClient({ apiUrl: api.url });
+    mcpClient = await connectClient({ client, tools: { detectEnvironment: false }, name: 'budget-test' });
+    budgetedClient = await connectClient({ client, tools: { detectEnvironment: false, responseBudget: 600 }, name: 'budget-test' });
+  });
+
+  after(async () => {
+    await mcpClient.close();
+    await budgetedClient.close();
+    await api.close();
+  });
+
+  const responseTokens = (res) => estimateTokens(res.content[0].text) + estimateTokens(JSON.stringify(res.structuredContent.results));
+
+  test('should leave responses alone without a budget', async () => {
+    const res = await mcpClient.callTool({ name: 'prior_search', arguments: { query: 'q' } });
+    assert.strictEqual(res.structuredContent.elided, undefined);
+    assert.strictEqual(res.structuredContent.results[2].content, result('k_3', 0.2, 4000).content);
+  });
+
+  test('should trim to the call budget and keep every ID and feedbackActions', async () => {
+    const res = await mcpClient.callTool({ name: 'prior_search', arguments: { query: 'q', responseBudget: 1500 } });
+    const { results, elided } = res.structuredContent;
+    assert.deepStrictEqual(results.map(r => r.id), ['k_1', 'k_2', 'k_3']);
+    assert(results.every(r => r.feedbackActions.useful.entryId === r.id));
+    assert.strictEqual(elided.budget, 1500);
+    assert(elided.collapsedItems > 0);
+    assert(elided.trimmed.length > 0);
+    assert(responseTokens(res) <= 1500 + 150, 'only the trailing notes may exceed the budget');
+    assert(res.content[0].text.includes('Trimmed to fit responseBudget'));
+  });
+
+  test('should use the server budget when the call sets none', async () => {
+    const res = await budgetedClient.callTool({ name: 'prior_search', arguments: { query: 'q' } });
+    const { results, elided } = res.structuredContent;
+    assert.strictEqual(elided.budget, 600);
+    assert(elided.dropped.includes('k_3'));
+    assert.strictEqual(results[2].id, 'k_3');
+    assert.strictEqual(results[2].content, '');
+    assert(res.content[0].text.includes('prior_feedback(entryId: "k_3"'));
+  });
+
+  test('should reject budgets below the minimum', async () => {
+    const res = await mcpClient.callTool({ name: 'prior_search', arguments: { query: 'q', responseBudget: 10 } });
+    assert.strictEqual(res.isError, true);
+    assert(res.content[0].text.includes('responseBudget must be at least 100'));
+  });
+});
@@ -0,0 +1,208 @@
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const {
+  SearchCache,
+  normalizeQuery,
+  searchCacheKey,
+  createSearchCacheFromEnv,
+} = require('../dist/cache.js');
+const { startMockApi, testClient, connectClient } = require('./helpers.js');
+
+function tmpCachePath() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prior-cache-'));
+  return path.join(dir, 'search.json');
+}
+
+describe('searchCacheKey', () => {
+  test('should normalize whitespace and case in the query', () => {
+    assert.strictEqual(normalizeQuery('  ECONNREFUSED   localhost\n5432 '), 'econnrefused localhost 5432');
+    assert.strictEqual(
+      searchCacheKey({ query: 'ECONNREFUSED  localhost' }),
+      searchCacheKey({ query: 'econnrefused localhost' }),
+    );
+  });
+
+  test('should ignore context key order', () => {
+    assert.strictEqual(
+      searchCacheKey({ query: 'q', context: { runtime: 'node', os: 'linux' } }),
+      searchCacheKey({ query: 'q', context: { os: 'linux', runtime: 'node' } }),
+    );
+  });
+
+  test('should differ when context or limits differ', () => {
+    const base = searchCacheKey({ query: 'q', context: { runtime: 'node' } });
+    assert.notStrictEqual(base, searchCacheKey({ query: 'q', context: { runtime: 'python' } }));
+    assert.notStrictEqual(base, searchCacheKey({ query: 'q', context: { runtime: 'node' }, maxResults: 5 }));
+    assert.notStrictEqual(base, searchCacheKey({ query: 'q', context: { runtime: 'node' }, minQuality: 0.5 }));
+    assert.notStrictEqual(base, searchCacheKey({ query: 'q', context: { runtime: 'node' }, filters: { language: 'go' } }));
+  });
+
+  test('should differ per identity', () => {
+    const key = (identity) => searchCacheKey({ query: 'q', identity });
+    assert.notStrictEqual(key('ask_one'), key('ask_two'));
+    assert.notStrictEqual(key('ask_one'), key(undefined));
+    assert.strictEqual(key('ask_one'), key('ask_one'));
+  });
+});
+
+describe('SearchCache', () => {
+  test('should round-trip entries', () => {
+    const cache = new SearchCache({ path: tmpCachePath() });
+    cache.set('k', { results: [{ id: 'k_1' }] }, 1000);
+    assert.deepStrictEqual(cache.get('k', 1000), { storedAt: 1000, data: { results: [{ id: 'k_1' }] } });
+  });
+
+  test('should expire entries after the TTL', () => {
+    const cache = new SearchCache({ path: tmpCachePath(), ttlMs: 100 });
+    cache.set('k', { ok: true }, 1000);
+    assert(cache.get('k', 1100));
+    assert.strictEqual(cache.get('k', 1101), undefined);
+  });
+
+  test('should evict the oldest entries beyond maxEntries', () => {
+    const cache = new SearchCache({ path: tmpCachePath(), maxEntries: 2 });
+    cache.set('a', 1, 1000);
+    cache.set('b', 2, 1001);
+    cache.set('c', 3, 1002);
+    assert.strictEqual(cache.get('a', 1002), undefined);
+    assert(cache.get('b', 1002));
+    assert(cache.get('c', 1002));
+  });
+
+  test('should write the cache file with owner-only permissions', { skip: process.platform === 'win32' }, () => {
+    const file = tmpCachePath();
+    new SearchCache({ path: file }).set('k', 1);
+    assert.strictEqual(fs.statSync(file).mode & 0o777, 0o600);
+  });
+
+  test('should treat a corrupt cache file as empty', () => {
+    const file = tmpCachePath();
+    fs.writeFileSync(file, 'not json');
+    const cache = new SearchCache({ path: file });
+    assert.strictEqual(cache.get('k'), undefined);
+    cache.set('k', 1);
+    assert(cache.get('k'));
+  });
+
+  test('clear should remove the cache file', () => {
+    const file = tmpCachePath();
+    const cache = new SearchCache({ path: file });
+    cache.set('k', 1);
+    cache.clear();
+    assert.strictEqual(fs.existsSync(file), false);
+    cache.clear();
+  });
+});
+
+describe('createSearchCacheFromEnv', () => {
+  test('should be disabled by default', () => {
+    assert.strictEqual(createSearchCacheFromEnv({}), undefined);
+    assert.strictEqual(createSearchCacheFromEnv({ PRIOR_CACHE: '0' }), undefined);
+  });
+
+  test('should read TTL and size limits', () => {
+    const cache = createSearchCacheFromEnv({ PRIOR_CACHE: '1', PRIOR_CACHE_TTL_SECONDS: '60', PRIOR_CACHE_MAX_ENTRIES: '5' });
+    assert(cache instanceof SearchCache);
+    assert.strictEqual(cache.ttlMs, 60000);
+    assert.strictEqual(cache.maxEntries, 5);
+  });
+
+  test('should fall back to defaults for invalid values', () => {
+    const cache = createSearchCacheFromEnv({ PRIOR_CACHE: 'true', PRIOR_CACHE_TTL_SECONDS: 'abc' });
+    assert.strictEqual(cache.ttlMs, 60 * 60 * 1000);
+  });
+});
+
+describe('prior_search with cache', () => {
+  let api;
+  let cachePath;
+  let mcpClient;
+
+  before(async () => {
+    api = await startMockApi(() => [200, {
+      ok: true,
+      data: {
+        searchId: 's_1',
+        results: [{ id: 'k_1', title: 'Fix', content: 'Do the thing' }],
+        nudge: { kind: 'feedback', message: 'Rate your last result' },
+      },
+    }]);
+    cachePath = tmpCachePath();
+    mcpClient = await connect('ask_test');
+  });
+
+  const connect = (apiKey) => connectClient({
+    client: testClient({ apiUrl: api.url, apiKey }),
+    tools: { cache: new SearchCache({ path: cachePath }) },
+    name: 'cache-test',
+  });
+
+  after(async () => {
+    await mcpClient.close();
+    await api.close();
+  });
+
+  beforeEach(() => {
+    api.reset();
+  });
+
+  const search = (args) => mcpClient.callTool({ name: 'prior_search', arguments: { context: { runtime: 'node' }, ...args } });
+
+  test('should serve a repeated identical search from cache', async () => {
+    const first = await search({ query: 'Repeated Query' });
+    assert.strictEqual(first.structuredContent.fromCache, false);
+    assert.strictEqual(first.structuredContent.creditsUsed, 1);
+
+    const second = await search({ query: '  repeated   query ' });
+    assert.strictEqual(api.calls.length, 1, 'second search should not hit the API');
+    assert.strictEqual(second.structuredContent.fromCache, true);
+    assert.strictEqual(second.structuredContent.creditsUsed, 0);
+    assert(second.structuredContent.cachedAt);
+    assert.strictEqual(second.structuredContent.results[0].id, 'k_1');
+    assert.strictEqual(second.structuredContent.nudge, undefined, 'stale nudges should not be replayed');
+    assert(second.content[0].text.includes('no credit spent'));
+    assert(first.content[0].text.includes('You paid 1 credit'));
+    assert(!second.content[0].text.includes('paid 1 credit'), 'a cache hit should not claim a credit was spent');
+  });
+
+  test('clients with different API keys should not share cached results', async () => {
+    await search({ query: 'tenant query' });
+    const other = await connect('ask_other');
+    const result = await other.callTool({ name: 'prior_search', arguments: { query: 'tenant query', context: { runtime: 'node' } } });
+    await other.close();
+    assert.strictEqual(api.calls.length, 2, 'the second key should query the API');
+    assert.strictEqual(result.structuredContent.fromCache, false);
+    assert.strictEqual((await search({ query: 'tenant query' })).structuredContent.fromCache, true);
+  });
+
+  test('a cache hit in json format should not claim a credit was spent', async () => {
+    await search({ query: 'json query', format: 'json' });
+    const hit = await search({ query: 'json query', format: 'json' });
+    assert.strictEqual(hit.structuredContent.fromCache, true);
+    assert(!hit.content[0].text.includes('paid 1 credit'));
+    assert(hit.content[0].text.includes('prior_feedback(entryId="k_1", outcome="useful")'));
+  });
+
+  test('cache: "bypass" should always call the API', async () => {
+    await search({ query: 'bypass query' });
+    const result = await search({ query: 'bypass query', cache: 'bypass' });
+    assert.strictEqual(api.calls.length, 2);
+    assert.strictEqual(result.structuredContent.fromCache, false);
+  });
+
+  test('cache: "only" should never call the API', async () => {
+    const miss = await search({ query: 'never searched before', cache: 'only' });
+    assert.strictEqual(api.calls.length, 0);
+    assert.strictEqual(miss.structuredContent.results.length, 0);
+    assert.strictEqual(miss.structuredContent.creditsUsed, 0);
+
+    await search({ query: 'only query' });
+    const hit = await search({ query: 'only query', cache: 'only' });
+    assert.strictEqual(api.calls.length, 1);
+    assert.strictEqual(hit.structuredContent.fromCache, true);
+  });
+});
@@ -0,0 +1,284 @@
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { spawnSync } = require('node:child_process');
+
+const { runCli, parseContributionFile, isCliCommand, findCliCommand } = require('../dist/cli.js');
+const { startMockApi } = require('./helpers.js');
+
+describe('parseContributionFile', () => {
+  test('should read front matter, title heading fallback and sections', () => {
+    const md = [
+      '---',
+      'tags: [docker, postgres]',
+      'ttl: 90d',
+      '---',
+      '# ECONNREFUSED to postgres from docker compose',
+      '',
+      'The app container could not reach the database on localhost.',
+      '',
+      '## Problem',
+      'Connection refused on startup',
+      '',
+      '## Solution',
+      'Use the service name as the host',
+      '',
+      '## Failed Approaches',
+      '- Exposing port 5432',
+      '- Restarting docker',
+    ].join('\n');
+    const input = parseContributionFile(md, 'entry.md');
+    assert.strictEqual(input.title, 'ECONNREFUSED to postgres from docker compose');
+    assert.deepStrictEqual(input.tags, ['docker', 'postgres']);
+    assert.strictEqual(input.ttl, '90d');
+    assert(input.content.startsWith('The app container'));
+    assert(!input.content.includes('# ECONNREFUSED'));
+    assert.strictEqual(input.problem, 'Connection refused on startup');
+    assert.strictEqual(input.solution, 'Use the service name as the host');
+    assert.deepStrictEqual(input.failedApproaches, ['Exposing port 5432', 'Restarting docker']);
+  });
+
+  test('should prefer a front matter title and parse JSON files as-is', () => {
+    assert.strictEqual(parseContributionFile('---\ntitle: "Quoted title"\ntags: a, b\n---\n# Heading\nbody').title, 'Quoted title');
+    assert.deepStrictEqual(parseContributionFile('{"title":"t","content":"c","tags":["x"]}', 'e.json'), { title: 't', content: 'c', tags: ['x'] });
+  });
+
+  test('isCliCommand should only match subcommands', () => {
+    assert.strictEqual(isCliCommand('search'), true);
+    assert.strictEqual(isCliCommand('--http'), false);
+    assert.strictEqual(isCliCommand(undefined), false);
+  });
+
+  test('findCliCommand should skip global options', () => {
+    assert.strictEqual(findCliCommand(['--profile', 'team', 'search', 'x']), 'search');
+    assert.strictEqual(findCliCommand(['--profile=team', '--json', 'status']), 'status');
+    assert.strictEqual(findCliCommand(['--help']), 'help');
+    assert.strictEqual(findCliCommand(['-h']), 'help');
+    assert.strictEqual(findCliCommand(['--profile', 'search']), undefined, 'a profile named search is not a command');
+    assert.strictEqual(findCliCommand(['--http', '--port', '3000']), undefined);
+    assert.strictEqual(findCliCommand([]), undefined);
+  });
+});
+
+describe('prior-mcp entry point', () => {
+  /** Run dist/index.js with an empty home; a timeout means it started the stdio server instead */
+  function runBin(args) {
+    const home = fs.mkdtempSync(path.join(os.tmpdir(), 'prior-bin-'));
+    const env = { ...process.env, HOME: home, USERPROFILE: home };
+    for (const name of Object.keys(env)) {
+      if (name.startsWith('PRIOR_') || name === 'MCP_TEST_MODE') delete env[name];
+    }
+    const result = spawnSync(process.execPath, [path.join(__dirname, '..', 'dist', 'index.js'), ...args], { env, input: '', encoding: 'utf-8', timeout: 10_000 });
+    fs.rmSync(home, { recursive: true, force: true });
+    assert.strictEqual(result.error, undefined, `prior-mcp ${args.join(' ')} did not exit`);
+    return result;
+  }
+
+  test('--help should print usage', () => {
+    const result = runBin(['--help']);
+    assert.strictEqual(result.status, 0);
+    assert(result.stdout.startsWith('Usage: prior-mcp <command>'));
+  });
+
+  test('a subcommand after --port should run the CLI', () => {
+    const result = runBin(['--port', '3000', 'status']);
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stderr, /Error \(not_configured\)/);
+  });
+
+  test('a subcommand after --profile should run the CLI', () => {
+    const result = runBin(['--profile', 'team', 'search', 'x']);
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stderr, /Error \(not_configured\): .*team/);
+  });
+});
+
+describe('runCli', () => {
+  let api;
+  let apiUrl;
+  let requests;
+  let rejectKey;
+  let dir;
+  let configPath;
+  const savedEnv = {};
+
+  before(async () => {
+    for (const name of ['PRIOR_API_KEY', 'PRIOR_PROFILE', 'PRIOR_API_URL', 'PRIOR_CACHE']) {
+      savedEnv[name] = process.env[name];
+      delete process.env[name];
+    }
+    api = await startMockApi((req) => {
+      if (req.headers.authorization === `Bearer ${rejectKey}`) return [401, { ok: false, error: 'Invalid API key' }];
+      if (req.url === '/v1/agents/me') return [200, { ok: true, data: { id: 'ag_cli', credits: 42, tier: 'free' } }];
+      if (req.url === '/v1/knowledge/search') {
+        return [200, { ok: true, data: { results: [{ id: 'k_1', title: 'Fix A', content: 'Do B' }] } }];
+      }
+      return [200, { ok: true, data: { id: 'k_new', status: 'active' } }];
+    });
+    apiUrl = api.url;
+    requests = api.calls;
+  });
+
+  after(async () => {
+    await api.close();
+    for (const [name, value] of Object.entries(savedEnv)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+
+  beforeEach(() => {
+    api.reset();
+    rejectKey = 'ask_rejected';
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prior-cli-'));
+    configPath = path.join(dir, 'config.json');
+  });
+
+  async function run(args, prompt) {
+    const stdout = [];
+    const stderr = [];
+    const code = await runCli(args, {
+      clientOptions: { apiUrl, configPath, maxRetries: 0 },
+      stdout: (t) => stdout.push(t),
+      stderr: (t) => stderr.push(t),
+      prompt,
+    });
+    return { code, stdout: stdout.join('\n'), stderr: stderr.join('\n') };
+  }
+
+  function saveKey(apiKey) {
+    fs.writeFileSync(configPath, JSON.stringify({ profiles: { default: { apiKey } } }), { mode: 0o600 });
+  }
+
+  test('help should print usage', async () => {
+    const { code, stdout } = await run(['help']);
+    assert.strictEqual(code, 0);
+    assert(stdout.includes('prior-mcp <command>'));
+  });
+
+  test('login should verify the key and save it to the profile', async () => {
+    const { code, stdout } = await run(['login', '--key', 'ask_good', '--profile', 'team']);
+    assert.strictEqual(code, 0);
+    assert(stdout.includes('ag_cli'));
+    assert.strictEqual(requests[0].headers.authorization, 'Bearer ask_good');
+    const saved = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+    assert.deepStrictEqual(saved.profiles.team, { apiKey: 'ask_good', agentId: 'ag_cli' });
+  });
+
+  test('login should prompt for a key and not save a rejected one', async () => {
+    const { code, stderr } = await run(['login'], async () => 'ask_rejected');
+    assert.strictEqual(code, 1);
+    assert(stderr.includes('auth_error'));
+    assert(!fs.existsSync(configPath));
+  });
+
+  test('search should print the same text as prior_search', async () => {
+    saveKey('ask_saved');
+    const { code, stdout } = await run(['search', 'docker', 'refused', '--max-results', '2']);
+    assert.strictEqual(code, 0);
+    assert.deepStrictEqual(requests[0].body.query, 'docker refused');
+    assert.strictEqual(requests[0].body.maxResults, 2);
+    assert(stdout.includes('`k_1`'));
+    assert(stdout.includes('prior_feedback(entryId: "k_1"'));
+  });
+
+  test('search --format json should print the full response', async () => {
+    saveKey('ask_saved');
+    const { code, stdout } = await run(['search', 'docker', '--format', 'json']);
+    assert.strictEqual(code, 0);
+    assert(stdout.includes('"k_1"'));
+    assert(stdout.includes('prior_feedback(entryId="k_1"'));
+  });
+
+  test('should reject an unknown --format', async () => {
+    const { code, stderr } = await run(['search', 'docker', '--format', 'yaml']);
+    assert.strictEqual(code, 2);
+    assert(stderr.includes('--format must be one of markdown, compact, json'));
+  });
+
+  test('status --json should print structured output', async () => {
+    saveKey('ask_saved');
+    const { code, stdout } = await run(['status', '--json']);
+    assert.strictEqual(code, 0);
+    assert.deepStrictEqual(JSON.parse(stdout), { agentId: 'ag_cli', credits: 42, tier: 'free' });
+  });
+
+  test('contribute --file should submit through prior_contribute', async () => {
+    saveKey('ask_saved');
+    const file = path.join(dir, 'entry.md');
+    fs.writeFileSync(file, `---\ntitle: Build fails on CI\ntags: ci\n---\n${'Explains the failure and the fix. '.repeat(5)}`);
+    const { code, stdout } = await run(['contribute', '--file', file]);
+    assert.strictEqual(code, 0);
+    assert(stdout.includes('k_new'));
+    assert.strictEqual(requests[0].url, '/v1/knowledge/contribute');
+    assert.deepStrictEqual(requests[0].body.tags, ['ci']);
+  });
+
+  test('contribute should report validation errors without sending', async () => {
+    saveKey('ask_saved');
+    const file = path.join(dir, 'entry.md');
+    fs.writeFileSync(file, '# Too short\nbody');
+    const { code, stderr } = await run(['contribute', '--file', file]);
+    assert.strictEqual(code, 1);
+    assert(stderr.includes('content'));
+    assert.strictEqual(requests.length, 0);
+  });
+
+  test('doctor should pass with a working key', async () => {
+    saveKey('ask_saved');
+    const { code, stdout } = await run(['doctor']);
+    assert.strictEqual(code, 0, stdout);
+    assert(stdout.includes('✓ Key accepted — agent ag_cli, 42 credits'));
+    assert(stdout.includes('from profile "default"'));
+  });
+
+  test('doctor should flag a world-readable config file', { skip: process.platform === 'win32' }, async () => {
+    saveKey('ask_saved');
+    fs.chmodSync(configPath, 0o644);
+    const original = console.error;
+    console.error = () => {};
+    try {
+      const { code, stdout } = await run(['doctor']);
+      assert.strictEqual(code, 1);
+      assert(stdout.includes('✗ ' + configPath + ' is readable by other users'));
+    } finally {
+      console.error = original;
+    }
+  });
+
+  test('doctor should flag a missing key, a rejected key and an unreachable API', async () => {
+    let result = await run(['doctor']);
+    assert.strictEqual(result.code, 1);
+    assert(result.stdout.includes('✗ No Prior API key configured'));
+
+    saveKey('ask_rejected');
+    result = await run(['doctor']);
+    assert.strictEqual(result.code, 1);
+    assert(result.stdout.includes('✓ Prior API reachable'));
+    assert(result.stdout.includes('✗ Authentication failed'));
+
+    saveKey('ask_saved');
+    const stdout = [];
+    const code = await runCli(['doctor'], {
+      clientOptions: { apiUrl: 'http://127.0.0.1:1', configPath, maxRetries: 0 },
+      stdout: (t) => stdout.push(t),
+    });
+    assert.strictEqual(code, 1);
+    assert(stdout.join('\n').includes('✗ Could not reach the Prior API'));
+  });
+
+  test('a subcommand should run after the server options', async () => {
+    saveKey('ask_saved');
+    const { code, stdout, stderr } = await run(['--port', '3000', '--host', '0.0.0.0', 'status', '--json']);
+    assert.strictEqual(code, 0, stderr);
+    assert.strictEqual(JSON.parse(stdout).agentId, 'ag_cli');
+  });
+
+  test('unknown options should exit with usage', async () => {
+    const { code, stderr } = await run(['search', '--bogus']);
+    assert.strictEqual(code, 2);
+    assert(stderr.includes('Usage'));
+  });
+});
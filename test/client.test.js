@@ -0,0 +1,550 @@
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const {
+  PriorApiClient,
+  parseRetryAfter,
+  migrateConfig,
+  FileCredentialStore,
+  EncryptedFileCredentialStore,
+  createCredentialStoreFromEnv,
+  runApiKeyCommand,
+} = require('../dist/client.js');
+const { startMockApi } = require('./helpers.js');
+
+describe('parseRetryAfter', () => {
+  test('should parse delta-seconds', () => {
+    assert.strictEqual(parseRetryAfter('2'), 2000);
+    assert.strictEqual(parseRetryAfter('0.5'), 500);
+  });
+
+  test('should parse HTTP dates relative to now', () => {
+    const now = Date.parse('Wed, 21 Oct 2026 07:28:00 GMT');
+    assert.strictEqual(parseRetryAfter('Wed, 21 Oct 2026 07:28:03 GMT', now), 3000);
+  });
+
+  test('should clamp past dates to zero', () => {
+    const now = Date.parse('Wed, 21 Oct 2026 07:28:00 GMT');
+    assert.strictEqual(parseRetryAfter('Wed, 21 Oct 2026 07:27:00 GMT', now), 0);
+  });
+
+  test('should return undefined for missing or invalid values', () => {
+    assert.strictEqual(parseRetryAfter(null), undefined);
+    assert.strictEqual(parseRetryAfter(''), undefined);
+    assert.strictEqual(parseRetryAfter('soon'), undefined);
+  });
+});
+
+describe('PriorApiClient retries', () => {
+  let api;
+  let apiUrl;
+  // Queue of [status, body, headers] responses; the last one repeats
+  let responses;
+  let calls;
+
+  before(async () => {
+    api = await startMockApi((req, body, res) => {
+      const [status, json, headers] = responses.length > 1 ? responses.shift() : responses[0];
+      for (const [name, value] of Object.entries(headers || {})) res.setHeader(name, value);
+      return [status, json];
+    });
+    apiUrl = api.url;
+    calls = api.calls;
+  });
+
+  after(() => api.close());
+
+  beforeEach(() => {
+    api.reset();
+    responses = [[200, { ok: true }]];
+  });
+
+  function makeClient(opts = {}) {
+    return new PriorApiClient({
+      apiUrl,
+      apiKey: 'ask_test',
+      persistConfig: false,
+      maxRetries: 2,
+      retryBaseDelayMs: 1,
+      retryJitter: 0,
+      ...opts,
+    });
+  }
+
+  test('should retry GET on 502 and return the eventual success', async () => {
+    responses = [[502, { ok: false }], [200, { ok: true, data: { credits: 5 } }]];
+    const data = await makeClient().request('GET', '/v1/agents/me');
+    assert.deepStrictEqual(data, { ok: true, data: { credits: 5 } });
+    assert.strictEqual(calls.length, 2);
+  });
+
+  test('should give up after maxRetries and throw the last error', async () => {
+    responses = [[503, { ok: false, error: 'down' }]];
+    await assert.rejects(makeClient().request('GET', '/v1/agents/me'), { name: 'PriorApiError', code: 'server_error', status: 503 });
+    assert.strictEqual(calls.length, 3);
+  });
+
+  test('should not retry non-idempotent POST on 5xx', async () => {
+    responses = [[500, { ok: false }]];
+    await assert.rejects(makeClient().request('POST', '/v1/knowledge/contribute', { title: 't' }), { code: 'server_error', status: 500 });
+    assert.strictEqual(calls.length, 1);
+  });
+
+  test('should retry POST on 5xx when marked idempotent', async () => {
+    responses = [[500, { ok: false }], [200, { ok: true }]];
+    await makeClient().request('POST', '/v1/knowledge/search', { query: 'q' }, undefined, { idempotent: true });
+    assert.strictEqual(calls.length, 2);
+  });
+
+  test('should always retry 429, even for POST', async () => {
+    responses = [[429, { ok: false }, { 'Retry-After': '0' }], [200, { ok: true }]];
+    await makeClient().request('POST', '/v1/knowledge/contribute', { title: 't' });
+    assert.strictEqual(calls.length, 2);
+  });
+
+  test('should honor Retry-After capped by retryMaxDelayMs', async () => {
+    responses = [[429, { ok: false }, { 'Retry-After': '60' }], [200, { ok: true }]];
+    const start = Date.now();
+    await makeClient({ retryMaxDelayMs: 50 }).request('GET', '/v1/agents/me');
+    const elapsed = Date.now() - start;
+    assert(elapsed >= 40, `should wait for Retry-After (waited ${elapsed}ms)`);
+    assert(elapsed < 5000, `should cap Retry-After (waited ${elapsed}ms)`);
+  });
+
+  test('should not retry 4xx other than 429', async () => {
+    responses = [[404, { ok: false, error: 'not found' }]];
+    await assert.rejects(makeClient().request('GET', '/v1/knowledge/k_missing'), { name: 'PriorNotFoundError', code: 'not_found' });
+    assert.strictEqual(calls.length, 1);
+  });
+
+  test('should not retry when maxRetries is 0', async () => {
+    responses = [[502, { ok: false }]];
+    await assert.rejects(makeClient({ maxRetries: 0 }).request('GET', '/v1/agents/me'), { code: 'server_error', status: 502 });
+    assert.strictEqual(calls.length, 1);
+  });
+
+  test('should retry idempotent calls on network failure', async () => {
+    const client = new PriorApiClient({
+      apiUrl: 'http://127.0.0.1:1',
+      apiKey: 'ask_test',
+      persistConfig: false,
+      maxRetries: 1,
+      retryBaseDelayMs: 1,
+    });
+    await assert.rejects(client.request('GET', '/v1/agents/me'), { name: 'PriorNetworkError', code: 'network_error' });
+  });
+
+  test('should read retry settings from env vars', async () => {
+    process.env.PRIOR_MAX_RETRIES = '0';
+    try {
+      responses = [[502, { ok: false }]];
+      const client = new PriorApiClient({ apiUrl, apiKey: 'ask_test', persistConfig: false });
+      await assert.rejects(client.request('GET', '/v1/agents/me'), { code: 'server_error', status: 502 });
+      assert.strictEqual(calls.length, 1);
+    } finally {
+      delete process.env.PRIOR_MAX_RETRIES;
+    }
+  });
+});
+
+describe('PriorApiClient timeouts and cancellation', () => {
+  let api;
+  let apiUrl;
+  let calls;
+
+  before(async () => {
+    // Never responds, simulating a hung API
+    api = await startMockApi(() => undefined);
+    apiUrl = api.url;
+    calls = api.calls;
+  });
+
+  after(() => api.close());
+
+  beforeEach(() => {
+    api.reset();
+  });
+
+  function makeClient(opts = {}) {
+    return new PriorApiClient({ apiUrl, apiKey: 'ask_test', persistConfig: false, maxRetries: 0, ...opts });
+  }
+
+  test('should time out a hung request', async () => {
+    await assert.rejects(makeClient({ timeoutMs: 50 }).request('GET', '/v1/agents/me'), { code: 'timeout', message: /timed out after 50ms/ });
+  });
+
+  test('should allow per-call timeout overrides', async () => {
+    const client = makeClient({ timeoutMs: 60000 });
+    await assert.rejects(client.request('GET', '/v1/agents/me', undefined, undefined, { timeoutMs: 50 }), /timed out/);
+  });
+
+  test('should retry idempotent requests after a timeout', async () => {
+    const client = makeClient({ timeoutMs: 30, maxRetries: 1, retryBaseDelayMs: 1 });
+    await assert.rejects(client.request('GET', '/v1/agents/me'), /timed out/);
+    assert.strictEqual(calls.length, 2);
+  });
+
+  test('should abort an in-flight request when the signal fires', async () => {
+    const controller = new AbortController();
+    const pending = makeClient({ timeoutMs: 0 }).request('GET', '/v1/agents/me', undefined, undefined, { signal: controller.signal });
+    setTimeout(() => controller.abort(new Error('cancelled by client')), 20);
+    await assert.rejects(pending, /cancelled by client/);
+  });
+
+  test('should not start a request when the signal is already aborted', async () => {
+    const controller = new AbortController();
+    controller.abort(new Error('already cancelled'));
+    await assert.rejects(
+      makeClient().request('GET', '/v1/agents/me', undefined, undefined, { signal: controller.signal }),
+      /already cancelled/,
+    );
+    assert.strictEqual(calls.length, 0);
+  });
+
+  test('should stop retrying when aborted during backoff', async () => {
+    const controller = new AbortController();
+    const client = makeClient({ timeoutMs: 10, maxRetries: 5, retryBaseDelayMs: 10000, retryJitter: 0 });
+    const pending = client.request('GET', '/v1/agents/me', undefined, undefined, { signal: controller.signal });
+    setTimeout(() => controller.abort(new Error('cancelled during backoff')), 100);
+    await assert.rejects(pending, /cancelled during backoff/);
+    assert.strictEqual(calls.length, 1);
+  });
+});
+
+describe('config profiles', () => {
+  let dir;
+  let configPath;
+  const savedEnv = {};
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prior-config-'));
+    configPath = path.join(dir, 'config.json');
+    for (const name of ['PRIOR_API_KEY', 'PRIOR_PROFILE', 'PRIOR_API_URL']) {
+      savedEnv[name] = process.env[name];
+      delete process.env[name];
+    }
+  });
+
+  after(() => {
+    for (const [name, value] of Object.entries(savedEnv)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+
+  function writeConfig(config) {
+    fs.writeFileSync(configPath, JSON.stringify(config), { mode: 0o600 });
+  }
+
+  const profiles = {
+    defaultProfile: 'personal',
+    profiles: {
+      personal: { apiKey: 'ask_personal', agentId: 'ag_me' },
+      team: { apiKey: 'ask_team', agentId: 'ag_team', apiUrl: 'http://team.example.com', defaults: { maxResults: 5 } },
+    },
+  };
+
+  test('migrateConfig should convert the legacy flat format', () => {
+    assert.deepStrictEqual(migrateConfig({ apiKey: 'ask_old', agentId: 'ag_old' }), {
+      defaultProfile: 'default',
+      profiles: { default: { apiKey: 'ask_old', agentId: 'ag_old' } },
+    });
+    assert.deepStrictEqual(migrateConfig({}), { profiles: {} });
+    assert.deepStrictEqual(migrateConfig(profiles), profiles);
+  });
+
+  test('should load the legacy flat format', () => {
+    writeConfig({ apiKey: 'ask_old', agentId: 'ag_old' });
+    const client = new PriorApiClient({ configPath });
+    assert.strictEqual(client.apiKey, 'ask_old');
+    assert.strictEqual(client.agentId, 'ag_old');
+    assert.strictEqual(client.profile, 'default');
+    assert.deepStrictEqual(client.loadConfig(), { apiKey: 'ask_old', agentId: 'ag_old' });
+  });
+
+  test('should use the defaultProfile when none is requested', () => {
+    writeConfig(profiles);
+    const client = new PriorApiClient({ configPath });
+    assert.strictEqual(client.profile, 'personal');
+    assert.strictEqual(client.apiKey, 'ask_personal');
+  });
+
+  test('should select a profile by option or PRIOR_PROFILE', () => {
+    writeConfig(profiles);
+    const byOption = new PriorApiClient({ configPath, profile: 'team' });
+    assert.strictEqual(byOption.apiKey, 'ask_team');
+    assert.strictEqual(byOption.agentId, 'ag_team');
+    assert.deepStrictEqual(byOption.defaults, { maxResults: 5 });
+
+    process.env.PRIOR_PROFILE = 'team';
+    assert.strictEqual(new PriorApiClient({ configPath }).profile, 'team');
+  });
+
+  test('an explicit profile should win over PRIOR_API_KEY', () => {
+    writeConfig(profiles);
+    process.env.PRIOR_API_KEY = 'ask_env';
+    assert.strictEqual(new PriorApiClient({ configPath }).apiKey, 'ask_env');
+    assert.strictEqual(new PriorApiClient({ configPath, profile: 'team' }).apiKey, 'ask_team');
+  });
+
+  test('should use the profile apiUrl', async () => {
+    const api = await startMockApi(() => [200, { ok: true }]);
+    try {
+      writeConfig({ profiles: { team: { apiKey: 'ask_team', apiUrl: api.url } } });
+      const client = new PriorApiClient({ configPath, profile: 'team', maxRetries: 0 });
+      await client.request('GET', '/v1/agents/me');
+      assert.strictEqual(api.calls[0].headers.authorization, 'Bearer ask_team');
+    } finally {
+      await api.close();
+    }
+  });
+
+  test('should report an unknown profile, listing the available ones', async () => {
+    writeConfig(profiles);
+    const client = new PriorApiClient({ configPath, profile: 'work' });
+    assert.strictEqual(client.isConfigured, false);
+    assert.match(client.configurationError, /profile "work" not found.*available: personal, team/);
+    await assert.rejects(client.request('GET', '/v1/agents/me'), { code: 'not_configured', message: /profile "work" not found/ });
+  });
+
+  test('saveConfig should migrate a legacy file and keep other profiles', () => {
+    writeConfig({ apiKey: 'ask_old', agentId: 'ag_old' });
+    const client = new PriorApiClient({ configPath });
+    client.saveConfig({ agentId: 'ag_new' });
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(configPath, 'utf-8')), {
+      defaultProfile: 'default',
+      profiles: { default: { apiKey: 'ask_old', agentId: 'ag_new' } },
+    });
+
+    writeConfig(profiles);
+    const team = new PriorApiClient({ configPath, profile: 'team' });
+    team.saveConfig({ apiKey: 'ask_rotated' });
+    const saved = new FileCredentialStore(configPath).read();
+    assert.strictEqual(saved.profiles.team.apiKey, 'ask_rotated');
+    assert.strictEqual(saved.profiles.team.apiUrl, 'http://team.example.com');
+    assert.deepStrictEqual(saved.profiles.personal, profiles.profiles.personal);
+    assert.strictEqual(saved.defaultProfile, 'personal');
+  });
+});
+
+describe('credential stores', () => {
+  let dir;
+  let configPath;
+  const savedEnv = {};
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prior-store-'));
+    configPath = path.join(dir, 'config.json');
+    for (const name of ['PRIOR_API_KEY', 'PRIOR_PROFILE', 'PRIOR_API_KEY_COMMAND', 'PRIOR_CONFIG_PASSPHRASE']) {
+      savedEnv[name] = process.env[name];
+      delete process.env[name];
+    }
+  });
+
+  after(() => {
+    for (const [name, value] of Object.entries(savedEnv)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+
+  const config = { defaultProfile: 'default', profiles: { default: { apiKey: 'ask_secret_value', agentId: 'ag_1' } } };
+
+  test('file store should write owner-only files', { skip: process.platform === 'win32' }, () => {
+    fs.writeFileSync(configPath, '{}', { mode: 0o644 });
+    const original = console.error;
+    console.error = () => {};
+    try {
+      new FileCredentialStore(configPath).write(config);
+    } finally {
+      console.error = original;
+    }
+    assert.strictEqual(fs.statSync(configPath).mode & 0o777, 0o600);
+    assert.deepStrictEqual(new FileCredentialStore(configPath).read(), config);
+  });
+
+  test('file store should warn once about world-readable files', { skip: process.platform === 'win32' }, () => {
+    fs.writeFileSync(configPath, JSON.stringify(config), { mode: 0o644 });
+    const warnings = [];
+    const original = console.error;
+    console.error = (msg) => warnings.push(msg);
+    try {
+      const store = new FileCredentialStore(configPath);
+      assert.deepStrictEqual(store.read(), config);
+      store.read();
+    } finally {
+      console.error = original;
+    }
+    assert.strictEqual(warnings.length, 1);
+    assert(warnings[0].includes('chmod 600'));
+  });
+
+  test('encrypted store should round-trip without plaintext on disk', () => {
+    const store = new EncryptedFileCredentialStore('correct horse', configPath);
+    store.write(config);
+    const raw = fs.readFileSync(configPath, 'utf-8');
+    assert(!raw.includes('ask_secret_value'));
+    assert.strictEqual(JSON.parse(raw).cipher, 'aes-256-gcm');
+    assert.deepStrictEqual(store.read(), config);
+  });
+
+  test('encrypted store should reject a wrong passphrase', () => {
+    new EncryptedFileCredentialStore('correct horse', configPath).write(config);
+    assert.throws(() => new EncryptedFileCredentialStore('wrong', configPath).read(), /Could not decrypt/);
+    assert.throws(() => new FileCredentialStore(configPath).read(), /PRIOR_CONFIG_PASSPHRASE/);
+  });
+
+  test('encrypted store should migrate a plaintext file on save', () => {
+    fs.writeFileSync(configPath, JSON.stringify({ apiKey: 'ask_old', agentId: 'ag_old' }), { mode: 0o600 });
+    process.env.PRIOR_CONFIG_PASSPHRASE = 'pw';
+    const client = new PriorApiClient({ configPath });
+    assert.strictEqual(client.apiKey, 'ask_old');
+    client.saveConfig({ agentId: 'ag_new' });
+    assert(!fs.readFileSync(configPath, 'utf-8').includes('ask_old'));
+    assert.strictEqual(new PriorApiClient({ configPath }).agentId, 'ag_new');
+  });
+
+  test('createCredentialStoreFromEnv should pick the backend', () => {
+    assert(createCredentialStoreFromEnv(configPath, {}) instanceof FileCredentialStore);
+    assert(createCredentialStoreFromEnv(configPath, { PRIOR_CONFIG_PASSPHRASE: 'pw' }) instanceof EncryptedFileCredentialStore);
+  });
+
+  test('should accept a custom credential store', () => {
+    let saved;
+    const store = { description: 'memory', read: () => config, write: (c) => { saved = c; } };
+    const client = new PriorApiClient({ credentialStore: store });
+    assert.strictEqual(client.apiKey, 'ask_secret_value');
+    client.saveConfig({ agentId: 'ag_2' });
+    assert.strictEqual(saved.profiles.default.agentId, 'ag_2');
+  });
+
+  test('apiKeyCommand should supply the key', async () => {
+    const client = new PriorApiClient({ configPath, apiKeyCommand: 'echo ask_from_command' });
+    assert.strictEqual(await client.refreshCredentials(), true);
+    assert.strictEqual(client.apiKey, 'ask_from_command');
+    assert.strictEqual(client.keySource, 'apiKeyCommand');
+
+    fs.writeFileSync(configPath, JSON.stringify({ profiles: { team: { apiKeyCommand: 'echo ask_team_command' } } }), { mode: 0o600 });
+    const team = new PriorApiClient({ configPath, profile: 'team' });
+    await team.refreshCredentials();
+    assert.strictEqual(team.apiKey, 'ask_team_command');
+    assert.strictEqual(team.keySource, 'profile "team"');
+  });
+
+  test('runApiKeyCommand should report failures', async () => {
+    await assert.rejects(runApiKeyCommand('exit 3'), /apiKeyCommand failed/);
+    await assert.rejects(runApiKeyCommand('true'), /printed nothing/);
+    await assert.rejects(runApiKeyCommand('sleep 5', 100), /apiKeyCommand failed/);
+  });
+
+  test('runApiKeyCommand should not block the event loop', async () => {
+    let ticks = 0;
+    const timer = setInterval(() => ticks++, 10);
+    const key = await runApiKeyCommand('sleep 0.3; echo ask_slow');
+    clearInterval(timer);
+    assert.strictEqual(key, 'ask_slow');
+    assert(ticks >= 5, `timers should keep firing while the command runs (${ticks})`);
+  });
+});
+
+describe('unconfigured client', () => {
+  let dir;
+  let configPath;
+  let api;
+  let apiUrl;
+  let seenAuth;
+  const savedEnv = {};
+
+  before(async () => {
+    for (const name of ['PRIOR_API_KEY', 'PRIOR_PROFILE', 'PRIOR_API_KEY_COMMAND', 'PRIOR_CONFIG_PASSPHRASE']) {
+      savedEnv[name] = process.env[name];
+      delete process.env[name];
+    }
+    api = await startMockApi((req) => {
+      seenAuth = req.headers.authorization;
+      return [200, { ok: true }];
+    });
+    apiUrl = api.url;
+  });
+
+  after(async () => {
+    await api.close();
+    for (const [name, value] of Object.entries(savedEnv)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prior-unconfigured-'));
+    configPath = path.join(dir, 'config.json');
+    seenAuth = undefined;
+  });
+
+  test('should construct without a key and refuse requests', async () => {
+    const client = new PriorApiClient({ apiUrl, configPath });
+    assert.strictEqual(client.isConfigured, false);
+    await assert.rejects(client.request('GET', '/v1/agents/me'), (err) => {
+      assert.strictEqual(err.code, 'not_configured');
+      assert.match(err.message, /prior:\/\/docs\/api-keys/);
+      return true;
+    });
+    assert.strictEqual(seenAuth, undefined, 'no request should be sent');
+  });
+
+  test('should pick up a key written to the config later', async () => {
+    const client = new PriorApiClient({ apiUrl, configPath, maxRetries: 0 });
+    await assert.rejects(client.request('GET', '/v1/agents/me'), { code: 'not_configured' });
+    fs.writeFileSync(configPath, JSON.stringify({ apiKey: 'ask_later' }), { mode: 0o600 });
+    await client.request('GET', '/v1/agents/me');
+    assert.strictEqual(seenAuth, 'Bearer ask_later');
+    assert.strictEqual(client.isConfigured, true);
+  });
+
+  test('setApiKey should configure the client in memory', async () => {
+    const client = new PriorApiClient({ apiUrl, configPath, maxRetries: 0 });
+    client.setApiKey('ask_runtime', 'ag_rt');
+    await client.request('GET', '/v1/agents/me');
+    assert.strictEqual(seenAuth, 'Bearer ask_runtime');
+    assert.strictEqual(client.agentId, 'ag_rt');
+    assert(!fs.existsSync(configPath));
+  });
+
+  test('a failing apiKeyCommand should be reported, not thrown', async () => {
+    const client = new PriorApiClient({ apiUrl, configPath, apiKeyCommand: 'exit 1' });
+    assert.strictEqual(await client.refreshCredentials(), false);
+    assert.match(client.configurationError, /apiKeyCommand failed/);
+  });
+
+  test('a failing apiKeyCommand should not rerun until its backoff passes', async (t) => {
+    const runs = path.join(path.dirname(configPath), 'runs');
+    const keyFile = path.join(path.dirname(configPath), 'key');
+    const command = `echo run >> "${runs}"; cat "${keyFile}"`;
+    const count = () => fs.readFileSync(runs, 'utf-8').split('\n').filter(Boolean).length;
+    t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+
+    const client = new PriorApiClient({ apiUrl, configPath, apiKeyCommand: command, maxRetries: 0 });
+    await assert.rejects(client.request('GET', '/v1/agents/me'), { code: 'not_configured' });
+    await assert.rejects(client.request('GET', '/v1/agents/me'), /retrying after/);
+    assert.strictEqual(count(), 1, 'the failure should be cached');
+
+    fs.writeFileSync(keyFile, 'ask_from_command\n');
+    t.mock.timers.tick(5_000);
+    await client.request('GET', '/v1/agents/me');
+    assert.strictEqual(count(), 2);
+    assert.strictEqual(seenAuth, 'Bearer ask_from_command');
+  });
+
+  test('concurrent requests should share one apiKeyCommand run', async () => {
+    const runs = path.join(path.dirname(configPath), 'runs');
+    const command = `echo run >> "${runs}"; sleep 0.2; echo ask_shared`;
+    const client = new PriorApiClient({ apiUrl, configPath, apiKeyCommand: command, maxRetries: 0 });
+    assert.strictEqual(client.isConfigured, false, 'the command should still be running');
+    await Promise.all([1, 2, 3].map(() => client.request('GET', '/v1/agents/me')));
+    assert.strictEqual(fs.readFileSync(runs, 'utf-8'), 'run\n');
+    assert.strictEqual(seenAuth, 'Bearer ask_shared');
+  });
+});
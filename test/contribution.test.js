@@ -0,0 +1,353 @@
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  prepareContribution,
+  assertNotBlocked,
+  contributionChecklist,
+  looksLikeDiagnosisTitle,
+  formatChecklist,
+  normalizeTags,
+  validateContribution,
+  assertValidContribution,
+  diffContribution,
+  TTL_VALUES,
+} = require('../dist/contribution.js');
+const { startMockApi, connectClient } = require('./helpers.js');
+
+const GOOD = {
+  title: 'Route handler returns wrong response despite correct source code',
+  content: 'Two modules registered the same path; the one imported last silently won. '.repeat(3),
+  tags: ['express', 'routing'],
+  problem: 'GET /users returned the admin payload',
+  solution: 'Remove the duplicate registration in admin.js',
+  errorMessages: ['No error — wrong JSON body returned'],
+  failedApproaches: ['Clearing the build cache'],
+  environment: { language: 'javascript', framework: 'express', frameworkVersion: '4.18' },
+};
+
+function check(items, name) {
+  return items.find(i => i.check === name);
+}
+
+describe('prepareContribution', () => {
+  test('should trim fields, drop empty list items and default the model', () => {
+    const { body } = prepareContribution({
+      title: '  Title  ',
+      content: ' body ',
+      tags: [' node ', ''],
+      errorMessages: ['  E1 ', '   '],
+      failedApproaches: ['  '],
+      problem: '   ',
+    });
+    assert.deepStrictEqual(body, { title: 'Title', content: 'body', tags: ['node'], model: 'unknown', errorMessages: ['E1'] });
+  });
+
+  test('should apply scrubbing according to mode', () => {
+    const input = { title: 'Fails on 10.2.3.4', content: 'x', tags: ['net'] };
+    assert.strictEqual(prepareContribution(input, { mode: 'redact' }).body.title, 'Fails on [REDACTED:ip]');
+    assert.strictEqual(prepareContribution(input, { mode: 'warn' }).body.title, 'Fails on 10.2.3.4');
+  });
+
+  test('assertNotBlocked should only throw in block mode with findings', () => {
+    const input = { title: 'Fails on 10.2.3.4', content: 'x', tags: ['net'] };
+    assert.throws(() => assertNotBlocked(prepareContribution(input, { mode: 'block' })), { code: 'validation_error' });
+    assert.doesNotThrow(() => assertNotBlocked(prepareContribution(input, { mode: 'warn' })));
+    assert.doesNotThrow(() => assertNotBlocked(prepareContribution({ ...input, title: 'clean' }, { mode: 'block' })));
+  });
+});
+
+describe('normalizeTags', () => {
+  test('should lowercase, hyphenate and dedupe', () => {
+    assert.deepStrictEqual(normalizeTags(['Kotlin', ' Spring Boot ', 'spring_boot', 'kotlin']), ['kotlin', 'spring-boot']);
+  });
+
+  test('should keep characters used in technology names', () => {
+    assert.deepStrictEqual(normalizeTags(['Node.js', 'C++', 'C#']), ['node.js', 'c++', 'c#']);
+  });
+
+  test('should drop tags that are only punctuation', () => {
+    assert.deepStrictEqual(normalizeTags(['!!!', '--', 'ok!']), ['ok']);
+  });
+});
+
+describe('validateContribution', () => {
+  const valid = { title: 'T', content: 'c'.repeat(100), tags: ['x'] };
+
+  test('should accept a payload within the documented limits', () => {
+    assert.deepStrictEqual(validateContribution(valid), []);
+    for (const ttl of TTL_VALUES) assert.deepStrictEqual(validateContribution({ ...valid, ttl }), []);
+  });
+
+  test('should report each invalid field', () => {
+    const issues = validateContribution({ title: 'x'.repeat(200), content: 'short', tags: [], ttl: '7d' });
+    assert.deepStrictEqual(issues.map(i => i.field), ['title', 'content', 'tags', 'ttl']);
+  });
+
+  test('assertValidContribution should throw with per-field issues', () => {
+    const prepared = prepareContribution({ title: 'T', content: 'c'.repeat(100), tags: ['???'] });
+    assert.throws(() => assertValidContribution(prepared), (err) => {
+      assert.strictEqual(err.code, 'validation_error');
+      assert.deepStrictEqual(err.issues.map(i => i.field), ['tags']);
+      return true;
+    });
+  });
+});
+
+describe('looksLikeDiagnosisTitle', () => {
+  test('should flag titles that explain the cause or fix', () => {
+    assert(looksLikeDiagnosisTitle('Fix duplicate route handlers'));
+    assert(looksLikeDiagnosisTitle('How to configure CORS in Express'));
+    assert(looksLikeDiagnosisTitle('Build fails because of stale lockfile'));
+    assert(looksLikeDiagnosisTitle('Use pnpm instead of npm for workspaces'));
+  });
+
+  test('should accept symptom titles', () => {
+    assert(!looksLikeDiagnosisTitle('Route handler returns wrong response despite correct source code'));
+    assert(!looksLikeDiagnosisTitle('ECONNREFUSED when connecting to postgres from docker compose'));
+  });
+});
+
+describe('contributionChecklist', () => {
+  test('should pass every check for a complete contribution', () => {
+    const items = contributionChecklist(prepareContribution(GOOD));
+    assert.deepStrictEqual(items.filter(i => !i.ok), []);
+  });
+
+  test('should flag missing structured fields and environment', () => {
+    const items = contributionChecklist(prepareContribution({ title: GOOD.title, content: GOOD.content, tags: GOOD.tags }));
+    for (const name of ['has-problem', 'has-solution', 'has-errorMessages', 'has-failedApproaches', 'has-environment']) {
+      assert.strictEqual(check(items, name).ok, false, name);
+    }
+  });
+
+  test('should flag lengths, tag count and diagnosis titles', () => {
+    const items = contributionChecklist(prepareContribution({
+      title: 'Fix it because ' + 'x'.repeat(200),
+      content: 'short',
+      tags: Array.from({ length: 11 }, (_, i) => `t${i}`),
+    }));
+    assert.strictEqual(check(items, 'title-length').ok, false);
+    assert.strictEqual(check(items, 'title-symptom').ok, false);
+    assert.strictEqual(check(items, 'content-length').ok, false);
+    assert.strictEqual(check(items, 'tag-count').ok, false);
+  });
+
+  test('should report sensitive data per scrub mode', () => {
+    const input = { ...GOOD, problem: 'Timeout from jane@acme.io' };
+    assert.strictEqual(check(contributionChecklist(prepareContribution(input, { mode: 'redact' })), 'sensitive-data').ok, true);
+    const blocked = check(contributionChecklist(prepareContribution(input, { mode: 'block' })), 'sensitive-data');
+    assert.strictEqual(blocked.ok, false);
+    assert(blocked.message.includes('would block submission'));
+  });
+
+  test('formatChecklist should render marks', () => {
+    assert.strictEqual(formatChecklist([{ check: 'a', ok: true, message: 'good' }, { check: 'b', ok: false, message: 'bad' }]), '✓ good\n✗ bad');
+  });
+});
+
+describe('prior_contribute dryRun', () => {
+  let api;
+  let mcpClient;
+
+  before(async () => {
+    api = await startMockApi(() => [200, { ok: true, data: { id: 'k_x' } }]);
+    mcpClient = await connectClient({ apiUrl: api.url, tools: { scrub: { mode: 'block' }, detectEnvironment: false }, name: 'dry-run-test' });
+  });
+
+  after(async () => {
+    await mcpClient.close();
+    await api.close();
+  });
+
+  test('should return the payload and checklist without calling the API', async () => {
+    const result = await mcpClient.callTool({ name: 'prior_contribute', arguments: { ...GOOD, dryRun: true } });
+    assert.strictEqual(api.calls.length, 0);
+    assert.strictEqual(result.structuredContent.dryRun, true);
+    assert.strictEqual(result.structuredContent.status, 'dry_run');
+    assert.deepStrictEqual(result.structuredContent.payload, prepareContribution(GOOD).body);
+    assert(result.structuredContent.checklist.every(i => i.ok));
+    assert(result.content[0].text.startsWith('Dry run — nothing was submitted'));
+  });
+
+  test('should report would-be-blocked data instead of failing', async () => {
+    const result = await mcpClient.callTool({ name: 'prior_contribute', arguments: { ...GOOD, problem: 'from /home/erin/app', dryRun: true } });
+    assert.strictEqual(api.calls.length, 0);
+    assert.notStrictEqual(result.isError, true);
+    assert.deepStrictEqual(result.structuredContent.scrubbed, [{ field: 'problem', type: 'user-path' }]);
+    assert.strictEqual(result.structuredContent.checklist.find(i => i.check === 'sensitive-data').ok, false);
+  });
+});
+
+describe('tool input constraints', () => {
+  let api;
+  let mcpClient;
+
+  before(async () => {
+    api = await startMockApi(() => [200, { ok: true, data: { id: 'k_x', results: [] } }]);
+    mcpClient = await connectClient({ apiUrl: api.url, name: 'validation-test' });
+  });
+
+  after(async () => {
+    await mcpClient.close();
+    await api.close();
+  });
+
+  async function expectInvalid(name, args, ...fragments) {
+    const before = api.calls.length;
+    const result = await mcpClient.callTool({ name, arguments: args });
+    assert.strictEqual(result.isError, true, `${name} should reject ${JSON.stringify(args).slice(0, 80)}`);
+    for (const f of fragments) assert(result.content[0].text.includes(f), `expected "${f}" in: ${result.content[0].text}`);
+    assert.strictEqual(api.calls.length, before, 'invalid input must not reach the API');
+  }
+
+  test('prior_contribute should reject out-of-range fields with actionable messages', async () => {
+    await expectInvalid('prior_contribute', { ...GOOD, title: 'x'.repeat(200) }, 'title must be under 200 chars');
+    await expectInvalid('prior_contribute', { ...GOOD, content: 'too short' }, 'content must be at least 100 chars');
+    await expectInvalid('prior_contribute', { ...GOOD, tags: [] }, 'at least 1 tag is required');
+    await expectInvalid('prior_contribute', { ...GOOD, tags: Array.from({ length: 11 }, (_, i) => `t${i}`) }, 'at most 10 tags');
+    await expectInvalid('prior_contribute', { ...GOOD, ttl: '7d' }, 'ttl');
+  });
+
+  test('prior_contribute should reject tags that normalize to nothing', async () => {
+    const result = await mcpClient.callTool({ name: 'prior_contribute', arguments: { ...GOOD, tags: ['???'] } });
+    assert.strictEqual(result.isError, true);
+    assert.deepStrictEqual(result._meta.error.issues.map(i => i.field), ['tags']);
+  });
+
+  test('prior_contribute should send normalized tags', async () => {
+    const result = await mcpClient.callTool({ name: 'prior_contribute', arguments: { ...GOOD, tags: ['Express', 'Express', 'Node JS'], dryRun: true } });
+    assert.deepStrictEqual(result.structuredContent.payload.tags, ['express', 'node-js']);
+  });
+
+  test('prior_search should enforce maxResults, maxTokens and minQuality ranges', async () => {
+    await expectInvalid('prior_search', { query: 'q', maxResults: 11 }, 'maxResults can be at most 10');
+    await expectInvalid('prior_search', { query: 'q', maxResults: 0 }, 'maxResults must be at least 1');
+    await expectInvalid('prior_search', { query: 'q', maxResults: 2.5 }, 'whole number');
+    await expectInvalid('prior_search', { query: 'q', maxTokens: 5001 }, 'maxTokens can be at most 5000');
+    await expectInvalid('prior_search', { query: 'q', minQuality: 1.5 }, 'minQuality must be between 0.0 and 1.0');
+  });
+
+  test('prior_feedback should enforce correction content length', async () => {
+    await expectInvalid('prior_feedback', { entryId: 'k_1', outcome: 'useful', correction: { content: 'short' } }, 'correction.content must be at least 100 chars');
+  });
+});
+
+describe('diffContribution', () => {
+  test('should summarize changed fields and skip unchanged ones', () => {
+    const after = {
+      ...GOOD,
+      title: 'Route handler returns the admin payload',
+      content: GOOD.content + '\nAlso check router.use order.',
+      failedApproaches: ['Restarting the server'],
+      environment: { ...GOOD.environment, frameworkVersion: '4.19' },
+      problem: undefined,
+    };
+    const changes = diffContribution(GOOD, after, ['title', 'content', 'tags', 'failedApproaches', 'environment', 'problem']);
+    assert.deepStrictEqual(Object.fromEntries(changes.map(c => [c.field, c.summary])), {
+      title: '"Route handler returns wrong response despite correct source code" → "Route handler returns the admin payload"',
+      content: `${GOOD.content.length} → ${after.content.length} chars, 1 line(s) added, 0 removed`,
+      failedApproaches: 'added "Restarting the server"; removed "Clearing the build cache"',
+      environment: 'frameworkVersion: "4.18" → "4.19"',
+      problem: 'cleared',
+    });
+  });
+
+  test('should treat missing and empty values as equal', () => {
+    assert.deepStrictEqual(diffContribution({ solution: null, errorMessages: [] }, { errorMessages: undefined }, ['solution', 'errorMessages']), []);
+    assert.deepStrictEqual(diffContribution({}, { ttl: 'evergreen' }, ['ttl']), [{ field: 'ttl', summary: 'set to "evergreen"' }]);
+  });
+});
+
+describe('prior_update', () => {
+  let api;
+  let requests;
+  let stored;
+  let mcpClient;
+
+  before(async () => {
+    api = await startMockApi((req) => [200, { ok: true, data: req.method === 'GET' ? stored : { id: 'k_mine' } }]);
+    requests = api.calls;
+    mcpClient = await connectClient({ apiUrl: api.url, tools: { scrub: { mode: 'block' } }, name: 'update-test' });
+  });
+
+  after(async () => {
+    await mcpClient.close();
+    await api.close();
+  });
+
+  beforeEach(() => {
+    stored = { id: 'k_mine', ...GOOD, ttl: '90d' };
+  });
+
+  const update = (args) => {
+    api.reset();
+    return mcpClient.callTool({ name: 'prior_update', arguments: { id: 'k_mine', ...args } });
+  };
+
+  test('should patch only the changed fields and summarize them', async () => {
+    const result = await update({
+      failedApproaches: ['Clearing the build cache', 'Reinstalling node_modules'],
+      tags: ['Express', 'routing'],
+      environment: { frameworkVersion: '4.19' },
+    });
+    assert.deepStrictEqual(requests.map(r => r.method), ['GET', 'PATCH']);
+    assert.strictEqual(requests[1].url, '/v1/knowledge/k_mine');
+    assert.deepStrictEqual(requests[1].body, {
+      failedApproaches: ['Clearing the build cache', 'Reinstalling node_modules'],
+      environment: { ...GOOD.environment, frameworkVersion: '4.19' },
+    });
+    assert.strictEqual(result.structuredContent.updated, true);
+    assert.deepStrictEqual(result.structuredContent.changes.map(c => c.field), ['failedApproaches', 'environment']);
+    assert(result.content[0].text.includes('- failedApproaches: added "Reinstalling node_modules"'));
+  });
+
+  test('a null environment key should remove it', async () => {
+    const result = await update({ environment: { framework: null, frameworkVersion: null, runtime: 'node' } });
+    assert.deepStrictEqual(requests[1].body, { environment: { language: 'javascript', runtime: 'node' } });
+    assert.strictEqual(result.structuredContent.updated, true);
+  });
+
+  test('should not re-validate fields the update leaves alone', async () => {
+    stored = { ...stored, content: 'Written before the 100 char minimum.', ttl: '180d' };
+    const result = await update({ failedApproaches: ['Clearing the build cache', 'Pinning express'] });
+    assert.notStrictEqual(result.isError, true, result.content[0].text);
+    assert.deepStrictEqual(requests.map(r => r.method), ['GET', 'PATCH']);
+    assert.deepStrictEqual(Object.keys(requests[1].body), ['failedApproaches']);
+
+    const short = await update({ content: 'Still too short.' });
+    assert(short.content[0].text.includes('content must be at least 100 chars'));
+  });
+
+  test('should send null for cleared fields', async () => {
+    await update({ problem: '', errorMessages: [] });
+    assert.deepStrictEqual(requests[1].body, { problem: null, errorMessages: null });
+  });
+
+  test('dryRun and unchanged values should not patch', async () => {
+    const dry = await update({ ttl: 'evergreen', dryRun: true });
+    assert.deepStrictEqual(requests.map(r => r.method), ['GET']);
+    assert.strictEqual(dry.structuredContent.dryRun, true);
+    assert.deepStrictEqual(dry.structuredContent.changes, [{ field: 'ttl', summary: '"90d" → "evergreen"' }]);
+
+    const same = await update({ title: GOOD.title });
+    assert.deepStrictEqual(requests.map(r => r.method), ['GET']);
+    assert.strictEqual(same.structuredContent.updated, false);
+    assert(same.content[0].text.startsWith('No changes'));
+  });
+
+  test('should validate like prior_contribute', async () => {
+    const short = await update({ content: 'too short' });
+    assert(short.content[0].text.includes('content must be at least 100 chars'));
+    assert.strictEqual(requests.length, 0);
+
+    const empty = await update({});
+    assert.strictEqual(empty._meta.error.code, 'validation_error');
+    assert(empty.content[0].text.includes('Nothing to update'));
+
+    const blocked = await update({ solution: 'Edit /home/erin/app/admin.js' });
+    assert.strictEqual(blocked.isError, true);
+    assert(blocked.content[0].text.includes('blocked'));
+    assert.deepStrictEqual(requests.map(r => r.method), ['GET']);
+  });
+});
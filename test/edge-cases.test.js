@@ -195,6 +195,10 @@ describe('Edge Cases and Boundary Conditions', () => {
 
     beforeEach(() => {
       originalEnv = { ...process.env };
+      delete process.env.CLAUDECODE;
+      delete process.env.CLINE_ACTIVE;
+      delete process.env.ZED_TERM;
+      delete process.env.TERMINAL_EMULATOR;
     });
 
     afterEach(() => {
@@ -0,0 +1,151 @@
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const { createPriorServer } = require('../dist/server.js');
+const { normalizeEntry, normalizeContribution, formatContributions } = require('../dist/entries.js');
+const { feedbackActions } = require('../dist/feedback.js');
+const { startMockApi, testClient, connectClient } = require('./helpers.js');
+
+const ENTRY = {
+  id: 'k_full',
+  title: 'ECONNREFUSED to postgres from docker compose',
+  content: 'The full, untruncated write-up. '.repeat(20),
+  tags: ['docker', 'postgres'],
+  status: 'active',
+  problem: 'Connection refused on startup',
+  solution: 'Use the service name as the host',
+  failedApproaches: ['Exposing port 5432'],
+  environment: { runtime: 'node', os: 'linux' },
+  qualityScore: 0.8,
+  createdAt: '2026-01-02T00:00:00.000Z',
+  feedback: { useful: 5, notUseful: 1, irrelevant: 0 },
+  corrections: [{ id: 'c_1', content: 'Also set depends_on', status: 'pending' }],
+};
+
+describe('normalizeEntry', () => {
+  test('should unwrap the envelope and fill defaults', () => {
+    const entry = normalizeEntry({ ok: true, data: { shortId: 'k_1', title: 'T', content: 'C', usefulCount: 3 } });
+    assert.strictEqual(entry.id, 'k_1');
+    assert.deepStrictEqual(entry.feedback, { useful: 3, notUseful: 0, irrelevant: 0 });
+    assert.deepStrictEqual(entry.corrections, []);
+    assert.deepStrictEqual(entry.feedbackActions, feedbackActions('k_1'));
+  });
+
+  test('should accept snake_case feedback stats', () => {
+    assert.strictEqual(normalizeEntry({ id: 'k_1', feedbackStats: { not_useful: 2 } }).feedback.notUseful, 2);
+  });
+});
+
+describe('normalizeContribution', () => {
+  test('should read usage and feedback from nested or flat fields', () => {
+    assert.deepStrictEqual(normalizeContribution({ id: 'k_1', title: 'T', usage: { timesReturned: 4, creditsEarned: 2 }, feedback: { useful: 1 } }).usage,
+      { timesReturned: 4, creditsEarned: 2 });
+    const flat = normalizeContribution({ shortId: 'k_2', searchHits: 7, usefulCount: 2 });
+    assert.strictEqual(flat.id, 'k_2');
+    assert.deepStrictEqual(flat.usage, { timesReturned: 7, creditsEarned: 0 });
+    assert.deepStrictEqual(flat.feedback, { useful: 2, notUseful: 0, irrelevant: 0 });
+  });
+
+  test('formatContributions should point to the next page', () => {
+    const text = formatContributions({ contributions: [normalizeContribution({ id: 'k_1', title: 'T' })], nextCursor: 'c2', total: 3 });
+    assert(text.startsWith('1 of 3 contribution(s):\n- k_1 "T" [active]'));
+    assert(text.includes('cursor: "c2"'));
+    assert.strictEqual(formatContributions({ contributions: [] }), 'No contributions match.');
+  });
+
+  test('formatContributions compact should drop the labels', () => {
+    const page = { contributions: [normalizeContribution({ id: 'k_1', title: 'T', usage: { timesReturned: 4, creditsEarned: 2 } })], nextCursor: 'c2' };
+    const text = formatContributions(page, 'compact');
+    assert.strictEqual(text.split('\n')[1], 'k_1 "T" active 4 2 0/0/0');
+    assert(text.endsWith('more: cursor "c2"'));
+    assert(text.length < formatContributions(page).length);
+  });
+});
+
+describe('entry tools and resources', () => {
+  let api;
+  let apiUrl;
+  let requests;
+  let mcpClient;
+
+  before(async () => {
+    api = await startMockApi((req) => {
+      if (req.url === '/v1/knowledge/k_full') return [200, { ok: true, data: ENTRY }];
+      if (req.url.startsWith('/v1/agents/me/contributions')) {
+        return [200, { ok: true, data: { contributions: [ENTRY], nextCursor: 'page2', total: 21 } }];
+      }
+      return [404, { ok: false, error: 'Entry not found' }];
+    });
+    apiUrl = api.url;
+    requests = api.calls;
+  });
+
+  after(() => api.close());
+
+  beforeEach(async () => {
+    api.reset();
+    mcpClient = await connectClient({ server: createPriorServer(testClient({ apiUrl })), name: 'entries-test' });
+  });
+
+  test('the tool should return the full entry as structured content', async () => {
+    const result = await mcpClient.callTool({ name: 'prior_get_entry', arguments: { id: ' k_full ' } });
+    await mcpClient.close();
+    assert.deepStrictEqual(requests.map(r => [r.method, r.url]), [['GET', '/v1/knowledge/k_full']]);
+    const entry = result.structuredContent;
+    assert.strictEqual(entry.content, ENTRY.content);
+    assert.deepStrictEqual(entry.environment, ENTRY.environment);
+    assert.deepStrictEqual(entry.feedback, ENTRY.feedback);
+    assert.strictEqual(entry.corrections[0].id, 'c_1');
+    assert.strictEqual(entry.feedbackActions.useful.entryId, 'k_full');
+  });
+
+  test('the tool should map a missing entry to not_found', async () => {
+    const result = await mcpClient.callTool({ name: 'prior_get_entry', arguments: { id: 'k_nope' } });
+    await mcpClient.close();
+    assert.strictEqual(result.isError, true);
+    assert.strictEqual(result._meta.error.code, 'not_found');
+  });
+
+  test('the resource template should serve the same entry', async () => {
+    const { resourceTemplates } = await mcpClient.listResourceTemplates();
+    assert(resourceTemplates.some(t => t.uriTemplate === 'prior://entries/{id}'));
+    const resource = await mcpClient.readResource({ uri: 'prior://entries/k_full' });
+    const missing = await mcpClient.readResource({ uri: 'prior://entries/k_nope' });
+    await mcpClient.close();
+    assert.strictEqual(resource.contents[0].uri, 'prior://entries/k_full');
+    assert.strictEqual(JSON.parse(resource.contents[0].text).title, ENTRY.title);
+    assert.strictEqual(JSON.parse(missing.contents[0].text).code, 'not_found');
+  });
+
+  test('prior_my_contributions should pass filters and paging to the API', async () => {
+    const result = await mcpClient.callTool({ name: 'prior_my_contributions', arguments: {
+      status: 'active', tag: 'docker', since: '2026-01-01', limit: 10, cursor: 'page1',
+    } });
+    await mcpClient.close();
+    const url = new URL(requests[0].url, apiUrl);
+    assert.strictEqual(url.pathname, '/v1/agents/me/contributions');
+    assert.deepStrictEqual(Object.fromEntries(url.searchParams), { status: 'active', tag: 'docker', since: '2026-01-01', limit: '10', cursor: 'page1' });
+    const { contributions, nextCursor, total } = result.structuredContent;
+    assert.strictEqual(contributions[0].id, 'k_full');
+    assert.deepStrictEqual(contributions[0].feedback, ENTRY.feedback);
+    assert.strictEqual(contributions[0].content, undefined, 'listing leaves the content out');
+    assert.strictEqual(nextCursor, 'page2');
+    assert.strictEqual(total, 21);
+  });
+
+  test('prior_my_contributions should reject bad dates before calling the API', async () => {
+    const bad = await mcpClient.callTool({ name: 'prior_my_contributions', arguments: { since: 'last tuesday' } });
+    const reversed = await mcpClient.callTool({ name: 'prior_my_contributions', arguments: { since: '2026-02-01', until: '2026-01-01' } });
+    await mcpClient.close();
+    assert(bad.content[0].text.includes('since must be an ISO 8601 date'));
+    assert.strictEqual(reversed._meta.error.code, 'validation_error');
+    assert.strictEqual(requests.length, 0);
+  });
+
+  test('prior://agent/contributions should list the first page', async () => {
+    const resource = await mcpClient.readResource({ uri: 'prior://agent/contributions' });
+    await mcpClient.close();
+    assert(requests[0].url.includes('limit=100'));
+    assert.strictEqual(JSON.parse(resource.contents[0].text).contributions[0].title, ENTRY.title);
+  });
+});
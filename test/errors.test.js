@@ -0,0 +1,119 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  PriorApiError,
+  PriorAuthError,
+  PriorInsufficientCreditsError,
+  PriorNotFoundError,
+  PriorRateLimitError,
+  PriorValidationError,
+  PriorNetworkError,
+  parseErrorEnvelope,
+  errorFromResponse,
+  toolErrorResult,
+} = require('../dist/errors.js');
+
+describe('parseErrorEnvelope', () => {
+  test('should read string errors from the {ok, error} envelope', () => {
+    assert.deepStrictEqual(parseErrorEnvelope('{"ok":false,"error":"Entry not found"}'), { message: 'Entry not found', code: undefined });
+  });
+
+  test('should read object errors with message and code', () => {
+    const text = JSON.stringify({ ok: false, error: { code: 'INSUFFICIENT_CREDITS', message: 'Balance is 0' } });
+    assert.deepStrictEqual(parseErrorEnvelope(text), { message: 'Balance is 0', code: 'INSUFFICIENT_CREDITS' });
+  });
+
+  test('should fall back to top-level message', () => {
+    assert.deepStrictEqual(parseErrorEnvelope('{"message":"Bad gateway"}'), { message: 'Bad gateway' });
+  });
+
+  test('should fall back to raw text for non-JSON bodies', () => {
+    assert.deepStrictEqual(parseErrorEnvelope('  <html>502</html> '), { message: '<html>502</html>' });
+  });
+});
+
+describe('errorFromResponse', () => {
+  test('should map 401 and 403 to PriorAuthError', () => {
+    for (const status of [401, 403]) {
+      const err = errorFromResponse(status, '{"ok":false,"error":"Invalid API key"}');
+      assert(err instanceof PriorAuthError);
+      assert(err instanceof PriorApiError);
+      assert.strictEqual(err.code, 'auth_error');
+      assert.strictEqual(err.status, status);
+      assert(err.message.includes('Invalid API key'));
+      assert(err.message.includes('prior://docs/api-keys'));
+    }
+  });
+
+  test('should map 402 to PriorInsufficientCreditsError', () => {
+    const err = errorFromResponse(402, '{"ok":false,"error":"Not enough credits"}');
+    assert(err instanceof PriorInsufficientCreditsError);
+    assert.strictEqual(err.code, 'insufficient_credits');
+  });
+
+  test('should detect credit errors from the server code on other statuses', () => {
+    const err = errorFromResponse(403, JSON.stringify({ ok: false, error: { code: 'INSUFFICIENT_CREDITS', message: 'No credits' } }));
+    assert(err instanceof PriorInsufficientCreditsError);
+    assert.strictEqual(err.serverCode, 'INSUFFICIENT_CREDITS');
+  });
+
+  test('should map 404 to PriorNotFoundError', () => {
+    const err = errorFromResponse(404, '{"ok":false,"error":"Entry k_missing not found"}');
+    assert(err instanceof PriorNotFoundError);
+    assert.strictEqual(err.message, 'Not found: Entry k_missing not found');
+  });
+
+  test('should map 429 to PriorRateLimitError with retryAfterMs', () => {
+    const err = errorFromResponse(429, '{"ok":false,"error":"Too many requests"}', 3000);
+    assert(err instanceof PriorRateLimitError);
+    assert.strictEqual(err.retryAfterMs, 3000);
+    assert(err.message.includes('Retry after 3s'));
+  });
+
+  test('should map 400 and 422 to PriorValidationError', () => {
+    for (const status of [400, 422]) {
+      const err = errorFromResponse(status, '{"ok":false,"error":"title is required"}');
+      assert(err instanceof PriorValidationError);
+      assert.strictEqual(err.message, 'Invalid request: title is required');
+    }
+  });
+
+  test('should map 5xx to server_error', () => {
+    const err = errorFromResponse(502, 'Bad Gateway');
+    assert.strictEqual(err.constructor, PriorApiError);
+    assert.strictEqual(err.code, 'server_error');
+    assert.strictEqual(err.body, 'Bad Gateway');
+  });
+
+  test('should map other statuses to api_error', () => {
+    assert.strictEqual(errorFromResponse(418, '').code, 'api_error');
+  });
+});
+
+describe('toolErrorResult', () => {
+  test('should build an isError result with the error code in _meta', () => {
+    const result = toolErrorResult(errorFromResponse(402, '{"ok":false,"error":"Not enough credits"}'));
+    assert.strictEqual(result.isError, true);
+    assert.strictEqual(result.structuredContent, undefined);
+    assert.strictEqual(result._meta.error.code, 'insufficient_credits');
+    assert.strictEqual(result._meta.error.status, 402);
+    assert(result.content[0].text.startsWith('Error (insufficient_credits): Insufficient credits'));
+  });
+
+  test('should include retryAfterMs for rate limit errors', () => {
+    const result = toolErrorResult(errorFromResponse(429, '', 1500));
+    assert.strictEqual(result._meta.error.retryAfterMs, 1500);
+  });
+
+  test('should include network error codes', () => {
+    const result = toolErrorResult(new PriorNetworkError('Request timed out', { timeout: true }));
+    assert.strictEqual(result._meta.error.code, 'timeout');
+  });
+
+  test('should wrap unknown errors as api_error', () => {
+    const result = toolErrorResult(new Error('boom'));
+    assert.strictEqual(result._meta.error.code, 'api_error');
+    assert.strictEqual(result.content[0].text, 'Error (api_error): boom');
+  });
+});
@@ -0,0 +1,74 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  FEEDBACK_REASON_MIN_LENGTH,
+  feedbackActions,
+  feedbackActionsSchema,
+  feedbackBody,
+  feedbackInputSchema,
+  feedbackIssueMessage,
+} = require('../dist/feedback.js');
+
+function issue(input) {
+  const result = feedbackInputSchema.safeParse(input);
+  assert.strictEqual(result.success, false, `expected ${JSON.stringify(input)} to be rejected`);
+  return feedbackIssueMessage(result.error);
+}
+
+describe('feedbackInputSchema', () => {
+  test('should accept each outcome with its required fields', () => {
+    for (const input of [
+      { entryId: 'k_1', outcome: 'useful' },
+      { entryId: 'k_1', outcome: 'not_useful', reason: 'Tried it on Node 20, same error' },
+      { entryId: 'k_1', outcome: 'irrelevant' },
+      { entryId: 'k_1', outcome: 'correction_verified', correctionId: 'c_1' },
+      { entryId: 'k_1', outcome: 'correction_rejected', correctionId: 'c_1' },
+    ]) {
+      assert.strictEqual(feedbackInputSchema.safeParse(input).success, true, JSON.stringify(input));
+    }
+  });
+
+  test('not_useful should need a reason of the minimum length', () => {
+    assert.match(issue({ entryId: 'k_1', outcome: 'not_useful' }), /^reason: reason is required for not_useful/);
+    assert.match(issue({ entryId: 'k_1', outcome: 'not_useful', reason: '   ' }), /reason is required for not_useful/);
+    assert.match(issue({ entryId: 'k_1', outcome: 'not_useful', reason: 'no good' }),
+      new RegExp(`reason must be at least ${FEEDBACK_REASON_MIN_LENGTH} chars`));
+  });
+
+  test('correction outcomes should need a correctionId', () => {
+    assert.match(issue({ entryId: 'k_1', outcome: 'correction_verified' }), /^correctionId: correctionId is required/);
+    assert.match(issue({ entryId: 'k_1', outcome: 'correction_rejected', correctionId: '' }), /correctionId is required/);
+  });
+
+  test('should reject unknown outcomes and a missing entryId', () => {
+    assert.match(issue({ entryId: 'k_1', outcome: 'great' }), /outcome must be one of useful, not_useful/);
+    assert.match(issue({ outcome: 'useful' }), /entryId is required/);
+  });
+
+  test('should reject fields the outcome does not take, naming the outcome that does', () => {
+    assert.match(issue({ entryId: 'k_1', outcome: 'useful', correctionId: 'c_1' }), /^correctionId: correctionId only applies to correction_verified or correction_rejected/);
+    assert.match(issue({ entryId: 'k_1', outcome: 'not_useful', reason: 'Tried it, same error', correctionId: 'c_1' }), /correctionId only applies/);
+    assert.match(issue({ entryId: 'k_1', outcome: 'useful', reason: 'Worked first time' }), /^reason: reason does not apply to useful — use not_useful/);
+    assert.match(issue({ entryId: 'k_1', outcome: 'correction_verified', correctionId: 'c_1', reason: 'Looks right' }), /use correction_rejected/);
+    assert.match(issue({ entryId: 'k_1', outcome: 'irrelevant', correction: { content: 'x'.repeat(100) } }), /^correction: correction only applies to useful or not_useful/);
+  });
+
+  test('feedbackBody should drop the entry ID and blanks', () => {
+    const input = feedbackInputSchema.parse({ entryId: 'k_1', outcome: 'useful', notes: '' });
+    assert.deepStrictEqual(feedbackBody(input), { outcome: 'useful' });
+    const notUseful = feedbackInputSchema.parse({ entryId: 'k_1', outcome: 'not_useful', reason: '  Tried it, still broken  ', notes: 'Windows 11' });
+    assert.deepStrictEqual(feedbackBody(notUseful), { outcome: 'not_useful', reason: 'Tried it, still broken', notes: 'Windows 11' });
+  });
+});
+
+describe('feedbackActions', () => {
+  test('should match its output schema and the input rules once filled in', () => {
+    const actions = feedbackActions('k_1');
+    assert.strictEqual(feedbackActionsSchema.safeParse(actions).success, true);
+    assert.strictEqual(feedbackInputSchema.safeParse(actions.useful).success, true);
+    assert.strictEqual(feedbackInputSchema.safeParse(actions.irrelevant).success, true);
+    assert.strictEqual(feedbackInputSchema.safeParse(actions.not_useful).success, false, 'the blank reason must be filled in');
+    assert.strictEqual(feedbackInputSchema.safeParse({ ...actions.not_useful, reason: 'Tried it, same error' }).success, true);
+  });
+});
@@ -0,0 +1,191 @@
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  parseVersionRange, satisfiesRange, searchFiltersSchema, normalizeSearchFilters,
+  failedFilter, applySearchFilters, describeRemoved,
+} = require('../dist/filters.js');
+const { startMockApi, connectClient } = require('./helpers.js');
+
+const NOW = Date.parse('2026-06-01T00:00:00Z');
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('satisfiesRange', () => {
+  test('should compare against single and combined bounds', () => {
+    assert.strictEqual(satisfiesRange('2.1', '>=2'), true);
+    assert.strictEqual(satisfiesRange('1.9.9', '>=2'), false);
+    assert.strictEqual(satisfiesRange('1.5.0', '>=1.4 <2'), true);
+    assert.strictEqual(satisfiesRange('2.0', '>=1.4, <2'), false);
+    assert.strictEqual(satisfiesRange('3', '>2.9'), true);
+    assert.strictEqual(satisfiesRange('3.0', '<=3'), true);
+  });
+
+  test('should treat bare and x versions as prefixes', () => {
+    assert.strictEqual(satisfiesRange('3.11.4', '3.11'), true);
+    assert.strictEqual(satisfiesRange('3.12', '3.11'), false);
+    assert.strictEqual(satisfiesRange('14.2.3', '14.x'), true);
+    assert.strictEqual(satisfiesRange('15.0', '14.x'), false);
+  });
+
+  test('should expand caret and tilde ranges', () => {
+    assert.strictEqual(satisfiesRange('14.9', '^14.2'), true);
+    assert.strictEqual(satisfiesRange('15.0', '^14.2'), false);
+    assert.strictEqual(satisfiesRange('0.7.9', '^0.7'), true);
+    assert.strictEqual(satisfiesRange('0.8.0', '^0.7'), false);
+    assert.strictEqual(satisfiesRange('1.2.9', '~1.2'), true);
+    assert.strictEqual(satisfiesRange('1.3.0', '~1.2'), false);
+  });
+
+  test('should read versions written as specs', () => {
+    assert.strictEqual(satisfiesRange('^5.4.2', '>=5'), true);
+    assert.strictEqual(satisfiesRange('v1.22', '>=1.21'), true);
+    assert.strictEqual(satisfiesRange('latest', '>=1'), false);
+  });
+
+  test('should reject ranges it cannot parse', () => {
+    assert.strictEqual(parseVersionRange('newest'), undefined);
+    assert.strictEqual(parseVersionRange(''), undefined);
+    assert.strictEqual(satisfiesRange('1.0', 'newest'), false);
+    const parsed = searchFiltersSchema.safeParse({ frameworkVersion: 'newest' });
+    assert.strictEqual(parsed.success, false);
+    assert(parsed.error.issues[0].message.includes('frameworkVersion must be a version range'));
+  });
+});
+
+describe('normalizeSearchFilters', () => {
+  test('should normalize tags and drop empty values', () => {
+    assert.deepStrictEqual(normalizeSearchFilters({ tags: ['Docker Compose', ''], excludeTags: [], language: ' python ', os: '', excludeExpired: false }),
+      { tags: ['docker-compose'], language: 'python' });
+  });
+
+  test('should return undefined when nothing is left', () => {
+    assert.strictEqual(normalizeSearchFilters(undefined), undefined);
+    assert.strictEqual(normalizeSearchFilters({ tags: [], excludeRetracted: false }), undefined);
+  });
+});
+
+describe('failedFilter', () => {
+  const entry = {
+    id: 'k_1',
+    tags: ['python', 'Django'],
+    environment: { language: 'Python', languageVersion: '3.12', framework: 'Django', frameworkVersion: '4.2.1', os: 'macOS 14' },
+    createdAt: new Date(NOW - 10 * DAY).toISOString(),
+    status: 'active',
+    ttl: '30d',
+  };
+
+  test('should pass a matching entry', () => {
+    assert.strictEqual(failedFilter(entry, {
+      tags: ['django'], excludeTags: ['flask'], language: 'python', languageVersion: '>=3.10', framework: 'django',
+      frameworkVersion: '>=4 <5', os: 'darwin', maxAgeDays: 30, excludeRetracted: true, excludeExpired: true,
+    }, NOW), undefined);
+  });
+
+  test('should name the filter that failed', () => {
+    assert.strictEqual(failedFilter(entry, { tags: ['django', 'celery'] }, NOW), 'tags');
+    assert.strictEqual(failedFilter(entry, { excludeTags: ['Django'] }, NOW), 'excludeTags');
+    assert.strictEqual(failedFilter(entry, { language: 'go' }, NOW), 'language');
+    assert.strictEqual(failedFilter(entry, { framework: 'flask' }, NOW), 'framework');
+    assert.strictEqual(failedFilter(entry, { frameworkVersion: '>=5' }, NOW), 'frameworkVersion');
+    assert.strictEqual(failedFilter(entry, { os: 'windows' }, NOW), 'os');
+    assert.strictEqual(failedFilter(entry, { maxAgeDays: 7 }, NOW), 'maxAgeDays');
+    assert.strictEqual(failedFilter({ ...entry, status: 'retracted' }, { excludeRetracted: true }, NOW), 'excludeRetracted');
+  });
+
+  test('should match framework names loosely', () => {
+    const next = { environment: { framework: 'Next.js' } };
+    assert.strictEqual(failedFilter(next, { framework: 'nextjs' }, NOW), undefined);
+  });
+
+  test('should tell expiry from expiresAt, ttl or status', () => {
+    assert.strictEqual(failedFilter({ ...entry, createdAt: new Date(NOW - 31 * DAY).toISOString() }, { excludeExpired: true }, NOW), 'excludeExpired');
+    assert.strictEqual(failedFilter({ ...entry, createdAt: new Date(NOW - 31 * DAY).toISOString(), ttl: 'evergreen' }, { excludeExpired: true }, NOW), undefined);
+    assert.strictEqual(failedFilter({ expiresAt: new Date(NOW - 1).toISOString() }, { excludeExpired: true }, NOW), 'excludeExpired');
+    assert.strictEqual(failedFilter({ status: 'expired' }, { excludeExpired: true }, NOW), 'excludeExpired');
+  });
+
+  test('should keep results missing the filtered fields', () => {
+    assert.strictEqual(failedFilter({ id: 'k_bare' }, {
+      tags: ['django'], language: 'python', frameworkVersion: '>=4', os: 'linux', maxAgeDays: 1, excludeRetracted: true, excludeExpired: true,
+    }, NOW), undefined);
+  });
+});
+
+describe('applySearchFilters', () => {
+  test('should keep order and count removals per filter', () => {
+    const results = [
+      { id: 'a', environment: { frameworkVersion: '4.2' } },
+      { id: 'b', environment: { frameworkVersion: '3.2' } },
+      { id: 'c', tags: ['legacy'] },
+      { id: 'd' },
+    ];
+    const out = applySearchFilters(results, { frameworkVersion: '>=4', excludeTags: ['legacy'] }, NOW);
+    assert.deepStrictEqual(out.results.map(r => r.id), ['a', 'd']);
+    assert.deepStrictEqual(out.removed, { frameworkVersion: 1, excludeTags: 1 });
+    assert.strictEqual(out.removedCount, 2);
+    assert.strictEqual(describeRemoved(out.removed), '2 result(s) removed by filters (frameworkVersion: 1, excludeTags: 1)');
+  });
+
+  test('should pass everything through without filters', () => {
+    const results = [{ id: 'a' }];
+    assert.deepStrictEqual(applySearchFilters(results, undefined), { results, removed: {}, removedCount: 0 });
+    assert.strictEqual(describeRemoved({}), '');
+  });
+});
+
+describe('prior_search filters', () => {
+  let api;
+  let calls;
+  let response;
+  let mcpClient;
+
+  before(async () => {
+    api = await startMockApi(() => [200, response]);
+    calls = api.calls;
+    mcpClient = await connectClient({ apiUrl: api.url, tools: { detectEnvironment: false }, name: 'filters-test' });
+  });
+
+  after(async () => {
+    await mcpClient.close();
+    await api.close();
+  });
+
+  beforeEach(() => {
+    api.reset();
+    response = { ok: true, data: { searchId: 's_1', results: [
+      { id: 'k_new', title: 'Django 4 fix', content: 'C', environment: { framework: 'django', frameworkVersion: '4.2' } },
+      { id: 'k_old', title: 'Django 2 fix', content: 'C', environment: { framework: 'django', frameworkVersion: '2.2' } },
+    ] } };
+  });
+
+  test('should send the filters and drop results the backend let through', async () => {
+    const result = await mcpClient.callTool({ name: 'prior_search', arguments: {
+      query: 'CSRF verification failed', filters: { tags: ['Django'], frameworkVersion: '>=4' },
+    } });
+    assert.deepStrictEqual(calls[0].body.filters, { tags: ['django'], frameworkVersion: '>=4' });
+    assert.deepStrictEqual(result.structuredContent.results.map(r => r.id), ['k_new']);
+    assert.strictEqual(result.structuredContent.filteredOut, 1);
+    assert(result.content[0].text.includes('1 result(s) removed by filters (frameworkVersion: 1)'));
+    assert(!result.content[0].text.includes('k_old'));
+  });
+
+  test('should report nothing filtered when every result passes', async () => {
+    const result = await mcpClient.callTool({ name: 'prior_search', arguments: { query: 'CSRF verification failed', filters: { framework: 'django' } } });
+    assert.strictEqual(result.structuredContent.results.length, 2);
+    assert.strictEqual(result.structuredContent.filteredOut, 0);
+  });
+
+  test('should leave searches without filters unchanged', async () => {
+    const result = await mcpClient.callTool({ name: 'prior_search', arguments: { query: 'CSRF verification failed' } });
+    assert(!('filters' in calls[0].body));
+    assert.strictEqual(result.structuredContent.results.length, 2);
+    assert.strictEqual(result.structuredContent.filteredOut, undefined);
+  });
+
+  test('should reject an invalid version range before calling the API', async () => {
+    const result = await mcpClient.callTool({ name: 'prior_search', arguments: { query: 'x', filters: { frameworkVersion: 'newest' } } });
+    assert.strictEqual(result.isError, true);
+    assert(result.content[0].text.includes('frameworkVersion must be a version range'));
+    assert.strictEqual(calls.length, 0);
+  });
+});
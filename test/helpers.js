@@ -0,0 +1,68 @@
+/**
+ * Shared fixtures for the end-to-end tests: a mock Prior API over HTTP and an
+ * MCP client connected in-process to a Prior server.
+ */
+const http = require('node:http');
+
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { InMemoryTransport } = require('@modelcontextprotocol/sdk/inMemory.js');
+const { McpServer } = require('@modelcontextprotocol/sdk/server/mcp.js');
+const { PriorApiClient } = require('../dist/client.js');
+const { registerTools } = require('../dist/tools.js');
+
+/**
+ * Start a mock Prior API on a random local port. `route(req, body, res)`
+ * returns [status, json] to answer, or nothing to leave the request hanging
+ * (or to answer through `res` itself). Every request is recorded in `calls`
+ * as { method, url, headers, body, closed }.
+ */
+async function startMockApi(route) {
+  const calls = [];
+  const server = http.createServer(async (req, res) => {
+    let raw = '';
+    for await (const chunk of req) raw += chunk;
+    const body = raw ? JSON.parse(raw) : undefined;
+    const call = { method: req.method, url: req.url, headers: req.headers, body, closed: false };
+    calls.push(call);
+    res.on('close', () => { call.closed = true; });
+    const result = await route(req, body, res);
+    if (!result) return;
+    const [status, json] = result;
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(json));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    server,
+    url: `http://127.0.0.1:${server.address().port}`,
+    calls,
+    /** Forget recorded calls, e.g. in beforeEach */
+    reset() { calls.length = 0; },
+    close() {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+/** A PriorApiClient for tests: fixed key, no config file, no retries. */
+function testClient(options = {}) {
+  return new PriorApiClient({ apiKey: 'ask_test', persistConfig: false, maxRetries: 0, ...options });
+}
+
+/**
+ * Connect an MCP client to `server`, or to a new McpServer with registerTools
+ * bound to `client` (default: testClient({ apiUrl })) and the `tools` options.
+ */
+async function connectClient({ server, client, apiUrl, tools = {}, name = 'prior-test' } = {}) {
+  if (!server) {
+    server = new McpServer({ name: 'prior-test', version: '0.0.0' });
+    registerTools(server, { client: client || testClient({ apiUrl }), ...tools });
+  }
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  const mcpClient = new Client({ name, version: '0.0.0' });
+  await Promise.all([server.connect(serverTransport), mcpClient.connect(clientTransport)]);
+  return mcpClient;
+}
+
+module.exports = { startMockApi, testClient, connectClient };
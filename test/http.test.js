@@ -0,0 +1,178 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const { startHttpServer, extractBearerKey } = require('../dist/http.js');
+
+const INIT_REQUEST = {
+  jsonrpc: '2.0',
+  id: 1,
+  method: 'initialize',
+  params: {
+    protocolVersion: '2025-03-26',
+    capabilities: {},
+    clientInfo: { name: 'http-test', version: '1.0.0' },
+  },
+};
+
+describe('extractBearerKey', () => {
+  test('should extract key from Bearer header', () => {
+    assert.strictEqual(extractBearerKey('Bearer ask_abc123'), 'ask_abc123');
+  });
+
+  test('should be case-insensitive on the scheme', () => {
+    assert.strictEqual(extractBearerKey('bearer ask_abc123'), 'ask_abc123');
+  });
+
+  test('should return undefined for missing or malformed headers', () => {
+    assert.strictEqual(extractBearerKey(undefined), undefined);
+    assert.strictEqual(extractBearerKey('Basic dXNlcjpwYXNz'), undefined);
+    assert.strictEqual(extractBearerKey('Bearer'), undefined);
+  });
+});
+
+describe('Streamable HTTP server', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    server = await startHttpServer({ port: 0, host: '127.0.0.1' });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  function post(body, headers = {}) {
+    return fetch(`${baseUrl}/mcp`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json, text/event-stream',
+        ...headers,
+      },
+      body: JSON.stringify(body),
+    });
+  }
+
+  test('should answer health checks', async () => {
+    const res = await fetch(`${baseUrl}/health`);
+    assert.strictEqual(res.status, 200);
+    const data = await res.json();
+    assert.strictEqual(data.ok, true);
+  });
+
+  test('should reject requests without a bearer key', async () => {
+    const res = await post(INIT_REQUEST);
+    assert.strictEqual(res.status, 401);
+    assert.strictEqual(res.headers.get('www-authenticate'), 'Bearer');
+  });
+
+  test('should reject non-initialize requests without a session', async () => {
+    const res = await post({ jsonrpc: '2.0', id: 2, method: 'tools/list' }, { Authorization: 'Bearer ask_one' });
+    assert.strictEqual(res.status, 400);
+  });
+
+  test('should reject unknown session IDs', async () => {
+    const res = await post({ jsonrpc: '2.0', id: 2, method: 'tools/list' }, {
+      Authorization: 'Bearer ask_one',
+      'Mcp-Session-Id': 'does-not-exist',
+    });
+    assert.strictEqual(res.status, 404);
+  });
+
+  test('should initialize a session and serve tools bound to its key', async () => {
+    const init = await post(INIT_REQUEST, { Authorization: 'Bearer ask_one' });
+    assert.strictEqual(init.status, 200);
+    const sessionId = init.headers.get('mcp-session-id');
+    assert(sessionId, 'should return a session ID');
+    await init.text();
+
+    const list = await post({ jsonrpc: '2.0', id: 2, method: 'tools/list' }, {
+      Authorization: 'Bearer ask_one',
+      'Mcp-Session-Id': sessionId,
+    });
+    assert.strictEqual(list.status, 200);
+    const text = await list.text();
+    assert(text.includes('prior_search'), 'tools/list should include prior_search');
+
+    const wrongKey = await post({ jsonrpc: '2.0', id: 3, method: 'tools/list' }, {
+      Authorization: 'Bearer ask_two',
+      'Mcp-Session-Id': sessionId,
+    });
+    assert.strictEqual(wrongKey.status, 403);
+  });
+
+  test('should remove sessions on DELETE', async () => {
+    const init = await post(INIT_REQUEST, { Authorization: 'Bearer ask_one' });
+    const sessionId = init.headers.get('mcp-session-id');
+    await init.text();
+
+    const del = await fetch(`${baseUrl}/mcp`, {
+      method: 'DELETE',
+      headers: { Authorization: 'Bearer ask_one', 'Mcp-Session-Id': sessionId },
+    });
+    assert.strictEqual(del.status, 200);
+
+    const after = await post({ jsonrpc: '2.0', id: 2, method: 'tools/list' }, {
+      Authorization: 'Bearer ask_one',
+      'Mcp-Session-Id': sessionId,
+    });
+    assert.strictEqual(after.status, 404);
+  });
+});
+
+describe('HTTP session limits', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    server = await startHttpServer({ port: 0, host: '127.0.0.1', sessionIdleMs: 150, maxSessions: 2 });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  const headers = (sessionId) => ({
+    'Content-Type': 'application/json',
+    'Accept': 'application/json, text/event-stream',
+    Authorization: 'Bearer ask_one',
+    ...(sessionId ? { 'Mcp-Session-Id': sessionId } : {}),
+  });
+
+  async function open() {
+    const res = await fetch(`${baseUrl}/mcp`, { method: 'POST', headers: headers(), body: JSON.stringify(INIT_REQUEST) });
+    await res.text();
+    return res.headers.get('mcp-session-id');
+  }
+
+  async function listStatus(sessionId) {
+    const res = await fetch(`${baseUrl}/mcp`, {
+      method: 'POST',
+      headers: headers(sessionId),
+      body: JSON.stringify({ jsonrpc: '2.0', id: 2, method: 'tools/list' }),
+    });
+    await res.text();
+    return res.status;
+  }
+
+  test('should close the least recently used session when the cap is reached', async () => {
+    const first = await open();
+    const second = await open();
+    assert.strictEqual(await listStatus(first), 200, 'using first makes second the least recent');
+    const third = await open();
+
+    assert.strictEqual(await listStatus(second), 404);
+    assert.strictEqual(await listStatus(first), 200);
+    assert.strictEqual(await listStatus(third), 200);
+    const health = await (await fetch(`${baseUrl}/health`)).json();
+    assert.strictEqual(health.sessions, 2);
+  });
+
+  test('should close sessions that sit idle', async () => {
+    const sessionId = await open();
+    assert.strictEqual(await listStatus(sessionId), 200);
+    await new Promise((resolve) => setTimeout(resolve, 400));
+    assert.strictEqual(await listStatus(sessionId), 404);
+    const health = await (await fetch(`${baseUrl}/health`)).json();
+    assert.strictEqual(health.sessions, 0);
+  });
+});
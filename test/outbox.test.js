@@ -0,0 +1,203 @@
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const { PriorApiClient } = require('../dist/client.js');
+const { PriorNetworkError, errorFromResponse } = require('../dist/errors.js');
+const { Outbox, isQueueableError, createOutboxFromEnv } = require('../dist/outbox.js');
+const { startMockApi, testClient, connectClient } = require('./helpers.js');
+
+function tmpOutboxPath() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prior-outbox-'));
+  return path.join(dir, 'outbox.json');
+}
+
+describe('isQueueableError', () => {
+  test('should queue network errors, timeouts and 5xx', () => {
+    assert.strictEqual(isQueueableError(new PriorNetworkError('offline')), true);
+    assert.strictEqual(isQueueableError(new PriorNetworkError('slow', { timeout: true })), true);
+    assert.strictEqual(isQueueableError(errorFromResponse(503, '')), true);
+  });
+
+  test('should not queue client errors', () => {
+    assert.strictEqual(isQueueableError(errorFromResponse(400, '')), false);
+    assert.strictEqual(isQueueableError(errorFromResponse(401, '')), false);
+    assert.strictEqual(isQueueableError(new Error('other')), false);
+  });
+});
+
+describe('createOutboxFromEnv', () => {
+  test('should be enabled by default and disabled with PRIOR_OUTBOX=0', () => {
+    assert(createOutboxFromEnv({}) instanceof Outbox);
+    assert.strictEqual(createOutboxFromEnv({ PRIOR_OUTBOX: '0' }), undefined);
+  });
+});
+
+describe('Outbox replay and prior_outbox tool', () => {
+  let api;
+  let apiUrl;
+  // 'down' → 503, 'reject' → 400, 'up' → 200
+  let mode;
+  let calls;
+  let outbox;
+  let mcpClient;
+
+  before(async () => {
+    api = await startMockApi(() => mode === 'down'
+      ? [503, { ok: false, error: 'Service unavailable' }]
+      : mode === 'reject'
+        ? [400, { ok: false, error: 'content too short' }]
+        : [200, { ok: true, data: { id: 'k_new', status: 'active', creditsRefunded: 1 } }]);
+    apiUrl = api.url;
+    calls = api.calls;
+    outbox = new Outbox({ path: tmpOutboxPath() });
+    mcpClient = await connectClient({ apiUrl, tools: { outbox }, name: 'outbox-test' });
+  });
+
+  after(async () => {
+    await mcpClient.close();
+    await api.close();
+  });
+
+  beforeEach(() => {
+    api.reset();
+    mode = 'up';
+    for (const item of outbox.list()) outbox.discard(item.id);
+  });
+
+  const call = (name, args) => mcpClient.callTool({ name, arguments: args });
+  const contribute = () => call('prior_contribute', { title: 'Docker DNS fails', content: 'x'.repeat(120), tags: ['docker'] });
+
+  test('should send writes with an Idempotency-Key', async () => {
+    await contribute();
+    assert.strictEqual(calls.length, 1);
+    assert(calls[0].headers['idempotency-key'], 'Idempotency-Key header should be set');
+  });
+
+  test('should queue a contribution when the API is down', async () => {
+    mode = 'down';
+    const result = await contribute();
+    assert.notStrictEqual(result.isError, true);
+    assert.strictEqual(result.structuredContent.status, 'queued');
+    assert(result.structuredContent.outboxId.startsWith('ob_'));
+    assert(result.content[0].text.includes('prior_outbox'));
+
+    const items = outbox.list();
+    assert.strictEqual(items.length, 1);
+    assert.strictEqual(items[0].kind, 'contribute');
+    assert.strictEqual(items[0].status, 'pending');
+    assert.strictEqual(items[0].idempotencyKey, calls[0].headers['idempotency-key']);
+  });
+
+  test('should queue feedback when the API is down', async () => {
+    mode = 'down';
+    const result = await call('prior_feedback', { entryId: 'k_1', outcome: 'useful' });
+    assert.strictEqual(result.structuredContent.ok, false);
+    assert(result.structuredContent.outboxId);
+    assert.strictEqual(outbox.list()[0].path, '/v1/knowledge/k_1/feedback');
+  });
+
+  test('should report the API error when the outbox cannot be written', async (t) => {
+    mode = 'down';
+    t.mock.method(outbox, 'enqueue', () => { throw new Error('EACCES: permission denied'); });
+    const result = await contribute();
+    assert.strictEqual(result.isError, true);
+    assert.strictEqual(result._meta.error.status, 503);
+    assert.match(result.content[0].text, /Service unavailable.*saving it to the outbox also failed: EACCES: permission denied/);
+  });
+
+  test('should not queue requests the server rejected', async () => {
+    mode = 'reject';
+    const result = await contribute();
+    assert.strictEqual(result.isError, true);
+    assert.strictEqual(outbox.list().length, 0);
+  });
+
+  test('should replay with the original idempotency key once back online', async () => {
+    mode = 'down';
+    await contribute();
+    const originalKey = calls[0].headers['idempotency-key'];
+
+    mode = 'up';
+    const flush = await outbox.flush(testClient({ apiUrl }));
+    assert.strictEqual(flush.sent.length, 1);
+    assert.strictEqual(flush.offline, false);
+    assert.strictEqual(calls[1].headers['idempotency-key'], originalKey);
+    assert.deepStrictEqual(calls[1].body, calls[0].body);
+    assert.strictEqual(outbox.list().length, 0);
+  });
+
+  test('should stop replaying while still offline and count attempts', async () => {
+    mode = 'down';
+    await contribute();
+    await contribute();
+    api.reset();
+
+    const result = await call('prior_outbox', { action: 'retry' });
+    assert.strictEqual(calls.length, 1, 'should stop after the first unreachable item');
+    assert(result.content[0].text.includes('still unreachable'));
+    assert.strictEqual(result.structuredContent.items.length, 2);
+    assert.strictEqual(result.structuredContent.items[0].attempts, 2);
+  });
+
+  test('should mark items rejected on replay as failed', async () => {
+    mode = 'down';
+    await contribute();
+    mode = 'reject';
+    const result = await call('prior_outbox', { action: 'retry' });
+    assert.strictEqual(result.structuredContent.items[0].status, 'failed');
+    assert(result.content[0].text.includes('rejected by the server'));
+  });
+
+  test('should replay pending items after a later successful call', async () => {
+    mode = 'down';
+    await contribute();
+    mode = 'up';
+    await call('prior_status', {});
+    for (let i = 0; i < 50 && outbox.list().length; i++) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    assert.strictEqual(outbox.list().length, 0);
+  });
+
+  test('should list and discard items', async () => {
+    mode = 'down';
+    const queued = await contribute();
+    const id = queued.structuredContent.outboxId;
+
+    const list = await call('prior_outbox', {});
+    assert.strictEqual(list.structuredContent.items[0].id, id);
+    assert.strictEqual(list.structuredContent.items[0].summary, 'contribute: Docker DNS fails');
+
+    const discarded = await call('prior_outbox', { action: 'discard', id });
+    assert.strictEqual(discarded.structuredContent.discarded, id);
+    assert.strictEqual(outbox.list().length, 0);
+  });
+
+  test('should leave items queued when no API key is configured', async () => {
+    mode = 'down';
+    await contribute();
+    const [queued] = outbox.list();
+    mode = 'up';
+    api.reset();
+    const savedKey = process.env.PRIOR_API_KEY;
+    delete process.env.PRIOR_API_KEY;
+    try {
+      const unconfigured = new PriorApiClient({ apiUrl, persistConfig: false, maxRetries: 0 });
+      await assert.rejects(outbox.flush(unconfigured), { code: 'not_configured' });
+    } finally {
+      if (savedKey !== undefined) process.env.PRIOR_API_KEY = savedKey;
+    }
+    assert.strictEqual(calls.length, 0);
+    assert.deepStrictEqual(outbox.list(), [queued]);
+  });
+
+  test('should report errors for discard without a known id', async () => {
+    const missingId = await call('prior_outbox', { action: 'discard' });
+    assert.strictEqual(missingId._meta.error.code, 'validation_error');
+    const unknown = await call('prior_outbox', { action: 'discard', id: 'ob_nope' });
+    assert.strictEqual(unknown._meta.error.code, 'not_found');
+  });
+});
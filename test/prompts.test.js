@@ -0,0 +1,66 @@
+const { test, describe, afterEach, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const { McpServer } = require('@modelcontextprotocol/sdk/server/mcp.js');
+const { createPriorServer } = require('../dist/server.js');
+const { registerPrompts } = require('../dist/prompts.js');
+const { SEARCH_TIPS, CONTRIBUTING_GUIDE } = require('../dist/resources.js');
+const { SessionLedger } = require('../dist/session.js');
+const { testClient, connectClient } = require('./helpers.js');
+
+const connect = (server) => connectClient({ server, name: 'prompts-test' });
+
+describe('registerPrompts', () => {
+  let mcpClient;
+  let ledger;
+
+  beforeEach(async () => {
+    ledger = new SessionLedger();
+    const server = new McpServer({ name: 'prior-test', version: '0.0.0' });
+    registerPrompts(server, { ledger });
+    mcpClient = await connect(server);
+  });
+
+  afterEach(() => mcpClient.close());
+
+  test('should list the workflow prompts with their arguments', async () => {
+    const { prompts } = await mcpClient.listPrompts();
+    assert.deepStrictEqual(prompts.map(p => p.name), ['debug-with-prior', 'write-contribution', 'review-feedback']);
+    const debug = prompts.find(p => p.name === 'debug-with-prior');
+    assert.deepStrictEqual(debug.arguments.map(a => [a.name, a.required]), [['error', true], ['runtime', false]]);
+  });
+
+  test('debug-with-prior should quote the error and embed the search tips', async () => {
+    const { messages } = await mcpClient.getPrompt({ name: 'debug-with-prior', arguments: { error: 'ECONNREFUSED 127.0.0.1:5432', runtime: 'node 20' } });
+    assert(messages[0].content.text.includes('```\nECONNREFUSED 127.0.0.1:5432\n```'));
+    assert(messages[0].content.text.includes('context: { runtime: "node 20" }'));
+    assert.strictEqual(messages[1].content.resource.uri, 'prior://docs/search-tips');
+    assert.strictEqual(messages[1].content.resource.text, SEARCH_TIPS);
+  });
+
+  test('write-contribution should ask for a dry run and embed the contributing guide', async () => {
+    const { messages } = await mcpClient.getPrompt({ name: 'write-contribution', arguments: { summary: 'Fixed the pool timeout', tags: 'postgres' } });
+    assert(messages[0].content.text.includes('Fixed the pool timeout'));
+    assert(messages[0].content.text.includes('start from: postgres'));
+    assert(messages[0].content.text.includes('`dryRun: true`'));
+    assert.strictEqual(messages[1].content.resource.text, CONTRIBUTING_GUIDE);
+  });
+
+  test('review-feedback should list unrated results from the ledger', async () => {
+    let { messages } = await mcpClient.getPrompt({ name: 'review-feedback' });
+    assert(messages[0].content.text.includes('No results are waiting for feedback'));
+    ledger.recordSearch('pool timeout', 's_1', [{ id: 'k_1', title: 'Pool exhausted' }]);
+    ({ messages } = await mcpClient.getPrompt({ name: 'review-feedback' }));
+    assert(messages[0].content.text.includes('- k_1 "Pool exhausted" (from the search "pool timeout")'));
+    assert(messages[0].content.text.includes('prior_feedback_batch'));
+  });
+});
+
+describe('prompts on the full server', () => {
+  test('createPriorServer should register the prompts', async () => {
+    const mcpClient = await connect(createPriorServer(testClient({ apiUrl: 'http://127.0.0.1:1' })));
+    const { prompts } = await mcpClient.listPrompts();
+    await mcpClient.close();
+    assert.strictEqual(prompts.length, 3);
+  });
+});
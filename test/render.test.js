@@ -0,0 +1,213 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const { Outbox } = require('../dist/outbox.js');
+const {
+  RENDER_FORMATS, renderFormatFromEnv, renderSearch, renderEntry, renderData, formatResults,
+} = require('../dist/utils.js');
+const { startMockApi, testClient, connectClient } = require('./helpers.js');
+
+const SNAPSHOT_DIR = path.join(__dirname, 'snapshots');
+
+/** UPDATE_SNAPSHOTS=1 writes new and changed snapshots; never under CI, so a missing snapshot always fails there */
+const UPDATE_SNAPSHOTS = process.env.UPDATE_SNAPSHOTS === '1' && !process.env.CI;
+
+/** Compare against test/snapshots/<name>.txt */
+function matchSnapshot(name, actual) {
+  const file = path.join(SNAPSHOT_DIR, `${name}.txt`);
+  if (UPDATE_SNAPSHOTS) {
+    fs.mkdirSync(SNAPSHOT_DIR, { recursive: true });
+    fs.writeFileSync(file, actual);
+    return;
+  }
+  assert(fs.existsSync(file), `snapshot ${name} is missing — run with UPDATE_SNAPSHOTS=1 (outside CI) to write it`);
+  assert.strictEqual(actual, fs.readFileSync(file, 'utf-8'), `snapshot ${name} changed — rerun with UPDATE_SNAPSHOTS=1 if intended`);
+}
+
+const SEARCH = {
+  ok: true,
+  data: {
+    searchId: 's_1',
+    results: [
+      {
+        id: 'k_1',
+        title: 'ECONNREFUSED 127.0.0.1:5432 from app container',
+        content: 'Inside a container, localhost is the container itself.\nUse the compose service name as the host.',
+        tags: ['docker', 'postgres'],
+        qualityScore: 0.91,
+        relevanceScore: 0.876,
+        environment: { language: 'javascript', runtime: 'node', runtimeVersion: '20', os: 'linux' },
+        solution: 'Set DATABASE_HOST=db (the service name).',
+        errorMessages: ['Error: connect ECONNREFUSED 127.0.0.1:5432'],
+        failedApproaches: ['Exposing port 5432 on the host', 'Restarting Docker'],
+      },
+      { id: 'k_2', title: 'Postgres refuses connections during startup', content: 'Wait for the healthcheck before starting the app.', qualityScore: 0.5 },
+    ],
+    doNotTry: ['Exposing port 5432 on the host'],
+    agentHint: 'Both results apply to docker compose setups.',
+  },
+};
+
+const ENTRY = {
+  ok: true,
+  data: {
+    id: 'k_1',
+    title: 'ECONNREFUSED 127.0.0.1:5432 from app container',
+    content: 'Inside a container, localhost is the container itself. Use the compose service name (db) as the host instead.',
+    tags: ['docker', 'postgres'],
+    status: 'active',
+    qualityScore: 0.91,
+    createdAt: '2026-03-02T10:00:00.000Z',
+    environment: { language: 'javascript', framework: 'express', frameworkVersion: '4.19' },
+    problem: 'The app cannot reach Postgres.',
+    solution: 'Set DATABASE_HOST=db.',
+    failedApproaches: ['Restarting Docker'],
+    feedback: { useful: 4, notUseful: 1, irrelevant: 0 },
+    corrections: [{ id: 'c_1', content: 'On Docker Desktop host.docker.internal also works.', status: 'pending' }],
+  },
+};
+
+const ROUTES = {
+  'POST /v1/knowledge/search': SEARCH,
+  'GET /v1/knowledge/k_1': ENTRY,
+  'POST /v1/knowledge/contribute': { ok: true, data: { id: 'k_new', status: 'active', creditsEarned: 2 } },
+  'POST /v1/knowledge/k_1/feedback': { ok: true, data: { creditsRefunded: 1, previousOutcome: null } },
+  'PATCH /v1/knowledge/k_1': { ok: true, data: { id: 'k_1' } },
+  'GET /v1/agents/me': { ok: true, data: { agentId: 'ag_1', credits: 42, tier: 'free', contributions: 3 } },
+  'GET /v1/agents/me/contributions?limit=20': { ok: true, data: { contributions: [
+    { id: 'k_1', title: 'ECONNREFUSED 127.0.0.1:5432 from app container', status: 'active', usage: { timesReturned: 12, creditsEarned: 5 }, feedback: { useful: 4, notUseful: 1, irrelevant: 0 } },
+  ], total: 1 } },
+};
+
+const CONTRIBUTION = {
+  title: 'Postgres ECONNREFUSED from a docker compose app container',
+  content: 'The app container could not reach Postgres on localhost:5432. Inside a container localhost is the container itself, so use the compose service name.',
+  tags: ['docker', 'postgres'],
+};
+
+/** Tool calls to snapshot, by name */
+const CALLS = {
+  search: ['prior_search', { query: 'ECONNREFUSED 5432 docker' }],
+  get_entry: ['prior_get_entry', { id: 'k_1' }],
+  contribute: ['prior_contribute', CONTRIBUTION],
+  update: ['prior_update', { id: 'k_1', failedApproaches: ['Restarting Docker', 'Exposing port 5432 on the host'], dryRun: true }],
+  feedback: ['prior_feedback', { entryId: 'k_1', outcome: 'useful' }],
+  feedback_batch: ['prior_feedback_batch', { items: [{ entryId: 'k_1', outcome: 'useful' }, { entryId: 'k_gone', outcome: 'irrelevant' }] }],
+  // Runs after the searches above, once k_1 has feedback
+  pending_feedback: ['prior_pending_feedback', {}],
+  status: ['prior_status', {}],
+  my_contributions: ['prior_my_contributions', {}],
+  retract: ['prior_retract', { id: 'k_1' }],
+  outbox: ['prior_outbox', {}],
+};
+
+/** Replace values that change per run */
+function stable(text) {
+  return text
+    .replace(/rt_[0-9a-f]+/g, 'rt_TOKEN')
+    .replace(/\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z/g, '<timestamp>');
+}
+
+describe('renderers', () => {
+  test('json should match formatResults', () => {
+    assert.strictEqual(renderSearch(SEARCH, 'json'), formatResults(SEARCH));
+    assert.strictEqual(renderEntry(ENTRY.data, 'json'), formatResults(ENTRY.data));
+    assert.strictEqual(renderData({ a: 1 }, 'json'), formatResults({ a: 1 }));
+  });
+
+  test('markdown search should keep ids, badges and feedback hints', () => {
+    const text = renderSearch(SEARCH, 'markdown');
+    assert(text.startsWith('Found 2 result(s).'));
+    assert(text.includes('### 1. ECONNREFUSED 127.0.0.1:5432 from app container'));
+    assert(text.includes('`k_1` · quality 0.91 · relevance 0.88 · tags: docker, postgres'));
+    assert(text.includes('**Don\'t try:**\n- Exposing port 5432 on the host'));
+    assert(text.includes('prior_feedback(entryId: "k_2", outcome: "useful")'));
+  });
+
+  test('compact search should use one line per result', () => {
+    const lines = renderSearch(SEARCH, 'compact').split('\n');
+    assert.strictEqual(lines[0], '2 result(s):');
+    assert(lines[1].startsWith('1. k_1 "ECONNREFUSED 127.0.0.1:5432 from app container" q 0.91 r 0.88 — Set DATABASE_HOST=db'));
+    assert(lines.at(-1).includes('ids k_1, k_2'));
+  });
+
+  test('compact should be shorter than markdown, and markdown shorter than json', () => {
+    const [markdown, compact, json] = ['markdown', 'compact', 'json'].map(f => renderSearch(SEARCH, f).length);
+    assert(compact < markdown);
+    assert(markdown < json);
+  });
+
+  test('cached searches should not mention a credit', () => {
+    for (const format of RENDER_FORMATS) {
+      assert(!renderSearch(SEARCH, format, { fromCache: true }).includes('credit'), format);
+    }
+    assert(renderSearch(SEARCH, 'markdown', { fromCache: true }).includes('Give feedback on the result you tried'));
+  });
+
+  test('should render an empty search', () => {
+    assert.strictEqual(renderSearch({ ok: true, data: { results: [], contributionPrompt: 'Solved it? Contribute.' } }), 'No results.\n\nSolved it? Contribute.');
+  });
+
+  test('renderData should list fields or print one line of JSON', () => {
+    const data = { ok: true, data: { credits: 3, tags: ['a', 'b'], items: [{ id: 'ob_1', status: 'pending' }], empty: null } };
+    assert.strictEqual(renderData(data, 'markdown'), '- **credits:** 3\n- **tags:** a, b\n- **items:**\n  - id: ob_1 · status: pending');
+    assert.strictEqual(renderData(data, 'compact'), JSON.stringify(data.data));
+  });
+
+  test('renderFormatFromEnv should accept only known formats', () => {
+    assert.strictEqual(renderFormatFromEnv({ PRIOR_FORMAT: ' Compact ' }), 'compact');
+    assert.strictEqual(renderFormatFromEnv({ PRIOR_FORMAT: 'yaml' }), undefined);
+    assert.strictEqual(renderFormatFromEnv({}), undefined);
+  });
+});
+
+describe('tool output snapshots', () => {
+  let api;
+  let tmpDir;
+  let mcpClient;
+  let compactClient;
+
+  before(async () => {
+    api = await startMockApi((req) => {
+      const json = ROUTES[`${req.method} ${req.url}`];
+      return json ? [200, json] : [404, { ok: false, error: { code: 'NOT_FOUND', message: 'Not found' } }];
+    });
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'prior-render-'));
+    const outboxPath = path.join(tmpDir, 'outbox.json');
+    fs.writeFileSync(outboxPath, JSON.stringify([{
+      id: 'ob_1', kind: 'feedback', method: 'POST', path: '/v1/knowledge/k_1/feedback', body: { outcome: 'useful' },
+      idempotencyKey: 'key-1', summary: 'feedback: k_1 useful', createdAt: '2026-03-02T10:00:00.000Z', attempts: 2, status: 'failed', lastError: 'validation_error: entry was retracted',
+    }]));
+
+    const client = testClient({ apiUrl: api.url });
+    mcpClient = await connectClient({ client, tools: { outbox: new Outbox({ path: outboxPath }), detectEnvironment: false, format: 'markdown' }, name: 'render-test' });
+    compactClient = await connectClient({ client, tools: { detectEnvironment: false, format: 'compact' }, name: 'render-test' });
+  });
+
+  after(async () => {
+    await mcpClient.close();
+    await compactClient.close();
+    await api.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  for (const [name, [tool, args]] of Object.entries(CALLS)) {
+    for (const format of RENDER_FORMATS) {
+      test(`${tool} (${format})`, async () => {
+        const result = await mcpClient.callTool({ name: tool, arguments: { ...args, format } });
+        assert.notStrictEqual(result.isError, true, result.content[0].text);
+        matchSnapshot(`${name}.${format}`, stable(result.content[0].text));
+      });
+    }
+  }
+
+  test('the server default should apply when a call sets no format', async () => {
+    const result = await compactClient.callTool({ name: 'prior_search', arguments: { query: 'ECONNREFUSED 5432 docker' } });
+    assert(result.content[0].text.startsWith('2 result(s):'));
+    const json = await compactClient.callTool({ name: 'prior_search', arguments: { query: 'ECONNREFUSED 5432 docker', format: 'json' } });
+    assert(json.content[0].text.startsWith('{'));
+  });
+});
@@ -0,0 +1,135 @@
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const { ConfirmationTokens, RetractionQueue, createRetractionQueueFromEnv } = require('../dist/retract.js');
+const { startMockApi, connectClient } = require('./helpers.js');
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('ConfirmationTokens', () => {
+  test('should redeem a token once, for its own entry only', () => {
+    const tokens = new ConfirmationTokens();
+    const { token } = tokens.issue('k_1', 'Title');
+    assert.throws(() => tokens.redeem('k_2', token), /was issued for k_1, not k_2/);
+    assert.strictEqual(tokens.redeem('k_1', token).title, 'Title');
+    assert.throws(() => tokens.redeem('k_1', token), /unknown or expired/);
+  });
+
+  test('should reject expired tokens', () => {
+    let now = 0;
+    const tokens = new ConfirmationTokens({ ttlMs: 1000, now: () => now });
+    const { token, expiresAt } = tokens.issue('k_1', 'Title');
+    assert.strictEqual(expiresAt, new Date(1000).toISOString());
+    now = 1000;
+    assert.throws(() => tokens.redeem('k_1', token), /unknown or expired/);
+  });
+});
+
+describe('RetractionQueue', () => {
+  test('should send after the grace period unless cancelled', async () => {
+    const queue = new RetractionQueue(20);
+    const sent = [];
+    queue.schedule('k_1', 'One', async () => sent.push('k_1'));
+    queue.schedule('k_2', 'Two', async () => sent.push('k_2'));
+    assert.strictEqual(queue.cancel('k_2').title, 'Two');
+    assert.deepStrictEqual(queue.list().map(p => p.id), ['k_1']);
+    await wait(60);
+    assert.deepStrictEqual(sent, ['k_1']);
+    assert.deepStrictEqual(queue.list(), []);
+  });
+
+  test('should keep failed sends with the error', async () => {
+    const queue = new RetractionQueue(5);
+    queue.schedule('k_1', 'One', async () => { throw new Error('boom'); });
+    await wait(30);
+    assert.deepStrictEqual(queue.get('k_1').status, 'failed');
+    assert.strictEqual(queue.get('k_1').lastError, 'boom');
+  });
+
+  test('createRetractionQueueFromEnv should need a positive grace period', () => {
+    assert.strictEqual(createRetractionQueueFromEnv({}), undefined);
+    assert.strictEqual(createRetractionQueueFromEnv({ PRIOR_RETRACT_GRACE_MINUTES: '0' }), undefined);
+    assert.strictEqual(createRetractionQueueFromEnv({ PRIOR_RETRACT_GRACE_MINUTES: '2' }).graceMs, 120000);
+  });
+});
+
+describe('prior_retract', () => {
+  let api;
+  let requests;
+
+  before(async () => {
+    api = await startMockApi(() => [200, { ok: true, data: { id: 'k_mine', title: 'My entry', status: 'active', feedback: { useful: 3 } } }]);
+    requests = api.calls;
+  });
+
+  after(() => api.close());
+
+  beforeEach(() => {
+    api.reset();
+  });
+
+  async function connect(options = {}) {
+    const mcpClient = await connectClient({ apiUrl: api.url, tools: options, name: 'retract-test' });
+    return (args) => mcpClient.callTool({ name: 'prior_retract', arguments: args });
+  }
+
+  test('should preview first and only delete with the confirmation token', async () => {
+    const retract = await connect();
+    const preview = await retract({ id: 'k_mine' });
+    assert.deepStrictEqual(requests.map(r => r.method), ['GET']);
+    assert.strictEqual(preview.structuredContent.status, 'confirmation_required');
+    assert.strictEqual(preview.structuredContent.entry.title, 'My entry');
+    assert.strictEqual(preview.structuredContent.entry.feedback.useful, 3);
+
+    const wrong = await retract({ id: 'k_mine', confirmToken: 'rt_guess' });
+    assert.strictEqual(wrong._meta.error.code, 'validation_error');
+
+    const done = await retract({ id: 'k_mine', confirmToken: preview.structuredContent.confirmToken });
+    assert.strictEqual(done.structuredContent.status, 'retracted');
+    assert.deepStrictEqual(requests.map(r => `${r.method} ${r.url}`), ['GET /v1/knowledge/k_mine', 'DELETE /v1/knowledge/k_mine']);
+  });
+
+  test('should queue confirmed retractions during the grace period and allow cancelling', async () => {
+    const retractions = new RetractionQueue(30);
+    const retract = await connect({ retractions });
+
+    let preview = await retract({ id: 'k_mine' });
+    const scheduled = await retract({ id: 'k_mine', confirmToken: preview.structuredContent.confirmToken });
+    assert.strictEqual(scheduled.structuredContent.status, 'scheduled');
+    const listed = await retract({});
+    assert.deepStrictEqual(listed.structuredContent.pending.map(p => [p.id, p.status]), [['k_mine', 'pending']]);
+    const cancelled = await retract({ id: 'k_mine', cancel: true });
+    assert.strictEqual(cancelled.structuredContent.status, 'cancelled');
+    await wait(60);
+    assert(!requests.some(r => r.method === 'DELETE'), 'cancelled retraction must not be sent');
+
+    preview = await retract({ id: 'k_mine' });
+    await retract({ id: 'k_mine', confirmToken: preview.structuredContent.confirmToken });
+    await wait(80);
+    assert.strictEqual(requests.filter(r => r.method === 'DELETE').length, 1);
+    assert.deepStrictEqual(retractions.list(), []);
+  });
+
+  test('listing queued retractions should follow the format', async () => {
+    const retractions = new RetractionQueue(60_000);
+    const retract = await connect({ retractions, format: 'compact' });
+    const empty = await retract({});
+    assert.strictEqual(empty.content[0].text, 'No retractions are queued.');
+
+    const preview = await retract({ id: 'k_mine' });
+    await retract({ id: 'k_mine', confirmToken: preview.structuredContent.confirmToken });
+    const compact = await retract({});
+    assert(compact.content[0].text.startsWith('1 queued retraction(s)\n\n{"pending":[{"id":"k_mine"'), compact.content[0].text);
+    const json = await retract({ format: 'json' });
+    assert.strictEqual(JSON.parse(json.content[0].text.split('\n\n')[1]).pending[0].id, 'k_mine');
+    const markdown = await retract({ format: 'markdown' });
+    assert(markdown.content[0].text.includes('k_mine'));
+    retractions.cancel('k_mine');
+  });
+
+  test('cancel should report when nothing is queued', async () => {
+    const retract = await connect({ retractions: new RetractionQueue(1000) });
+    const result = await retract({ id: 'k_other', cancel: true });
+    assert.strictEqual(result._meta.error.code, 'not_found');
+  });
+});
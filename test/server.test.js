@@ -0,0 +1,117 @@
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const { PriorApiClient } = require('../dist/client.js');
+const { createPriorServer } = require('../dist/server.js');
+const { startMockApi, connectClient } = require('./helpers.js');
+
+describe('createPriorServer without an API key', () => {
+  let api;
+  let apiUrl;
+  let calls;
+  let configPath;
+  const savedEnv = {};
+
+  before(async () => {
+    for (const name of ['PRIOR_API_KEY', 'PRIOR_PROFILE', 'PRIOR_API_KEY_COMMAND', 'PRIOR_CONFIG_PASSPHRASE', 'PRIOR_CACHE']) {
+      savedEnv[name] = process.env[name];
+      delete process.env[name];
+    }
+    api = await startMockApi((req) => req.headers.authorization === 'Bearer ask_valid'
+      ? [200, { ok: true, data: { id: 'ag_new', credits: 7, tier: 'free' } }]
+      : [401, { ok: false, error: 'Invalid API key' }]);
+    apiUrl = api.url;
+    calls = api.calls;
+  });
+
+  after(async () => {
+    await api.close();
+    for (const [name, value] of Object.entries(savedEnv)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+
+  beforeEach(() => {
+    api.reset();
+    configPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'prior-server-')), 'config.json');
+  });
+
+  async function connect(serverOptions) {
+    const client = new PriorApiClient({ apiUrl, configPath, maxRetries: 0 });
+    const mcpClient = await connectClient({ server: createPriorServer(client, serverOptions), name: 'server-test' });
+    return { client, mcpClient };
+  }
+
+  test('should start, serve resources and return a setup error from tools', async () => {
+    const { mcpClient } = await connect({ allowConfigure: true });
+    const guide = await mcpClient.readResource({ uri: 'prior://docs/api-keys' });
+    assert(guide.contents[0].text.includes('prior_configure'));
+
+    const result = await mcpClient.callTool({ name: 'prior_search', arguments: { query: 'anything' } });
+    await mcpClient.close();
+    assert.strictEqual(result.isError, true);
+    assert.strictEqual(result._meta.error.code, 'not_configured');
+    assert.strictEqual(result._meta.error.docs, 'prior://docs/api-keys');
+    assert(result.content[0].text.includes('prior_configure'));
+    assert.strictEqual(calls.length, 0);
+  });
+
+  test('the setup error should reach clients that validate output schemas', async () => {
+    const { mcpClient } = await connect();
+    await mcpClient.listTools();
+    for (const [name, args] of [['prior_search', { query: 'anything' }], ['prior_status', {}]]) {
+      const result = await mcpClient.callTool({ name, arguments: args });
+      assert.strictEqual(result.isError, true, name);
+      assert.strictEqual(result._meta.error.code, 'not_configured', name);
+      assert.strictEqual(result._meta.error.docs, 'prior://docs/api-keys', name);
+      assert(result.content[0].text.startsWith('Error (not_configured): No Prior API key configured'), name);
+      assert(result.content[0].text.includes('prior://docs/api-keys'), name);
+    }
+    await mcpClient.close();
+    assert.strictEqual(calls.length, 0);
+  });
+
+  test('prior_configure should verify, save and apply the key without a restart', async () => {
+    const { client, mcpClient } = await connect({ allowConfigure: true });
+    const rejected = await mcpClient.callTool({ name: 'prior_configure', arguments: { apiKey: 'ask_typo' } });
+    assert.strictEqual(rejected._meta.error.code, 'auth_error');
+    assert.strictEqual(client.isConfigured, false);
+
+    const configured = await mcpClient.callTool({ name: 'prior_configure', arguments: { apiKey: 'ask_valid' } });
+    assert.deepStrictEqual(configured.structuredContent, { agentId: 'ag_new', credits: 7, saved: true, profile: 'default' });
+    assert.strictEqual(JSON.parse(fs.readFileSync(configPath, 'utf-8')).profiles.default.apiKey, 'ask_valid');
+
+    const status = await mcpClient.callTool({ name: 'prior_status', arguments: {} });
+    await mcpClient.close();
+    assert.strictEqual(status.structuredContent.credits, 7);
+  });
+
+  test('prior_configure with persist: false should not write the config', async () => {
+    const { mcpClient } = await connect({ allowConfigure: true });
+    const result = await mcpClient.callTool({ name: 'prior_configure', arguments: { apiKey: 'ask_valid', persist: false } });
+    await mcpClient.close();
+    assert.strictEqual(result.structuredContent.saved, false);
+    assert(!fs.existsSync(configPath));
+  });
+
+  test('should pick up a key added to the config file', async () => {
+    const { mcpClient } = await connect();
+    const before = await mcpClient.callTool({ name: 'prior_status', arguments: {} });
+    assert.strictEqual(before._meta.error.code, 'not_configured');
+    fs.writeFileSync(configPath, JSON.stringify({ apiKey: 'ask_valid' }), { mode: 0o600 });
+    const after = await mcpClient.callTool({ name: 'prior_status', arguments: {} });
+    await mcpClient.close();
+    assert.strictEqual(after.structuredContent.agentId, 'ag_new');
+  });
+
+  test('prior_configure should only be registered when allowed', async () => {
+    const { mcpClient } = await connect();
+    const { tools } = await mcpClient.listTools();
+    await mcpClient.close();
+    assert(!tools.some(t => t.name === 'prior_configure'));
+  });
+});
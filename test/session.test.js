@@ -0,0 +1,123 @@
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const { createPriorServer } = require('../dist/server.js');
+const { SessionLedger, feedbackActions, buildPendingFeedbackNudge } = require('../dist/session.js');
+const { startMockApi, testClient, connectClient } = require('./helpers.js');
+
+describe('SessionLedger', () => {
+  test('should list unrated results, most recent first', () => {
+    const ledger = new SessionLedger();
+    ledger.recordSearch('first query', 's_1', [{ id: 'k_a', title: 'A' }, { id: 'k_b', title: 'B' }], { now: 0 });
+    ledger.recordSearch('second query', 's_2', [{ id: 'k_c', title: 'C' }], { now: 1000 });
+    ledger.recordFeedback('k_b', 'useful');
+    const pending = ledger.pending();
+    assert.deepStrictEqual(pending.map(p => p.entryId), ['k_c', 'k_a']);
+    assert.strictEqual(pending[0].query, 'second query');
+    assert.strictEqual(pending[0].searchId, 's_2');
+    assert.deepStrictEqual(pending[0].feedbackActions, feedbackActions('k_c'));
+    assert.deepStrictEqual(ledger.stats(), { searches: 2, results: 3, rated: 1, unrated: 2 });
+  });
+
+  test('should move a result returned again to the front', () => {
+    const ledger = new SessionLedger();
+    ledger.recordSearch('q1', undefined, [{ id: 'k_a', title: 'A' }, { id: 'k_b', title: 'B' }]);
+    ledger.recordSearch('q2', undefined, [{ id: 'k_a', title: 'A' }]);
+    assert.deepStrictEqual(ledger.pending().map(p => [p.entryId, p.query]), [['k_a', 'q2'], ['k_b', 'q1']]);
+  });
+
+  test('should ignore results without an id', () => {
+    const ledger = new SessionLedger();
+    ledger.recordSearch('q', undefined, [{ id: '', title: 'no id' }]);
+    assert.strictEqual(ledger.pending().length, 0);
+  });
+
+  test('buildPendingFeedbackNudge should cap the listed results', () => {
+    const ledger = new SessionLedger();
+    ledger.recordSearch('q', undefined, ['1', '2', '3', '4'].map(n => ({ id: `k_${n}`, title: n })));
+    const nudge = buildPendingFeedbackNudge(ledger.pending(), 2);
+    assert.strictEqual(nudge.previousResults.length, 2);
+    assert(nudge.message.includes('4 earlier search result(s)'));
+    assert(nudge.message.includes('showing 2 of 4'));
+    assert.strictEqual(buildPendingFeedbackNudge([]), undefined);
+  });
+});
+
+describe('session feedback tracking through the server', () => {
+  let api;
+  let backendNudge;
+  let mcpClient;
+
+  before(async () => {
+    api = await startMockApi((req, body) => {
+      if (req.url === '/v1/knowledge/search') {
+        return [200, { ok: true, data: {
+          searchId: `s_${body.query}`,
+          results: [{ id: `k_${body.query}`, title: `Result for ${body.query}`, content: '...' }],
+          ...(backendNudge ? { nudge: backendNudge } : {}),
+        } }];
+      }
+      return [200, { ok: true, data: { creditsRefunded: 1 } }];
+    });
+  });
+
+  after(() => api.close());
+
+  beforeEach(async () => {
+    backendNudge = undefined;
+    mcpClient = await connectClient({ server: createPriorServer(testClient({ apiUrl: api.url })), name: 'session-test' });
+  });
+
+  const call = (name, args = {}) => mcpClient.callTool({ name, arguments: args });
+
+  test('prior_pending_feedback should list unrated results until feedback is given', async () => {
+    await call('prior_search', { query: 'one' });
+    await call('prior_search', { query: 'two' });
+    let result = await call('prior_pending_feedback');
+    assert.deepStrictEqual(result.structuredContent.pending.map(p => p.entryId), ['k_two', 'k_one']);
+    assert.strictEqual(result.structuredContent.pending[0].searchId, 's_two');
+
+    await call('prior_feedback', { entryId: 'k_two', outcome: 'useful' });
+    result = await call('prior_pending_feedback');
+    await mcpClient.close();
+    assert.deepStrictEqual(result.structuredContent.pending.map(p => p.entryId), ['k_one']);
+    assert.strictEqual(result.structuredContent.rated, 1);
+  });
+
+  test('the pending-feedback resource should match the tool', async () => {
+    await call('prior_search', { query: 'one' });
+    const resource = await mcpClient.readResource({ uri: 'prior://session/pending-feedback' });
+    await mcpClient.close();
+    const body = JSON.parse(resource.contents[0].text);
+    assert.strictEqual(body.pending[0].entryId, 'k_one');
+    assert.deepStrictEqual(body.pending[0].feedbackActions.not_useful, { entryId: 'k_one', outcome: 'not_useful', reason: '' });
+    assert.strictEqual(body.unrated, 1);
+  });
+
+  test('should build a nudge from local state when the backend sends none', async () => {
+    // Listing tools makes the client validate structuredContent against the outputSchema
+    await mcpClient.listTools();
+    const first = await call('prior_search', { query: 'one' });
+    assert.strictEqual(first.structuredContent.nudge, undefined, 'nothing pending before the first search');
+
+    const second = await call('prior_search', { query: 'two' });
+    await mcpClient.close();
+    const { nudge } = second.structuredContent;
+    assert.strictEqual(nudge.template, 'local_pending_feedback');
+    assert.deepStrictEqual(nudge.previousResults.map(r => r.id), ['k_one'], 'current results are not included');
+    assert(second.content[0].text.includes('💡 You have 1 earlier search result(s) without feedback'));
+  });
+
+  test('should prefer the backend nudge when one is sent', async () => {
+    await mcpClient.listTools();
+    await call('prior_search', { query: 'one' });
+    backendNudge = {
+      kind: 'feedback', template: 'server', message: 'Server says rate [PRIOR:FEEDBACK]',
+      context: { previousResults: [{ id: 'k_one', title: 'Result for one' }] },
+    };
+    const second = await call('prior_search', { query: 'two' });
+    await mcpClient.close();
+    assert.strictEqual(second.structuredContent.nudge.template, 'server');
+    assert.deepStrictEqual(second.structuredContent.nudge.previousResults[0].feedbackActions.useful, { entryId: 'k_one', outcome: 'useful' });
+  });
+});
@@ -0,0 +1,204 @@
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const { detectEnvironment } = require('../dist/utils.js');
+const { startMockApi, connectClient } = require('./helpers.js');
+
+describe('registerTools - end to end against a mock API', () => {
+  let api;
+  // Route handler for the mock API: (req, body) => [status, json] or null to hang
+  let route;
+  let calls;
+  let mcpClient;
+
+  before(async () => {
+    api = await startMockApi((req, body) => route(req, body));
+    calls = api.calls;
+    mcpClient = await connectClient({ apiUrl: api.url, name: 'tools-test' });
+  });
+
+  after(async () => {
+    await mcpClient.close();
+    await api.close();
+  });
+
+  beforeEach(() => {
+    api.reset();
+    route = () => [200, { ok: true, data: {} }];
+  });
+
+  test('prior_search should return structured results with feedbackActions', async () => {
+    route = () => [200, { ok: true, data: { searchId: 's_1', results: [{ id: 'k_1', title: 'T', content: 'C' }] } }];
+    const result = await mcpClient.callTool({ name: 'prior_search', arguments: { query: 'ECONNREFUSED' } });
+    assert.strictEqual(calls[0].url, '/v1/knowledge/search');
+    assert.strictEqual(result.structuredContent.searchId, 's_1');
+    assert.deepStrictEqual(result.structuredContent.results[0].feedbackActions.useful, { entryId: 'k_1', outcome: 'useful' });
+  });
+
+  test('prior_search should fill context from the detected environment, keeping fields the agent passed', async () => {
+    const detected = detectEnvironment();
+    await mcpClient.callTool({ name: 'prior_search', arguments: { query: 'ECONNREFUSED', context: { runtime: 'python', taskType: 'debug' } } });
+    const context = calls[0].body.context;
+    assert.strictEqual(context.runtime, 'python');
+    assert.strictEqual(context.taskType, 'debug');
+    assert.strictEqual(context.os, detected.os);
+    assert.strictEqual(context.language, detected.language);
+  });
+
+  test('prior_contribute should fill environment fields the agent left out and say which', async () => {
+    const detected = detectEnvironment();
+    const result = await mcpClient.callTool({ name: 'prior_contribute', arguments: {
+      title: 'Webpack build hangs forever after upgrading to version 5',
+      content: 'The build hung with no output after the upgrade. Disabling the persistent filesystem cache fixed it; the cache directory was on a network share.',
+      tags: ['webpack'],
+      environment: { framework: 'webpack', frameworkVersion: '5.90' },
+      dryRun: true,
+    } });
+    const environment = result.structuredContent.payload.environment;
+    assert.strictEqual(calls.length, 0);
+    assert.strictEqual(environment.framework, 'webpack');
+    assert.strictEqual(environment.frameworkVersion, '5.90');
+    assert.strictEqual(environment.os, detected.os);
+    assert(result.structuredContent.detectedEnvironment.includes('os'));
+    assert(!result.structuredContent.detectedEnvironment.includes('framework'));
+    assert(result.content[0].text.includes(`os=${detected.os}`));
+  });
+
+  test('API failures should become isError results with a structured code', async () => {
+    route = () => [402, { ok: false, error: 'Not enough credits' }];
+    const result = await mcpClient.callTool({ name: 'prior_search', arguments: { query: 'anything' } });
+    assert.strictEqual(result.isError, true);
+    assert.strictEqual(result._meta.error.code, 'insufficient_credits');
+    assert(result.content[0].text.includes('Not enough credits'));
+    assert(!result.content[0].text.includes('{"ok"'), 'should not leak the raw JSON envelope');
+  });
+
+  test('not found errors should map to not_found', async () => {
+    route = () => [404, { ok: false, error: 'Entry k_nope not found' }];
+    const result = await mcpClient.callTool({ name: 'prior_retract', arguments: { id: 'k_nope' } });
+    assert.strictEqual(result.isError, true);
+    assert.strictEqual(result._meta.error.code, 'not_found');
+  });
+
+  test('errors should reach clients that validate output schemas', async () => {
+    // listTools makes the SDK client check structuredContent against each outputSchema
+    await mcpClient.listTools();
+    route = () => [402, { ok: false, error: 'Not enough credits' }];
+    for (const [name, args] of [['prior_status', {}], ['prior_search', { query: 'anything' }], ['prior_get_entry', { id: 'k_1' }]]) {
+      const result = await mcpClient.callTool({ name, arguments: args });
+      assert.strictEqual(result.isError, true, name);
+      assert.strictEqual(result.structuredContent, undefined, name);
+      assert.strictEqual(result._meta.error.code, 'insufficient_credits', name);
+      assert.strictEqual(result._meta.error.status, 402, name);
+      assert(result.content[0].text.startsWith('Error (insufficient_credits): Insufficient credits: Not enough credits'), name);
+    }
+  });
+
+  test('cancelling a tool call should abort the in-flight API request', async () => {
+    route = () => null;
+    const controller = new AbortController();
+    const pending = mcpClient.callTool({ name: 'prior_search', arguments: { query: 'hang' } }, undefined, { signal: controller.signal });
+    await new Promise((resolve) => {
+      const wait = () => (calls.length ? resolve() : setTimeout(wait, 5));
+      wait();
+    });
+    controller.abort(new Error('user cancelled'));
+    await assert.rejects(pending, /user cancelled/);
+
+    // Server side should drop the HTTP request once the cancellation arrives
+    for (let i = 0; i < 100 && !calls[0].closed; i++) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    assert.strictEqual(calls[0].closed, true, 'API request should be aborted');
+  });
+
+  test('prior_feedback should validate per-outcome fields before calling the API', async () => {
+    const missing = await mcpClient.callTool({ name: 'prior_feedback', arguments: { entryId: 'k_1', outcome: 'not_useful' } });
+    assert.strictEqual(missing.isError, true);
+    assert.strictEqual(missing._meta.error.code, 'validation_error');
+    assert(missing.content[0].text.includes('reason is required for not_useful'));
+    const short = await mcpClient.callTool({ name: 'prior_feedback', arguments: { entryId: 'k_1', outcome: 'not_useful', reason: 'nope' } });
+    assert(short.content[0].text.includes('reason must be at least 10 chars'));
+    const correction = await mcpClient.callTool({ name: 'prior_feedback', arguments: { entryId: 'k_1', outcome: 'correction_rejected' } });
+    assert(correction.content[0].text.includes('correctionId is required'));
+    assert.strictEqual(calls.length, 0);
+
+    const listed = (await mcpClient.listTools()).tools.find(t => t.name === 'prior_feedback');
+    assert.deepStrictEqual(Object.keys(listed.inputSchema.properties).sort(), ['correction', 'correctionId', 'entryId', 'format', 'notes', 'outcome', 'reason']);
+  });
+
+  test('prior_feedback should send the trimmed fields the outcome takes', async () => {
+    route = () => [200, { ok: true, data: { creditsRefunded: 1 } }];
+    const result = await mcpClient.callTool({ name: 'prior_feedback', arguments: {
+      entryId: 'k_1', outcome: 'not_useful', reason: '  Tried it on Node 20, same error ', notes: '',
+    } });
+    assert.strictEqual(result.structuredContent.creditsRefunded, 1);
+    assert.deepStrictEqual(calls[0].body, { outcome: 'not_useful', reason: 'Tried it on Node 20, same error' });
+  });
+
+  test('prior_feedback should reject fields another outcome takes with a validation_error', async () => {
+    const stray = await mcpClient.callTool({ name: 'prior_feedback', arguments: { entryId: 'k_1', outcome: 'useful', correctionId: 'c_1' } });
+    assert.strictEqual(stray.isError, true);
+    assert.strictEqual(stray._meta.error.code, 'validation_error');
+    assert.deepStrictEqual(stray._meta.error.issues.map(i => i.field), ['correctionId']);
+    assert(stray.content[0].text.includes('correctionId only applies to correction_verified or correction_rejected'));
+    const reason = await mcpClient.callTool({ name: 'prior_feedback', arguments: { entryId: 'k_1', outcome: 'useful', reason: 'Worked on the first try' } });
+    assert(reason.content[0].text.includes('reason does not apply to useful — use not_useful'));
+    assert.strictEqual(calls.length, 0);
+  });
+
+  test('prior_feedback_batch should send each item and total the refunds', async () => {
+    route = (req) => req.url.startsWith('/v1/knowledge/k_gone')
+      ? [404, { ok: false, error: 'Entry not found' }]
+      : [200, { ok: true, data: { creditsRefunded: 1 } }];
+    const result = await mcpClient.callTool({ name: 'prior_feedback_batch', arguments: { items: [
+      { entryId: 'k_1', outcome: 'useful' },
+      { entryId: 'k_2', outcome: 'not_useful', reason: 'Tried it on Node 20, same error' },
+      { entryId: 'k_3', outcome: 'not_useful', reason: '  ' },
+      { entryId: 'k_gone', outcome: 'irrelevant' },
+      { entryId: 'k_1', outcome: 'irrelevant' },
+    ] } });
+    const { results, totalCreditsRefunded, sent, failed } = result.structuredContent;
+    assert.deepStrictEqual(results.map(r => r.status), ['sent', 'sent', 'invalid', 'failed', 'invalid']);
+    assert.strictEqual(totalCreditsRefunded, 2);
+    assert.strictEqual(sent, 2);
+    assert.strictEqual(failed, 3);
+    assert.strictEqual(results[3].error.code, 'not_found');
+    assert.match(results[2].error.message, /reason is required/);
+    assert.match(results[4].error.message, /duplicate/);
+    assert.deepStrictEqual(calls.map(c => c.url).sort(), ['/v1/knowledge/k_1/feedback', '/v1/knowledge/k_2/feedback', '/v1/knowledge/k_gone/feedback']);
+    assert.strictEqual(calls.find(c => c.url.includes('k_2')).body.reason, 'Tried it on Node 20, same error');
+    assert(result.content[0].text.startsWith('Feedback sent for 2 of 5 result(s); 2 credit(s) refunded.'));
+  });
+
+  test('prior_feedback_batch should limit concurrent requests', async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const pending = [];
+    route = () => {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      pending.push(true);
+      return null;
+    };
+    const items = Array.from({ length: 10 }, (_, i) => ({ entryId: `k_${i}`, outcome: 'useful' }));
+    const call = mcpClient.callTool({ name: 'prior_feedback_batch', arguments: { items } });
+    // Hold the first wave open, then drop it and let the rest succeed
+    for (let i = 0; i < 200 && pending.length < 4; i++) await new Promise((resolve) => setTimeout(resolve, 5));
+    route = () => [200, { ok: true, data: { creditsRefunded: 1 } }];
+    api.server.closeAllConnections();
+    const result = await call;
+    assert.strictEqual(maxInFlight, 4);
+    assert.strictEqual(result.structuredContent.results.length, 10);
+  });
+
+  test('prior_feedback_batch should reject empty and oversized batches', async () => {
+    const empty = await mcpClient.callTool({ name: 'prior_feedback_batch', arguments: { items: [] } });
+    assert.strictEqual(empty.isError, true);
+    assert(empty.content[0].text.includes('items needs at least one feedback item'));
+    const items = Array.from({ length: 21 }, (_, i) => ({ entryId: `k_${i}`, outcome: 'useful' }));
+    const tooMany = await mcpClient.callTool({ name: 'prior_feedback_batch', arguments: { items } });
+    assert(tooMany.content[0].text.includes('at most 20 items per batch'));
+    assert.strictEqual(calls.length, 0);
+  });
+});
@@ -137,6 +137,11 @@ describe('Unit Tests - Pure Functions', () => {
     beforeEach(() => {
       // Save original environment
       originalEnv = { ...process.env };
+      // Hosts checked before the ones under test, e.g. when running inside Claude Code
+      delete process.env.CLAUDECODE;
+      delete process.env.CLINE_ACTIVE;
+      delete process.env.ZED_TERM;
+      delete process.env.TERMINAL_EMULATOR;
     });
 
     afterEach(() => {
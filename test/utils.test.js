@@ -1,11 +1,43 @@
-const { test, describe } = require('node:test');
+const { test, describe, after, beforeEach, afterEach } = require('node:test');
 const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
 
 // Import utility functions from compiled JS
-const { formatResults, detectHost } = require('../dist/utils.js');
+const {
+  formatResults, detectHost, detectProject, detectEnvironment, environmentDetectionFromEnv,
+  searchContextFrom, contributionEnvironmentFrom, withDetected,
+} = require('../dist/utils.js');
+
+const projectDirs = [];
+after(() => {
+  for (const dir of projectDirs) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/** A fresh directory containing `files` ({ name: content }) */
+function project(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prior-env-'));
+  projectDirs.push(dir);
+  for (const [name, content] of Object.entries(files)) fs.writeFileSync(path.join(dir, name), content);
+  return dir;
+}
 
 describe('Utils - detectHost', () => {
-  
+  let originalEnv;
+
+  beforeEach(() => {
+    originalEnv = { ...process.env };
+    delete process.env.CLAUDECODE;
+    delete process.env.CLINE_ACTIVE;
+    delete process.env.ZED_TERM;
+    delete process.env.TERMINAL_EMULATOR;
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
   test('should detect cursor environment', () => {
     const originalTraceId = process.env.CURSOR_TRACE_ID;
     const originalSession = process.env.CURSOR_SESSION;
@@ -343,4 +375,121 @@ describe('Utils - formatResults', () => {
     assert.strictEqual(formatResults(undefined), JSON.stringify(undefined, null, 2));
     assert.strictEqual(formatResults(null), JSON.stringify(null, null, 2));
   });
-});
\ No newline at end of file
+});
+describe('Utils - detectHost with an explicit env', () => {
+  test('should detect the newer hosts', () => {
+    assert.strictEqual(detectHost({ CLAUDECODE: '1' }), 'claude-code');
+    assert.strictEqual(detectHost({ CLINE_ACTIVE: 'true' }), 'cline');
+    assert.strictEqual(detectHost({ ZED_TERM: 'true' }), 'zed');
+    assert.strictEqual(detectHost({ TERMINAL_EMULATOR: 'JetBrains-JediTerm' }), 'jetbrains');
+    assert.strictEqual(detectHost({ TERMINAL_EMULATOR: 'xterm' }), 'unknown');
+    assert.strictEqual(detectHost({}), 'unknown');
+  });
+
+  test('should prefer agents over the editor they run in', () => {
+    assert.strictEqual(detectHost({ CLAUDECODE: '1', VSCODE_PID: '42' }), 'claude-code');
+    assert.strictEqual(detectHost({ CLINE_ACTIVE: 'true', VSCODE_PID: '42' }), 'cline');
+    assert.strictEqual(detectHost({ CLAUDECODE: '1', TERMINAL_EMULATOR: 'JetBrains-JediTerm' }), 'claude-code');
+  });
+});
+
+describe('Utils - detectProject', () => {
+  test('should read a TypeScript package.json', () => {
+    const dir = project({ 'package.json': JSON.stringify({ dependencies: { next: '^14.2.3', react: '18.3.1' }, devDependencies: { typescript: '~5.4.5' } }) });
+    assert.deepStrictEqual(detectProject(dir), {
+      language: 'typescript', languageVersion: '5.4.5', framework: 'next.js', frameworkVersion: '14.2.3',
+      runtime: 'node', runtimeVersion: process.versions.node,
+    });
+  });
+
+  test('should treat a tsconfig.json as TypeScript and leave unknown versions out', () => {
+    const dir = project({ 'package.json': JSON.stringify({ dependencies: { express: 'latest' } }), 'tsconfig.json': '{}' });
+    const info = detectProject(dir);
+    assert.strictEqual(info.language, 'typescript');
+    assert.strictEqual(info.framework, 'express');
+    assert(!('languageVersion' in info));
+    assert(!('frameworkVersion' in info));
+  });
+
+  test('should read pyproject.toml dependencies', () => {
+    const dir = project({ 'pyproject.toml': [
+      '[project]',
+      'name = "flask-demo"',
+      'description = "Not a flask app"',
+      'requires-python = ">=3.11"',
+      'dependencies = ["fastapi[all]>=0.110.1", "uvicorn"]',
+    ].join('\n') });
+    assert.deepStrictEqual(detectProject(dir), { language: 'python', languageVersion: '3.11', framework: 'fastapi', frameworkVersion: '0.110.1' });
+  });
+
+  test('should read Poetry dependencies and requirements.txt', () => {
+    assert.deepStrictEqual(detectProject(project({ 'pyproject.toml': '[tool.poetry.dependencies]\npython = "^3.12"\ndjango = "^5.0"\n' })),
+      { language: 'python', languageVersion: '3.12', framework: 'django', frameworkVersion: '5.0' });
+    assert.deepStrictEqual(detectProject(project({ 'requirements.txt': 'flask-cors==4.0\nFlask==3.0.2\n' })),
+      { language: 'python', framework: 'flask', frameworkVersion: '3.0.2' });
+  });
+
+  test('should read go.mod', () => {
+    const dir = project({ 'go.mod': 'module example.com/app\n\ngo 1.22\n\nrequire (\n\tgithub.com/gofiber/fiber/v2 v2.52.0\n)\n' });
+    assert.deepStrictEqual(detectProject(dir), { language: 'go', languageVersion: '1.22', framework: 'fiber', frameworkVersion: '2.52.0' });
+  });
+
+  test('should read Cargo.toml', () => {
+    const dir = project({ 'Cargo.toml': '[package]\nname = "app"\nrust-version = "1.75"\n\n[dependencies]\naxum = { version = "0.7.4", features = ["macros"] }\n' });
+    assert.deepStrictEqual(detectProject(dir), { language: 'rust', languageVersion: '1.75', framework: 'axum', frameworkVersion: '0.7.4' });
+  });
+
+  test('should return nothing for a directory without project files or with a broken package.json', () => {
+    assert.deepStrictEqual(detectProject(project({})), {});
+    assert.deepStrictEqual(detectProject(project({ 'package.json': '{ not json' })), {});
+  });
+
+  test('should cache per directory', () => {
+    const dir = project({ 'go.mod': 'module a\n\ngo 1.21\n' });
+    assert.strictEqual(detectProject(dir).languageVersion, '1.21');
+    fs.writeFileSync(path.join(dir, 'go.mod'), 'module a\n\ngo 1.23\n');
+    assert.strictEqual(detectProject(dir).languageVersion, '1.21');
+  });
+});
+
+describe('Utils - detectEnvironment', () => {
+  test('should combine host, platform and project', () => {
+    const dir = project({ 'go.mod': 'module a\n\ngo 1.22\n' });
+    const env = detectEnvironment({ cwd: dir, env: { ZED_TERM: 'true', SHELL: '/usr/bin/zsh' } });
+    assert.strictEqual(env.host, 'zed');
+    assert.strictEqual(env.shell, 'zsh');
+    assert.strictEqual(env.arch, os.arch());
+    assert.strictEqual(env.osVersion, os.release());
+    assert.strictEqual(env.nodeVersion, process.versions.node);
+    assert.strictEqual(env.language, 'go');
+    assert.strictEqual(env.os, { darwin: 'macos', win32: 'windows' }[process.platform] || process.platform);
+  });
+
+  test('should map to search context and contribution environment', () => {
+    const env = detectEnvironment({ cwd: project({ 'go.mod': 'module a\n\ngo 1.22\n' }), env: {} });
+    assert.deepStrictEqual(searchContextFrom(env), { runtime: 'unknown', os: env.os, shell: undefined, language: 'go', framework: undefined });
+    assert.deepStrictEqual(contributionEnvironmentFrom(env), {
+      language: 'go', languageVersion: '1.22', framework: undefined, frameworkVersion: undefined, runtime: undefined, runtimeVersion: undefined, os: env.os,
+    });
+  });
+
+  test('should be on unless PRIOR_DETECT_ENVIRONMENT opts out', () => {
+    assert.strictEqual(environmentDetectionFromEnv({}), true);
+    assert.strictEqual(environmentDetectionFromEnv({ PRIOR_DETECT_ENVIRONMENT: '1' }), true);
+    for (const value of ['0', 'false', 'OFF', ' no ']) {
+      assert.strictEqual(environmentDetectionFromEnv({ PRIOR_DETECT_ENVIRONMENT: value }), false);
+    }
+  });
+});
+
+describe('Utils - withDetected', () => {
+  test('should only fill fields the caller left unset', () => {
+    const { merged, filled } = withDetected({ runtime: 'python', os: '' }, { runtime: 'cursor', os: 'linux', shell: undefined, language: 'go' });
+    assert.deepStrictEqual(merged, { runtime: 'python', os: 'linux', language: 'go' });
+    assert.deepStrictEqual(filled, ['os', 'language']);
+  });
+
+  test('should accept a missing object', () => {
+    assert.deepStrictEqual(withDetected(undefined, { os: 'linux' }), { merged: { os: 'linux' }, filled: ['os'] });
+  });
+});